@@ -10,17 +10,27 @@ const app = express();
 
 // Middleware
 app.use(cors());
-app.use(express.json({ limit: '50mb' }));
+app.use(express.json({
+  limit: '50mb',
+  // Webhook signatures are checked against the exact bytes received
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(express.urlencoded({ extended: true, limit: '50mb' }));
 
 // API Routes
 app.use('/api/auth', require('./src/routes/auth'));
 app.use('/api/products', require('./src/routes/products'));
 app.use('/api/cart', require('./src/routes/cart'));
+app.use('/api/wishlist', require('./src/routes/wishlist'));
 app.use('/api/orders', require('./src/routes/orders'));
 app.use('/api/payments', require('./src/routes/payments'));
 app.use('/api/inventory', require('./src/routes/inventory'));
 app.use('/api/delivery', require('./src/routes/delivery'));
+app.use('/api/returns', require('./src/routes/returns'));
 app.use('/api/reviews', require('./src/routes/reviews'));
 app.use('/api/analytics', require('./src/routes/analytics'));
 app.use('/api/admin', require('./src/routes/admin'));
@@ -55,9 +65,27 @@ const connectDB = async () => {
 // Start Server
 const PORT = process.env.PORT || 5000;
 const seedDatabase = require('./src/seed');
+const { ensureDefaultRoles } = require('./src/services/permissionService');
+const { startOrderExpiryJob } = require('./src/jobs/orderExpiryJob');
+const { startPaymentReconciliationJob } = require('./src/jobs/paymentReconciliationJob');
+const Inventory = require('./src/models/Inventory');
+const { getMailTransportName } = require('./src/services/mailService');
+const { getSmsTransportName } = require('./src/services/smsService');
+const { getGateway } = require('./src/services/paymentGatewayService');
+
+// Fail fast in production if password reset mails and verification codes would not be delivered
+getMailTransportName();
+getSmsTransportName();
+// Refuses the mock payment gateway in production, or without its secret
+getGateway();
 
 connectDB().then(async () => {
+  await ensureDefaultRoles();
+  // Inventory is kept per variant: replaces the old unique index on product alone
+  await Inventory.syncIndexes();
   await seedDatabase();
+  startOrderExpiryJob();
+  startPaymentReconciliationJob();
   app.listen(PORT, () => {
     console.log(`🚴 SS Square Industries Server running on port ${PORT}`);
   });
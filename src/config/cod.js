@@ -0,0 +1,19 @@
+// Cash on delivery eligibility rules.
+const list = (value) => (value || '').split(',').map(item => item.trim()).filter(Boolean);
+
+const COD_RULES = {
+    // Orders above this total must be prepaid
+    maxOrderValue: Number(process.env.COD_MAX_ORDER_VALUE) || 5000,
+    // Pincode prefixes COD is offered in (empty: everywhere)
+    pincodePrefixes: list(process.env.COD_PINCODE_PREFIXES),
+    // Pincodes COD is never offered in
+    blockedPincodes: list(process.env.COD_BLOCKED_PINCODES),
+    // Cancelled COD orders after which a customer has to prepay
+    maxCancelledOrders: Number(process.env.COD_MAX_CANCELLED_ORDERS) || 2,
+    // COD orders a customer can have open at once
+    maxOpenOrders: Number(process.env.COD_MAX_OPEN_ORDERS) || 2
+};
+
+module.exports = {
+    COD_RULES
+};
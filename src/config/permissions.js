@@ -0,0 +1,47 @@
+// Permission catalogue - every permission a role can be granted
+const PERMISSIONS = {
+    'users:view': 'View user accounts',
+    'users:manage': 'Create, update and deactivate user accounts',
+    'users:impersonate': 'View the store as a customer (impersonation)',
+    'audit:view': 'View audit logs',
+    'roles:manage': 'Create and edit roles and their permissions',
+    'products:manage': 'Create, update and delete products',
+    'coupons:manage': 'Create coupons and view redemption reports',
+    'orders:view_all': 'View orders of all customers',
+    'orders:update_status': 'Change order status',
+    'orders:cancel': 'Cancel any customer order',
+    'orders:assign_delivery': 'Assign delivery partners to orders',
+    'orders:refund': 'Issue payment refunds',
+    'returns:manage': 'Review returns, schedule reverse pickups and inspect returned goods',
+    'payments:view': 'View payment transactions',
+    'payments:manage': 'Inspect and replay payment gateway webhooks',
+    'inventory:view': 'View inventory and stock reports',
+    'inventory:adjust': 'Add, remove and adjust stock',
+    'deliveries:manage': 'Assign and view all deliveries',
+    'deliveries:fulfil': 'Update and confirm own deliveries',
+    'reviews:moderate': 'Approve, reject and delete reviews',
+    'reviews:view_delivery': 'View delivery partner reviews',
+    'analytics:view': 'View business analytics'
+};
+
+// Built-in roles created on startup. '*' grants every permission.
+const DEFAULT_ROLES = {
+    admin: {
+        description: 'Full access to the store',
+        permissions: ['*']
+    },
+    inventory_manager: {
+        description: 'Manages stock levels and warehouse inventory',
+        permissions: ['inventory:view', 'inventory:adjust', 'reviews:view_delivery']
+    },
+    delivery_partner: {
+        description: 'Delivers orders to customers',
+        permissions: ['deliveries:fulfil']
+    },
+    customer: {
+        description: 'Shops on the storefront',
+        permissions: []
+    }
+};
+
+module.exports = { PERMISSIONS, DEFAULT_ROLES };
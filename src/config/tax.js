@@ -0,0 +1,27 @@
+// Seller details printed on invoices. SELLER_STATE decides CGST/SGST vs IGST.
+const SELLER = {
+    name: process.env.SELLER_NAME || 'SS Square Industries',
+    gstin: process.env.SELLER_GSTIN || '',
+    address: process.env.SELLER_ADDRESS || '',
+    state: process.env.SELLER_STATE || 'Tamil Nadu'
+};
+
+// Default HSN code and GST rate (%) per product category.
+// A product can override both with its own hsnCode / gstRate.
+const CATEGORY_TAX = {
+    mountain: { hsnCode: '8712', gstRate: 12 },
+    road: { hsnCode: '8712', gstRate: 12 },
+    hybrid: { hsnCode: '8712', gstRate: 12 },
+    kids: { hsnCode: '8712', gstRate: 12 },
+    electric: { hsnCode: '8711', gstRate: 5 },
+    accessories: { hsnCode: '8714', gstRate: 18 }
+};
+
+// Used when a category has no entry above
+const DEFAULT_TAX = { hsnCode: '8714', gstRate: 18 };
+
+module.exports = {
+    SELLER,
+    CATEGORY_TAX,
+    DEFAULT_TAX
+};
@@ -0,0 +1,49 @@
+const { expireOverdueOrders } = require('../services/orderExpiryService');
+
+// How often to look for overdue unpaid orders
+const CHECK_INTERVAL_SECONDS = Number(process.env.ORDER_EXPIRY_CHECK_INTERVAL_SECONDS) || 60;
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        const expired = await expireOverdueOrders();
+        if (expired > 0) {
+            console.log(`⏰ Expired ${expired} unpaid order(s)`);
+        }
+    } catch (error) {
+        console.error('Order expiry job error:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the background job that cancels unpaid orders
+ */
+const startOrderExpiryJob = () => {
+    if (timer) return;
+
+    timer = setInterval(runOnce, CHECK_INTERVAL_SECONDS * 1000);
+    timer.unref();
+    runOnce();
+};
+
+/**
+ * Stop the background job
+ */
+const stopOrderExpiryJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    startOrderExpiryJob,
+    stopOrderExpiryJob,
+    runOnce
+};
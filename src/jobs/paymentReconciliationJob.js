@@ -0,0 +1,49 @@
+const { ensureDailyReconciliation } = require('../services/paymentReconciliationService');
+
+// How often to check whether yesterday's reconciliation has been produced
+const CHECK_INTERVAL_MINUTES = Number(process.env.PAYMENT_RECONCILIATION_CHECK_INTERVAL_MINUTES) || 60;
+
+let timer = null;
+let running = false;
+
+const runOnce = async () => {
+    // Skip a tick if the previous run is still going
+    if (running) return;
+    running = true;
+
+    try {
+        const report = await ensureDailyReconciliation();
+        if (report) {
+            console.log(`💰 Payment reconciliation for ${report.date}: ${report.summary.discrepancies} discrepancy(ies)`);
+        }
+    } catch (error) {
+        console.error('Payment reconciliation job error:', error.message);
+    } finally {
+        running = false;
+    }
+};
+
+/**
+ * Start the background job that reconciles each day's payments with the gateway
+ */
+const startPaymentReconciliationJob = () => {
+    if (timer) return;
+
+    timer = setInterval(runOnce, CHECK_INTERVAL_MINUTES * 60 * 1000);
+    timer.unref();
+    runOnce();
+};
+
+/**
+ * Stop the background job
+ */
+const stopPaymentReconciliationJob = () => {
+    clearInterval(timer);
+    timer = null;
+};
+
+module.exports = {
+    startPaymentReconciliationJob,
+    stopPaymentReconciliationJob,
+    runOnce
+};
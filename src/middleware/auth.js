@@ -1,8 +1,14 @@
 const jwt = require('jsonwebtoken');
 const User = require('../models/User');
+const Session = require('../models/Session');
+const { getRolePermissions, permissionMatches } = require('../services/permissionService');
+const { getOrderVerificationBlock } = require('../services/verificationService');
+const { isTwoFactorRequired } = require('../services/twoFactorService');
+const { recordAudit } = require('../services/auditService');
 
-// Protect routes - verify JWT token
-const protect = async (req, res, next) => {
+// Verify JWT token. With enforceTwoFactor, roles covered by the 2FA policy
+// must be enrolled and signed in with a second factor.
+const authenticate = ({ enforceTwoFactor = true } = {}) => async (req, res, next) => {
     let token;
 
     if (req.headers.authorization && req.headers.authorization.startsWith('Bearer')) {
@@ -18,6 +24,18 @@ const protect = async (req, res, next) => {
 
     try {
         const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+        // Access tokens are bound to a session that can be revoked server-side
+        const session = decoded.sid ? await Session.findById(decoded.sid) : null;
+
+        if (!session || !session.isActive || session.user.toString() !== decoded.id) {
+            return res.status(401).json({
+                success: false,
+                message: 'Session has expired or was revoked'
+            });
+        }
+
+        req.authSession = session;
         req.user = await User.findById(decoded.id);
 
         if (!req.user) {
@@ -34,6 +52,43 @@ const protect = async (req, res, next) => {
             });
         }
 
+        if (session.impersonatedBy) {
+            const impersonator = await User.findById(session.impersonatedBy);
+
+            if (!impersonator || !impersonator.isActive) {
+                return res.status(401).json({
+                    success: false,
+                    message: 'Impersonation session is no longer valid'
+                });
+            }
+
+            // Mark the request and audit whatever it does
+            req.impersonator = impersonator;
+            res.set('X-Impersonated-By', impersonator._id.toString());
+            res.on('finish', () => {
+                recordAudit({
+                    action: 'impersonation.request',
+                    actor: impersonator._id,
+                    subject: req.user._id,
+                    session: session._id,
+                    statusCode: res.statusCode
+                }, req);
+            });
+        }
+
+        if (enforceTwoFactor && !session.impersonatedBy && isTwoFactorRequired(req.user.role) &&
+            (!req.user.twoFactor.enabled || !session.twoFactorVerified)) {
+            return res.status(403).json({
+                success: false,
+                code: 'TWO_FACTOR_REQUIRED',
+                message: req.user.twoFactor.enabled
+                    ? 'Please sign in again with your authenticator code'
+                    : 'Two-factor authentication must be enabled for your role'
+            });
+        }
+
+        req.permissions = await getRolePermissions(req.user.role);
+
         next();
     } catch (error) {
         console.error('Auth middleware error:', error.message);
@@ -44,6 +99,18 @@ const protect = async (req, res, next) => {
     }
 };
 
+// Protect routes - verify JWT token and the 2FA policy
+const protect = authenticate();
+
+// Protect routes a user needs while enrolling in 2FA (setup, logout)
+const protectAllowTwoFactorSetup = authenticate({ enforceTwoFactor: false });
+
+// Identify the user when a token is sent, but let anonymous requests through (public routes)
+const optionalProtect = (req, res, next) => {
+    if (!req.headers.authorization) return next();
+    return protect(req, res, next);
+};
+
 // Authorize by role
 const authorize = (...roles) => {
     return (req, res, next) => {
@@ -57,13 +124,68 @@ const authorize = (...roles) => {
     };
 };
 
+// Check whether the authenticated user holds a permission
+const can = (req, permission) => {
+    return Boolean(req.permissions) && permissionMatches(req.permissions, permission);
+};
+
+// Require at least one of the given permissions
+const requirePermission = (...permissions) => {
+    return (req, res, next) => {
+        if (!permissions.some(permission => can(req, permission))) {
+            return res.status(403).json({
+                success: false,
+                message: `Missing permission: ${permissions.join(' or ')}`
+            });
+        }
+        next();
+    };
+};
+
+// Block unverified accounts according to ORDER_VERIFICATION_REQUIREMENT
+const requireVerifiedAccount = (req, res, next) => {
+    const reason = getOrderVerificationBlock(req.user);
+    if (reason) {
+        return res.status(403).json({
+            success: false,
+            code: 'ACCOUNT_NOT_VERIFIED',
+            message: reason
+        });
+    }
+    next();
+};
+
+// Reject sensitive actions during impersonation (password, payments, security settings)
+const blockImpersonation = (req, res, next) => {
+    if (req.impersonator) {
+        return res.status(403).json({
+            success: false,
+            code: 'IMPERSONATION_FORBIDDEN',
+            message: 'This action is not allowed while viewing as a customer'
+        });
+    }
+    next();
+};
+
 // Admin access - full control
 const adminOnly = authorize('admin');
 
 // Inventory manager access
-const inventoryAccess = authorize('admin', 'inventory_manager');
+const inventoryAccess = requirePermission('inventory:view');
 
 // Delivery partner access
-const deliveryAccess = authorize('admin', 'delivery_partner');
+const deliveryAccess = requirePermission('deliveries:fulfil', 'deliveries:manage');
 
-module.exports = { protect, authorize, adminOnly, inventoryAccess, deliveryAccess };
+module.exports = {
+    protect,
+    protectAllowTwoFactorSetup,
+    optionalProtect,
+    authorize,
+    can,
+    requirePermission,
+    requireVerifiedAccount,
+    blockImpersonation,
+    adminOnly,
+    inventoryAccess,
+    deliveryAccess
+};
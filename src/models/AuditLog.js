@@ -0,0 +1,38 @@
+const mongoose = require('mongoose');
+
+const auditLogSchema = new mongoose.Schema({
+    action: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Staff member who performed the action
+    actor: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    // User the action was performed on or as
+    subject: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    session: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Session',
+        index: true
+    },
+    method: String,
+    path: String,
+    statusCode: Number,
+    ip: String,
+    userAgent: String,
+    metadata: {
+        type: mongoose.Schema.Types.Mixed
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+module.exports = mongoose.model('AuditLog', auditLogSchema);
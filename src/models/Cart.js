@@ -6,6 +6,10 @@ const cartItemSchema = new mongoose.Schema({
         ref: 'Product',
         required: true
     },
+    // Picked variant of a product with variants (_id in Product.variants)
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    variantName: String,
     quantity: {
         type: Number,
         required: true,
@@ -30,6 +34,19 @@ const cartSchema = new mongoose.Schema({
         unique: true
     },
     items: [cartItemSchema],
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon'
+    },
+    couponCode: String,
+    discountAmount: {
+        type: Number,
+        default: 0
+    },
+    subtotal: {
+        type: Number,
+        default: 0
+    },
     totalAmount: {
         type: Number,
         default: 0
@@ -40,9 +57,17 @@ const cartSchema = new mongoose.Schema({
 
 // Calculate total before saving
 cartSchema.pre('save', function () {
-    this.totalAmount = this.items.reduce((total, item) => {
+    this.subtotal = this.items.reduce((total, item) => {
         return total + (item.price * item.quantity) + (item.shippingFees * item.quantity);
     }, 0);
+
+    if (this.items.length === 0) {
+        this.coupon = undefined;
+        this.couponCode = undefined;
+        this.discountAmount = 0;
+    }
+
+    this.totalAmount = Math.max(this.subtotal - (this.discountAmount || 0), 0);
 });
 
 module.exports = mongoose.model('Cart', cartSchema);
@@ -0,0 +1,83 @@
+const mongoose = require('mongoose');
+
+const couponSchema = new mongoose.Schema({
+    code: {
+        type: String,
+        required: [true, 'Coupon code is required'],
+        unique: true,
+        uppercase: true,
+        trim: true
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    discountType: {
+        type: String,
+        enum: ['percentage', 'flat'],
+        required: true
+    },
+    value: {
+        type: Number,
+        required: [true, 'Discount value is required'],
+        min: 0
+    },
+    // Upper limit for percentage discounts
+    maxDiscount: {
+        type: Number,
+        min: 0
+    },
+    minCartValue: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    // When set, only matching items count towards the discount
+    applicableCategories: [{
+        type: String
+    }],
+    applicableProducts: [{
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product'
+    }],
+    // Total redemptions allowed (empty for unlimited)
+    usageLimit: {
+        type: Number,
+        min: 1
+    },
+    perUserLimit: {
+        type: Number,
+        default: 1,
+        min: 1
+    },
+    usedCount: {
+        type: Number,
+        default: 0
+    },
+    validFrom: {
+        type: Date,
+        default: Date.now
+    },
+    validUntil: Date,
+    isActive: {
+        type: Boolean,
+        default: true
+    },
+    createdBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    }
+}, {
+    timestamps: true
+});
+
+couponSchema.pre('validate', function () {
+    if (this.discountType === 'percentage' && this.value > 100) {
+        this.invalidate('value', 'Percentage discount cannot exceed 100');
+    }
+    if (this.validUntil && this.validFrom && this.validUntil < this.validFrom) {
+        this.invalidate('validUntil', 'validUntil must be after validFrom');
+    }
+});
+
+module.exports = mongoose.model('Coupon', couponSchema);
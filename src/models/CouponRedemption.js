@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+const couponRedemptionSchema = new mongoose.Schema({
+    coupon: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Coupon',
+        required: true
+    },
+    code: String,
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        unique: true
+    },
+    discountAmount: {
+        type: Number,
+        required: true
+    },
+    // Which of the user's perUserLimit uses this is (1..perUserLimit); unique per
+    // coupon and user so concurrent checkouts cannot exceed the limit
+    slot: Number
+}, {
+    timestamps: true
+});
+
+couponRedemptionSchema.index({ coupon: 1, user: 1 });
+// Redemptions recorded before slots existed have none
+couponRedemptionSchema.index(
+    { coupon: 1, user: 1, slot: 1 },
+    { unique: true, partialFilterExpression: { slot: { $exists: true } } }
+);
+
+module.exports = mongoose.model('CouponRedemption', couponRedemptionSchema);
@@ -28,9 +28,14 @@ const inventorySchema = new mongoose.Schema({
     product: {
         type: mongoose.Schema.Types.ObjectId,
         ref: 'Product',
-        required: true,
-        unique: true
+        required: true
     },
+    // One record per variant for products with variants, otherwise one per product
+    variant: {
+        type: mongoose.Schema.Types.ObjectId,
+        default: null
+    },
+    sku: String,
     totalStock: {
         type: Number,
         required: true,
@@ -58,6 +63,8 @@ const inventorySchema = new mongoose.Schema({
     timestamps: true
 });
 
+inventorySchema.index({ product: 1, variant: 1 }, { unique: true });
+
 // Virtual for available stock
 inventorySchema.virtual('availableStock').get(function () {
     return this.totalStock - this.reservedStock;
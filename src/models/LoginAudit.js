@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const loginAuditSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        index: true
+    },
+    email: {
+        type: String,
+        lowercase: true,
+        trim: true
+    },
+    ip: {
+        type: String,
+        index: true
+    },
+    userAgent: String,
+    success: {
+        type: Boolean,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['success', 'invalid_password', 'invalid_two_factor', 'unknown_email', 'locked', 'throttled', 'ip_throttled', 'deactivated']
+    }
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAuditSchema.index({ ip: 1, success: 1, createdAt: -1 });
+
+// Keep the audit trail for 180 days
+loginAuditSchema.index({ createdAt: 1 }, { expireAfterSeconds: 180 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('LoginAudit', loginAuditSchema);
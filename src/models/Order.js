@@ -7,6 +7,10 @@ const orderItemSchema = new mongoose.Schema({
         required: true
     },
     name: String,
+    // Variant ordered (_id in Product.variants) with its SKU and options at order time
+    variant: mongoose.Schema.Types.ObjectId,
+    sku: String,
+    variantName: String,
     quantity: {
         type: Number,
         required: true,
@@ -15,7 +19,64 @@ const orderItemSchema = new mongoose.Schema({
     price: {
         type: Number,
         required: true
-    }
+    },
+    shippingFees: {
+        type: Number,
+        default: 0
+    },
+    // GST breakdown of the line (prices are tax inclusive)
+    hsnCode: String,
+    gstRate: Number,
+    taxableValue: Number,
+    cgst: Number,
+    sgst: Number,
+    igst: Number
+});
+
+// One entry per refund issued against the payment
+const refundSchema = new mongoose.Schema({
+    refundId: String,
+    // COD orders are refunded outside the gateway, in cash or by bank transfer
+    method: {
+        type: String,
+        enum: ['gateway', 'cash', 'bank_transfer'],
+        default: 'gateway'
+    },
+    // Receipt or bank transfer reference of a manual refund
+    reference: String,
+    amount: {
+        type: Number,
+        required: true
+    },
+    // Empty for refunds of an amount rather than specific items
+    items: [{
+        orderItem: mongoose.Schema.Types.ObjectId,
+        product: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Product'
+        },
+        name: String,
+        quantity: Number,
+        amount: Number
+    }],
+    reason: String,
+    status: {
+        type: String,
+        enum: ['pending', 'processed', 'failed'],
+        default: 'pending'
+    },
+    return: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Return'
+    },
+    initiatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    processedAt: Date,
+    failureReason: String
+}, {
+    timestamps: true
 });
 
 const orderSchema = new mongoose.Schema({
@@ -41,16 +102,41 @@ const orderSchema = new mongoose.Schema({
         default: 'created'
     },
     payment: {
+        mode: {
+            type: String,
+            enum: ['prepaid', 'cod'],
+            default: 'prepaid'
+        },
+        // Payment gateway used (see paymentGatewayService); the ids below hold its ids
+        gateway: {
+            type: String,
+            default: 'razorpay'
+        },
         razorpayOrderId: String,
         razorpayPaymentId: String,
         razorpaySignature: String,
         method: String,
         status: {
             type: String,
-            enum: ['pending', 'completed', 'failed', 'refunded'],
+            enum: ['pending', 'completed', 'failed', 'partially_refunded', 'refunded'],
             default: 'pending'
         },
-        paidAt: Date
+        paidAt: Date,
+        // Total refunded so far, excluding failed refunds
+        refundedAmount: {
+            type: Number,
+            default: 0
+        },
+        refunds: [refundSchema],
+        // Cash handed over to the delivery partner (COD orders)
+        cod: {
+            collectedAmount: Number,
+            collectedAt: Date,
+            collectedBy: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User'
+            }
+        }
     },
     delivery: {
         partner: {
@@ -61,25 +147,66 @@ const orderSchema = new mongoose.Schema({
         actualDate: Date,
         notes: String
     },
+    // Items and shipping before discounts
+    subtotal: Number,
+    discount: {
+        coupon: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Coupon'
+        },
+        code: String,
+        amount: {
+            type: Number,
+            default: 0
+        }
+    },
     totalAmount: {
         type: Number,
         required: true
     },
+    tax: {
+        supplyType: {
+            type: String,
+            enum: ['intra_state', 'inter_state']
+        },
+        sellerState: String,
+        placeOfSupply: String,
+        taxableValue: Number,
+        cgst: Number,
+        sgst: Number,
+        igst: Number,
+        totalTax: Number
+    },
     statusHistory: [{
         status: String,
         timestamp: { type: Date, default: Date.now },
         note: String,
         updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
     }],
+    // Where the ordered units are: reserved -> shipped (deducted at dispatch),
+    // or released / restocked after a cancellation or refund
+    stockStatus: {
+        type: String,
+        enum: ['reserved', 'shipped', 'released', 'restocked']
+    },
     cancellationReason: String,
+    // Unpaid orders are cancelled automatically after this time
+    paymentDueAt: Date,
     invoice: {
         number: String,
-        generatedAt: Date
+        generatedAt: Date,
+        // Storage path of the PDF in the invoices bucket
+        path: String
     }
 }, {
     timestamps: true
 });
 
+orderSchema.index({ 'invoice.number': 1 }, { unique: true, sparse: true });
+orderSchema.index({ status: 1, paymentDueAt: 1 });
+orderSchema.index({ 'payment.refunds.refundId': 1 });
+orderSchema.index({ 'payment.mode': 1, 'delivery.actualDate': 1 });
+
 // Generate order number before saving
 orderSchema.pre('save', async function () {
     if (!this.orderNumber) {
@@ -0,0 +1,71 @@
+const mongoose = require('mongoose');
+
+// One line per gateway payment, plus local payments the gateway has no record of
+const reconciliationRowSchema = new mongoose.Schema({
+    paymentId: String,
+    gatewayOrderId: String,
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order'
+    },
+    orderNumber: String,
+    gatewayStatus: String,
+    localStatus: String,
+    // Amounts in rupees
+    gatewayAmount: Number,
+    localAmount: Number,
+    gatewayRefunded: Number,
+    localRefunded: Number,
+    fee: Number,
+    tax: Number,
+    settlementId: String,
+    // matched, or the kind of discrepancy
+    result: {
+        type: String,
+        enum: [
+            'matched',
+            'missing_order',
+            'captured_not_paid',
+            'paid_not_captured',
+            'missing_at_gateway',
+            'amount_mismatch',
+            'refund_mismatch',
+            'duplicate_payment'
+        ]
+    },
+    note: String
+}, { _id: false });
+
+const paymentReconciliationSchema = new mongoose.Schema({
+    // Day covered, as YYYY-MM-DD
+    date: {
+        type: String,
+        required: true,
+        index: true
+    },
+    source: {
+        type: String,
+        enum: ['gateway', 'csv'],
+        required: true
+    },
+    gateway: String,
+    fileName: String,
+    generatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    summary: {
+        gatewayPayments: { type: Number, default: 0 },
+        matched: { type: Number, default: 0 },
+        discrepancies: { type: Number, default: 0 },
+        capturedAmount: { type: Number, default: 0 },
+        fees: { type: Number, default: 0 },
+        tax: { type: Number, default: 0 },
+        netAmount: { type: Number, default: 0 }
+    },
+    rows: [reconciliationRowSchema]
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('PaymentReconciliation', paymentReconciliationSchema);
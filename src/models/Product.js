@@ -1,11 +1,61 @@
 const mongoose = require('mongoose');
 
+// A purchasable version of a product (e.g. frame size and colour) with its own
+// SKU, price and stock. Stock of a product with variants is held per variant;
+// the product's stock / reservedStock are the totals across its variants.
+const variantSchema = new mongoose.Schema({
+    sku: {
+        type: String,
+        required: [true, 'Variant SKU is required'],
+        trim: true,
+        uppercase: true
+    },
+    attributes: {
+        frameSize: { type: String, default: '' },
+        wheelSize: { type: String, default: '' },
+        color: { type: String, default: '' }
+    },
+    // Falls back to the product's price and discount when not set
+    price: {
+        type: Number,
+        min: 0
+    },
+    discountPrice: {
+        type: Number,
+        min: 0
+    },
+    images: [{
+        type: String
+    }],
+    stock: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    reservedStock: {
+        type: Number,
+        default: 0,
+        min: 0
+    },
+    isAvailable: {
+        type: Boolean,
+        default: true
+    }
+});
+
 const productSchema = new mongoose.Schema({
     name: {
         type: String,
         required: [true, 'Product name is required'],
         trim: true
     },
+    // Catalogue code, used to match products in bulk imports
+    sku: {
+        type: String,
+        trim: true,
+        uppercase: true,
+        set: value => value || undefined
+    },
     description: {
         type: String,
         required: [true, 'Product description is required']
@@ -30,6 +80,15 @@ const productSchema = new mongoose.Schema({
         default: 0,
         min: 0
     },
+    // GST classification - defaults come from the category (see config/tax.js)
+    hsnCode: {
+        type: String,
+        trim: true
+    },
+    gstRate: {
+        type: Number,
+        enum: [0, 5, 12, 18, 28]
+    },
     specifications: {
         brand: { type: String, default: '' },
         model: { type: String, default: '' },
@@ -73,7 +132,8 @@ const productSchema = new mongoose.Schema({
     },
     tags: [{
         type: String
-    }]
+    }],
+    variants: [variantSchema]
 }, {
     timestamps: true
 });
@@ -83,7 +143,45 @@ productSchema.virtual('availableStock').get(function () {
     return this.stock - this.reservedStock;
 });
 
+// Variant SKUs and option combinations must be unique within a product;
+// a new product's totals come from its variants
+productSchema.pre('validate', function () {
+    if (this.variants.length === 0) return;
+
+    const skus = new Set();
+    const combinations = new Set();
+
+    for (const variant of this.variants) {
+        if (skus.has(variant.sku)) {
+            this.invalidate('variants', `Duplicate variant SKU ${variant.sku}`);
+        }
+        skus.add(variant.sku);
+
+        const { frameSize, wheelSize, color } = variant.attributes;
+        const combination = [frameSize, wheelSize, color].join('|').toLowerCase();
+        if (combinations.has(combination)) {
+            this.invalidate('variants', `Duplicate variant options for ${variant.sku}`);
+        }
+        combinations.add(combination);
+    }
+
+    if (this.isNew) {
+        this.stock = this.variants.reduce((total, variant) => total + variant.stock, 0);
+        this.reservedStock = this.variants.reduce((total, variant) => total + variant.reservedStock, 0);
+    }
+});
+
 // Index for search
 productSchema.index({ name: 'text', description: 'text', 'specifications.brand': 'text' });
 
+// SKUs are unique across the catalogue
+productSchema.index(
+    { sku: 1 },
+    { unique: true, partialFilterExpression: { sku: { $type: 'string' } } }
+);
+productSchema.index(
+    { 'variants.sku': 1 },
+    { unique: true, partialFilterExpression: { 'variants.sku': { $exists: true } } }
+);
+
 module.exports = mongoose.model('Product', productSchema);
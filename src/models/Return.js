@@ -0,0 +1,139 @@
+const mongoose = require('mongoose');
+
+const returnItemSchema = new mongoose.Schema({
+    // _id of the line in Order.items
+    orderItem: {
+        type: mongoose.Schema.Types.ObjectId,
+        required: true
+    },
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    variant: mongoose.Schema.Types.ObjectId,
+    name: String,
+    variantName: String,
+    quantity: {
+        type: Number,
+        required: true,
+        min: 1
+    },
+    // What the customer paid per unit after discounts (tax inclusive)
+    unitPrice: {
+        type: Number,
+        required: true
+    },
+    reason: {
+        type: String,
+        enum: ['damaged', 'defective', 'wrong_item', 'not_as_described', 'size_fit', 'changed_mind', 'other'],
+        required: true
+    },
+    comments: String,
+    photos: [{
+        type: String
+    }],
+    inspection: {
+        outcome: {
+            type: String,
+            enum: ['accepted', 'rejected']
+        },
+        // Units fit to be sold again
+        restockQuantity: {
+            type: Number,
+            default: 0,
+            min: 0
+        },
+        notes: String
+    },
+    refundAmount: {
+        type: Number,
+        default: 0
+    }
+});
+
+const returnSchema = new mongoose.Schema({
+    rmaNumber: {
+        type: String,
+        unique: true
+    },
+    order: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Order',
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    items: [returnItemSchema],
+    status: {
+        type: String,
+        enum: [
+            'requested', 'approved', 'rejected', 'pickup_scheduled', 'picked_up',
+            'inspected', 'refunding', 'refunded', 'closed', 'cancelled'
+        ],
+        default: 'requested'
+    },
+    pickup: {
+        partner: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        scheduledDate: Date,
+        pickedUpAt: Date,
+        address: {
+            street: String,
+            city: String,
+            state: String,
+            pincode: String
+        },
+        notes: String
+    },
+    inspection: {
+        inspectedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        inspectedAt: Date,
+        notes: String
+    },
+    refund: {
+        amount: {
+            type: Number,
+            default: 0
+        },
+        refundId: String,
+        // gateway, or cash / bank_transfer for COD orders
+        method: String,
+        processedAt: Date,
+        processedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        }
+    },
+    rejectionReason: String,
+    statusHistory: [{
+        status: String,
+        timestamp: { type: Date, default: Date.now },
+        note: String,
+        updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+    }]
+}, {
+    timestamps: true
+});
+
+returnSchema.index({ 'pickup.partner': 1, status: 1 });
+
+// Generate RMA number before saving
+returnSchema.pre('save', async function () {
+    if (!this.rmaNumber) {
+        const count = await mongoose.model('Return').countDocuments();
+        this.rmaNumber = `RMA-${Date.now()}-${(count + 1).toString().padStart(4, '0')}`;
+    }
+});
+
+module.exports = mongoose.model('Return', returnSchema);
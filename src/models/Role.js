@@ -0,0 +1,43 @@
+const mongoose = require('mongoose');
+const { PERMISSIONS } = require('../config/permissions');
+
+const roleSchema = new mongoose.Schema({
+    name: {
+        type: String,
+        required: [true, 'Role name is required'],
+        unique: true,
+        lowercase: true,
+        trim: true,
+        match: [/^[a-z][a-z0-9_]*$/, 'Role name may only contain lowercase letters, numbers and underscores']
+    },
+    description: {
+        type: String,
+        default: ''
+    },
+    permissions: {
+        type: [String],
+        default: [],
+        validate: {
+            validator: function (permissions) {
+                return permissions.every(permission => {
+                    if (permission === '*') return true;
+                    if (permission.endsWith(':*')) {
+                        const prefix = permission.slice(0, -1);
+                        return Object.keys(PERMISSIONS).some(key => key.startsWith(prefix));
+                    }
+                    return Boolean(PERMISSIONS[permission]);
+                });
+            },
+            message: 'Unknown permission in role'
+        }
+    },
+    // Built-in roles cannot be deleted or renamed
+    isSystem: {
+        type: Boolean,
+        default: false
+    }
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Role', roleSchema);
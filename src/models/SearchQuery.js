@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+
+// One record per storefront search, for recent/popular suggestions and zero-result reports
+const searchQuerySchema = new mongoose.Schema({
+    // As typed
+    query: {
+        type: String,
+        required: true,
+        trim: true,
+        maxlength: 200
+    },
+    // Search words, lower-cased and without stop words
+    normalized: {
+        type: String,
+        required: true,
+        index: true
+    },
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    // Signed-in user id, or a hash of the client IP, to count distinct searchers
+    searcher: String,
+    resultCount: {
+        type: Number,
+        required: true
+    },
+    // Whether the results matched every word (not only some of them)
+    matchAll: Boolean
+}, {
+    timestamps: { createdAt: true, updatedAt: false }
+});
+
+searchQuerySchema.index({ user: 1, createdAt: -1 });
+searchQuerySchema.index({ resultCount: 1, createdAt: -1 });
+
+// Keep the search log for 90 days
+searchQuerySchema.index({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+module.exports = mongoose.model('SearchQuery', searchQuerySchema);
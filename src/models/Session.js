@@ -0,0 +1,60 @@
+const mongoose = require('mongoose');
+
+const sessionSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        index: true
+    },
+    // SHA-256 of the current refresh token (plain token is never stored)
+    refreshTokenHash: {
+        type: String,
+        required: true,
+        unique: true,
+        select: false
+    },
+    // Hash of the token it replaced, used to detect refresh token reuse
+    previousTokenHash: {
+        type: String,
+        index: true,
+        select: false
+    },
+    device: {
+        name: String,
+        userAgent: String,
+        ip: String
+    },
+    // Set when the login passed a second factor (TOTP or recovery code)
+    twoFactorVerified: {
+        type: Boolean,
+        default: false
+    },
+    // Staff member acting as this user (impersonation sessions only)
+    impersonatedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    impersonationReason: String,
+    lastUsedAt: {
+        type: Date,
+        default: Date.now
+    },
+    expiresAt: {
+        type: Date,
+        required: true
+    },
+    revokedAt: Date,
+    revokedReason: String
+}, {
+    timestamps: true
+});
+
+// Remove expired sessions automatically
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.virtual('isActive').get(function () {
+    return !this.revokedAt && this.expiresAt > new Date();
+});
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -1,5 +1,6 @@
 const mongoose = require('mongoose');
 const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
 
 const addressSchema = new mongoose.Schema({
     street: { type: String, required: true },
@@ -9,6 +10,16 @@ const addressSchema = new mongoose.Schema({
     isDefault: { type: Boolean, default: false }
 }, { _id: true });
 
+// Pending verification code for one channel (email or phone)
+const verificationCodeSchema = new mongoose.Schema({
+    codeHash: String,
+    expiresAt: Date,
+    attempts: { type: Number, default: 0 },
+    lastSentAt: Date,
+    sendCount: { type: Number, default: 0 },
+    sendWindowStart: Date
+}, { _id: false });
+
 const userSchema = new mongoose.Schema({
     name: {
         type: String,
@@ -33,10 +44,11 @@ const userSchema = new mongoose.Schema({
         type: String,
         trim: true
     },
+    // Name of a Role document (built-in: customer, admin, inventory_manager, delivery_partner)
     role: {
         type: String,
-        enum: ['customer', 'admin', 'inventory_manager', 'delivery_partner'],
-        default: 'customer'
+        default: 'customer',
+        trim: true
     },
     addresses: [addressSchema],
     rating: {
@@ -54,6 +66,36 @@ const userSchema = new mongoose.Schema({
     lastLogin: {
         type: Date
     },
+    isEmailVerified: {
+        type: Boolean,
+        default: false
+    },
+    isPhoneVerified: {
+        type: Boolean,
+        default: false
+    },
+    verification: {
+        type: new mongoose.Schema({
+            email: verificationCodeSchema,
+            phone: verificationCodeSchema
+        }, { _id: false }),
+        select: false
+    },
+    twoFactor: {
+        enabled: { type: Boolean, default: false },
+        secret: { type: String, select: false },
+        // Secret generated at setup, promoted to `secret` once a code is confirmed
+        pendingSecret: { type: String, select: false },
+        recoveryCodes: { type: [String], select: false },
+        lastUsedStep: { type: Number, select: false },
+        enabledAt: Date
+    },
+    failedLoginAttempts: {
+        type: Number,
+        default: 0
+    },
+    lastFailedLoginAt: Date,
+    lockUntil: Date,
     resetPasswordToken: String,
     resetPasswordExpire: Date
 }, {
@@ -74,4 +116,20 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Check if the account is temporarily locked after failed logins
+userSchema.methods.isLocked = function () {
+    return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
+// Generate a single-use password reset token (only the hash is stored)
+userSchema.methods.getResetPasswordToken = function () {
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const expireMinutes = Number(process.env.RESET_PASSWORD_EXPIRE_MINUTES) || 15;
+
+    this.resetPasswordToken = crypto.createHash('sha256').update(resetToken).digest('hex');
+    this.resetPasswordExpire = new Date(Date.now() + expireMinutes * 60 * 1000);
+
+    return resetToken;
+};
+
 module.exports = mongoose.model('User', userSchema);
@@ -0,0 +1,56 @@
+const mongoose = require('mongoose');
+
+const webhookEventSchema = new mongoose.Schema({
+    // Gateway's event id (or a hash of the body when it sends none)
+    eventId: {
+        type: String,
+        required: true,
+        unique: true
+    },
+    gateway: {
+        type: String,
+        required: true
+    },
+    event: {
+        type: String,
+        required: true,
+        index: true
+    },
+    // Body as received, kept for replays
+    payload: {
+        type: mongoose.Schema.Types.Mixed,
+        required: true
+    },
+    // dead: gave up after too many failed attempts (the dead-letter list)
+    status: {
+        type: String,
+        enum: ['received', 'processing', 'processed', 'failed', 'dead'],
+        default: 'received',
+        index: true
+    },
+    attempts: {
+        type: Number,
+        default: 0
+    },
+    // What processing did (e.g. "Order SON-... marked paid", "No matching order")
+    result: String,
+    lastError: String,
+    errorHistory: [{
+        message: String,
+        at: { type: Date, default: Date.now }
+    }],
+    processedAt: Date,
+    replays: [{
+        by: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User'
+        },
+        at: { type: Date, default: Date.now }
+    }]
+}, {
+    timestamps: true
+});
+
+webhookEventSchema.index({ status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('WebhookEvent', webhookEventSchema);
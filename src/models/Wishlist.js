@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+const wishlistItemSchema = new mongoose.Schema({
+    product: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'Product',
+        required: true
+    },
+    // Snapshot used to detect price drops and restocks
+    priceWhenAdded: {
+        type: Number,
+        required: true
+    },
+    inStockWhenAdded: {
+        type: Boolean,
+        default: true
+    },
+    addedAt: {
+        type: Date,
+        default: Date.now
+    }
+});
+
+const wishlistSchema = new mongoose.Schema({
+    user: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: 'User',
+        required: true,
+        unique: true
+    },
+    items: [wishlistItemSchema]
+}, {
+    timestamps: true
+});
+
+module.exports = mongoose.model('Wishlist', wishlistSchema);
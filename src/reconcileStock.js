@@ -0,0 +1,42 @@
+const mongoose = require('mongoose');
+require('dotenv').config();
+
+const { reconcileStock } = require('./services/stockService');
+
+// Usage: npm run reconcile:stock            (report only)
+//        npm run reconcile:stock -- --fix   (repair drift)
+const fix = process.argv.includes('--fix');
+
+const run = async () => {
+    try {
+        await mongoose.connect(process.env.MONGODB_URI || 'mongodb://localhost:27017/sonica_bicycles');
+        console.log('✅ MongoDB Connected');
+
+        const report = await reconcileStock({ fix });
+
+        console.log(`🔍 Checked ${report.checked} products`);
+
+        if (report.drifted.length === 0) {
+            console.log('✅ Product and inventory stock are in sync');
+        } else {
+            report.drifted.forEach(item => {
+                console.log(`   ${item.name || item.product}${item.sku ? ` (${item.sku})` : ''}: ${item.issues.join(', ')}`);
+                if (item.expectedReserved !== undefined) {
+                    console.log(`      product ${item.productStock}/${item.productReserved} reserved, ` +
+                        `inventory ${item.inventoryStock}/${item.inventoryReserved} reserved, ` +
+                        `open orders hold ${item.expectedReserved}`);
+                }
+            });
+            console.log(fix
+                ? `🔧 Repaired ${report.drifted.length} item(s)`
+                : `⚠️  ${report.drifted.length} item(s) drifted. Run with --fix to repair.`);
+        }
+
+        process.exit(0);
+    } catch (error) {
+        console.error('❌ Reconciliation failed:', error.message);
+        process.exit(1);
+    }
+};
+
+run();
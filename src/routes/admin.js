@@ -4,8 +4,36 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const Inventory = require('../models/Inventory');
-const { protect, adminOnly } = require('../middleware/auth');
+const Role = require('../models/Role');
+const LoginAudit = require('../models/LoginAudit');
+const Session = require('../models/Session');
+const AuditLog = require('../models/AuditLog');
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const WebhookEvent = require('../models/WebhookEvent');
+const { protect, requirePermission } = require('../middleware/auth');
 const { uploadProductImage, deleteProductImages } = require('../services/fileService');
+const {
+    revokeAllSessions,
+    revokeSession,
+    createImpersonationSession
+} = require('../services/tokenService');
+const { recordAudit } = require('../services/auditService');
+const { getRolePermissions, coversPermissions, invalidateRoleCache } = require('../services/permissionService');
+const { resetFailedLogins } = require('../services/loginProtectionService');
+const { disableTwoFactor } = require('../services/twoFactorService');
+const {
+    PAYMENT_WINDOW_MINUTES,
+    expireOrder,
+    getPendingExpiryQueue
+} = require('../services/orderExpiryService');
+const { PERMISSIONS } = require('../config/permissions');
+const { setStock } = require('../services/stockService');
+const { MAX_ATTEMPTS, replayEvent } = require('../services/webhookService');
+const { searchProducts, invalidateSearchIndex } = require('../services/searchService');
+const { getZeroResultQueries } = require('../services/searchQueryService');
+const { addVariant, updateVariant, removeVariant } = require('../services/productVariantService');
+const { createProduct, importCatalog, exportCatalog } = require('../services/catalogService');
 const multer = require('multer');
 
 // Multer setup for memory storage
@@ -14,15 +42,24 @@ const upload = multer({
     limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
-// All routes require admin access
-router.use(protect, adminOnly);
+// All routes require a staff login; each route checks its own permission
+router.use(protect);
+
+// Staff can only assign roles, and manage accounts holding roles, whose permissions they hold themselves
+const getRoleBlock = async (req, roleName) => {
+    if (!roleName) return null;
+    const permissions = await getRolePermissions(roleName);
+    return coversPermissions(req.permissions, permissions)
+        ? null
+        : `You cannot manage accounts with the '${roleName}' role`;
+};
 
 // ========== USER MANAGEMENT ==========
 
 // @route   GET /api/admin/users
 // @desc    Get all users
-// @access  Admin only
-router.get('/users', async (req, res) => {
+// @access  Permission: users:view
+router.get('/users', requirePermission('users:view'), async (req, res) => {
     try {
         const { role, search, status, page = 1, limit = 20 } = req.query;
 
@@ -69,8 +106,8 @@ router.get('/users', async (req, res) => {
 
 // @route   GET /api/admin/users/:id
 // @desc    Get single user
-// @access  Admin only
-router.get('/users/:id', async (req, res) => {
+// @access  Permission: users:view
+router.get('/users/:id', requirePermission('users:view'), async (req, res) => {
     try {
         const user = await User.findById(req.params.id).select('-password');
 
@@ -104,8 +141,8 @@ router.get('/users/:id', async (req, res) => {
 
 // @route   POST /api/admin/users
 // @desc    Create a new user (staff accounts)
-// @access  Admin only
-router.post('/users', async (req, res) => {
+// @access  Permission: users:manage
+router.post('/users', requirePermission('users:manage'), async (req, res) => {
     try {
         const { name, email, password, phone, role } = req.body;
 
@@ -117,6 +154,21 @@ router.post('/users', async (req, res) => {
             });
         }
 
+        if (role && !(await Role.exists({ name: role }))) {
+            return res.status(400).json({
+                success: false,
+                message: `Role '${role}' does not exist`
+            });
+        }
+
+        const roleBlock = await getRoleBlock(req, role);
+        if (roleBlock) {
+            return res.status(403).json({
+                success: false,
+                message: roleBlock
+            });
+        }
+
         const user = await User.create({
             name,
             email,
@@ -144,14 +196,52 @@ router.post('/users', async (req, res) => {
 
 // @route   PUT /api/admin/users/:id
 // @desc    Update user
-// @access  Admin only
-router.put('/users/:id', async (req, res) => {
+// @access  Permission: users:manage
+router.put('/users/:id', requirePermission('users:manage'), async (req, res) => {
     try {
         const { name, phone, role, isActive } = req.body;
 
+        if (role && !(await Role.exists({ name: role }))) {
+            return res.status(400).json({
+                success: false,
+                message: `Role '${role}' does not exist`
+            });
+        }
+
+        const existing = await User.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (role && role !== existing.role && existing._id.equals(req.user._id)) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        const roleBlock = await getRoleBlock(req, existing.role) || await getRoleBlock(req, role);
+        if (roleBlock) {
+            return res.status(403).json({
+                success: false,
+                message: roleBlock
+            });
+        }
+
+        const update = { name, phone, role, isActive };
+
+        // A new phone number has to be verified again (see PUT /api/auth/profile)
+        if (phone !== undefined && phone !== existing.phone) {
+            update.isPhoneVerified = false;
+            update.$unset = { 'verification.phone': 1 };
+        }
+
         const user = await User.findByIdAndUpdate(
             req.params.id,
-            { name, phone, role, isActive },
+            update,
             { new: true, runValidators: true }
         ).select('-password');
 
@@ -162,6 +252,10 @@ router.put('/users/:id', async (req, res) => {
             });
         }
 
+        if (isActive === false) {
+            await revokeAllSessions(user._id, 'Account deactivated by admin');
+        }
+
         res.json({
             success: true,
             data: user
@@ -176,9 +270,25 @@ router.put('/users/:id', async (req, res) => {
 
 // @route   DELETE /api/admin/users/:id
 // @desc    Delete/deactivate user
-// @access  Admin only
-router.delete('/users/:id', async (req, res) => {
+// @access  Permission: users:manage
+router.delete('/users/:id', requirePermission('users:manage'), async (req, res) => {
     try {
+        const existing = await User.findById(req.params.id);
+        if (!existing) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const roleBlock = await getRoleBlock(req, existing.role);
+        if (roleBlock) {
+            return res.status(403).json({
+                success: false,
+                message: roleBlock
+            });
+        }
+
         // Soft delete - just deactivate
         const user = await User.findByIdAndUpdate(
             req.params.id,
@@ -193,6 +303,8 @@ router.delete('/users/:id', async (req, res) => {
             });
         }
 
+        await revokeAllSessions(user._id, 'Account deactivated by admin');
+
         res.json({
             success: true,
             message: 'User deactivated successfully'
@@ -205,17 +317,157 @@ router.delete('/users/:id', async (req, res) => {
     }
 });
 
+// @route   POST /api/admin/users/:id/unlock
+// @desc    Unlock an account locked after failed logins
+// @access  Permission: users:manage
+router.post('/users/:id/unlock', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const roleBlock = await getRoleBlock(req, user.role);
+        if (roleBlock) {
+            return res.status(403).json({
+                success: false,
+                message: roleBlock
+            });
+        }
+
+        await resetFailedLogins(user._id);
+
+        res.json({
+            success: true,
+            message: 'Account unlocked successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/users/:id/reset-2fa
+// @desc    Reset two-factor authentication for a user who lost their device
+// @access  Permission: users:manage
+router.post('/users/:id/reset-2fa', requirePermission('users:manage'), async (req, res) => {
+    try {
+        const user = await User.findById(req.params.id);
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        const roleBlock = await getRoleBlock(req, user.role);
+        if (roleBlock) {
+            return res.status(403).json({
+                success: false,
+                message: roleBlock
+            });
+        }
+
+        await disableTwoFactor(user._id);
+        await revokeAllSessions(user._id, 'Two-factor authentication reset by admin');
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication reset. The user must enroll again at next login.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/users/:id/login-history
+// @desc    Get login audit trail for a user
+// @access  Permission: users:view
+router.get('/users/:id/login-history', requirePermission('users:view'), async (req, res) => {
+    try {
+        const { success, startDate, endDate, page = 1, limit = 20 } = req.query;
+
+        const user = await User.findById(req.params.id).select('email failedLoginAttempts lockUntil lastLogin');
+
+        if (!user) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        // Include attempts against the email that did not resolve to the user
+        let query = { $or: [{ user: user._id }, { email: user.email }] };
+
+        if (success === 'true') query.success = true;
+        if (success === 'false') query.success = false;
+
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const attempts = await LoginAudit.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await LoginAudit.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: {
+                lockStatus: {
+                    isLocked: user.isLocked(),
+                    lockUntil: user.isLocked() ? user.lockUntil : null,
+                    failedLoginAttempts: user.failedLoginAttempts,
+                    lastLogin: user.lastLogin
+                },
+                attempts
+            },
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // ========== PRODUCT MANAGEMENT ==========
 
 // @route   POST /api/admin/products
 // @desc    Create product with image upload
-// @access  Admin only
-router.post('/products', upload.array('images', 5), async (req, res) => {
+// @access  Permission: products:manage
+router.post('/products', requirePermission('products:manage'), upload.array('images', 5), async (req, res) => {
     try {
-        const productData = JSON.parse(req.body.data || '{}');
+        // Nothing is reserved for a new product
+        const { reservedStock, ...productData } = JSON.parse(req.body.data || '{}');
+        if (Array.isArray(productData.variants)) {
+            productData.variants = productData.variants.map(({ reservedStock: _, ...variant }) => variant);
+        }
 
-        const product = new Product(productData);
-        await product.save();
+        // Saves the product and its inventory records (one per variant)
+        const product = await createProduct(productData, { updatedBy: req.user._id });
 
         // Upload images to Supabase
         if (req.files && req.files.length > 0) {
@@ -234,12 +486,7 @@ router.post('/products', upload.array('images', 5), async (req, res) => {
             await product.save();
         }
 
-        // Create inventory record
-        await Inventory.create({
-            product: product._id,
-            totalStock: product.stock || 0,
-            lowStockThreshold: product.lowStockThreshold || 5
-        });
+        invalidateSearchIndex();
 
         res.status(201).json({
             success: true,
@@ -255,8 +502,8 @@ router.post('/products', upload.array('images', 5), async (req, res) => {
 
 // @route   PUT /api/admin/products/:id
 // @desc    Update product with image upload
-// @access  Admin only
-router.put('/products/:id', upload.array('images', 5), async (req, res) => {
+// @access  Permission: products:manage
+router.put('/products/:id', requirePermission('products:manage'), upload.array('images', 5), async (req, res) => {
     try {
         const productData = JSON.parse(req.body.data || '{}');
         const keepImages = req.body.keepImages ? JSON.parse(req.body.keepImages) : [];
@@ -269,8 +516,26 @@ router.put('/products/:id', upload.array('images', 5), async (req, res) => {
             });
         }
 
+        // Stock only changes through the stock service so it is logged and reservations are respected;
+        // variants are managed through /products/:id/variants
+        const { stock, reservedStock, variants, ...fields } = productData;
+
+        if (stock !== undefined && Number(stock) !== product.stock) {
+            const result = await setStock(product._id, Number(stock), {
+                reason: 'Product edit',
+                updatedBy: req.user._id
+            });
+
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+        }
+
         // Update product fields
-        Object.assign(product, productData);
+        Object.assign(product, fields);
 
         // Handle images
         let finalImages = keepImages; // Images to keep from existing
@@ -292,19 +557,18 @@ router.put('/products/:id', upload.array('images', 5), async (req, res) => {
         product.images = finalImages;
         await product.save();
 
-        // Update inventory if stock changed
-        await Inventory.findOneAndUpdate(
+        await Inventory.updateOne(
             { product: product._id },
-            {
-                totalStock: product.stock,
-                lowStockThreshold: product.lowStockThreshold || 5
-            },
-            { upsert: true }
+            { lowStockThreshold: product.lowStockThreshold || 5 }
         );
 
+        invalidateSearchIndex();
+
+        const updatedProduct = await Product.findById(product._id);
+
         res.json({
             success: true,
-            data: product
+            data: updatedProduct
         });
     } catch (error) {
         res.status(500).json({
@@ -316,8 +580,8 @@ router.put('/products/:id', upload.array('images', 5), async (req, res) => {
 
 // @route   DELETE /api/admin/products/:id
 // @desc    Delete product
-// @access  Admin only
-router.delete('/products/:id', async (req, res) => {
+// @access  Permission: products:manage
+router.delete('/products/:id', requirePermission('products:manage'), async (req, res) => {
     try {
         const product = await Product.findById(req.params.id);
 
@@ -335,11 +599,12 @@ router.delete('/products/:id', async (req, res) => {
             console.error('Error deleting product images:', err);
         }
 
-        // Delete inventory record
-        await Inventory.deleteOne({ product: product._id });
+        // Delete inventory records (one per variant for products with variants)
+        await Inventory.deleteMany({ product: product._id });
 
         // Delete product
         await product.deleteOne();
+        invalidateSearchIndex();
 
         res.json({
             success: true,
@@ -353,51 +618,52 @@ router.delete('/products/:id', async (req, res) => {
     }
 });
 
-// ========== ORDER MANAGEMENT ==========
-
-// @route   GET /api/admin/orders
-// @desc    Get all orders with filters
-// @access  Admin only
-router.get('/orders', async (req, res) => {
+// @route   POST /api/admin/products/:id/variants
+// @desc    Add a variant (SKU, options, price, images, opening stock) to a product
+// @access  Permission: products:manage
+router.post('/products/:id/variants', requirePermission('products:manage'), upload.array('images', 5), async (req, res) => {
     try {
-        const { status, startDate, endDate, search, page = 1, limit = 20 } = req.query;
-
-        let query = {};
-
-        if (status) query.status = status;
+        const variantData = JSON.parse(req.body.data || '{}');
 
-        if (startDate || endDate) {
-            query.createdAt = {};
-            if (startDate) query.createdAt.$gte = new Date(startDate);
-            if (endDate) query.createdAt.$lte = new Date(endDate);
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
         }
 
-        if (search) {
-            query.$or = [
-                { orderNumber: { $regex: search, $options: 'i' } }
-            ];
+        // Upload variant images to Supabase
+        if (req.files && req.files.length > 0) {
+            const imageUrls = [];
+            for (let i = 0; i < req.files.length; i++) {
+                const file = req.files[i];
+                const result = await uploadProductImage(
+                    file.buffer,
+                    product._id.toString(),
+                    i,
+                    file.mimetype
+                );
+                imageUrls.push(result.url);
+            }
+            variantData.images = [...(variantData.images || []), ...imageUrls];
         }
 
-        const skip = (Number(page) - 1) * Number(limit);
+        const result = await addVariant(product, variantData, { updatedBy: req.user._id });
 
-        const orders = await Order.find(query)
-            .populate('user', 'name email phone')
-            .populate('delivery.partner', 'name phone')
-            .sort({ createdAt: -1 })
-            .skip(skip)
-            .limit(Number(limit));
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
 
-        const total = await Order.countDocuments(query);
+        invalidateSearchIndex();
 
-        res.json({
+        res.status(201).json({
             success: true,
-            data: orders,
-            pagination: {
-                page: Number(page),
-                limit: Number(limit),
-                total,
-                pages: Math.ceil(total / Number(limit))
-            }
+            data: result.product,
+            variant: result.variant
         });
     } catch (error) {
         res.status(500).json({
@@ -407,17 +673,53 @@ router.get('/orders', async (req, res) => {
     }
 });
 
-// @route   GET /api/admin/delivery-partners
-// @desc    Get all delivery partners
-// @access  Admin only
-router.get('/delivery-partners', async (req, res) => {
+// @route   PUT /api/admin/products/:id/variants/:variantId
+// @desc    Update a variant (stock is set as a stock take)
+// @access  Permission: products:manage
+router.put('/products/:id/variants/:variantId', requirePermission('products:manage'), upload.array('images', 5), async (req, res) => {
     try {
-        const partners = await User.find({ role: 'delivery_partner', isActive: true })
-            .select('name email phone');
+        const variantData = JSON.parse(req.body.data || '{}');
+
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // New images are added to the kept ones (keepImages), as for products
+        if (req.body.keepImages || (req.files && req.files.length > 0)) {
+            const images = req.body.keepImages ? JSON.parse(req.body.keepImages) : [];
+            for (let i = 0; i < (req.files || []).length; i++) {
+                const file = req.files[i];
+                const result = await uploadProductImage(
+                    file.buffer,
+                    product._id.toString(),
+                    images.length + i,
+                    file.mimetype
+                );
+                images.push(result.url);
+            }
+            variantData.images = images;
+        }
+
+        const result = await updateVariant(product, req.params.variantId, variantData, {
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        invalidateSearchIndex();
 
         res.json({
             success: true,
-            data: partners
+            data: result.product
         });
     } catch (error) {
         res.status(500).json({
@@ -427,17 +729,33 @@ router.get('/delivery-partners', async (req, res) => {
     }
 });
 
-// @route   GET /api/admin/inventory-managers
-// @desc    Get all inventory managers
-// @access  Admin only
-router.get('/inventory-managers', async (req, res) => {
+// @route   DELETE /api/admin/products/:id/variants/:variantId
+// @desc    Delete a variant that holds no stock
+// @access  Permission: products:manage
+router.delete('/products/:id/variants/:variantId', requirePermission('products:manage'), async (req, res) => {
     try {
-        const managers = await User.find({ role: 'inventory_manager', isActive: true })
-            .select('name email phone');
+        const product = await Product.findById(req.params.id);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        const result = await removeVariant(product, req.params.variantId);
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        invalidateSearchIndex();
 
         res.json({
             success: true,
-            data: managers
+            data: result.product
         });
     } catch (error) {
         res.status(500).json({
@@ -447,6 +765,1074 @@ router.get('/inventory-managers', async (req, res) => {
     }
 });
 
+// @route   POST /api/admin/products/import
+// @desc    Import products from a CSV or JSON catalogue file (field: file), matched by SKU.
+//          dryRun=true only validates; skipInvalid=true imports the valid products when others have errors
+// @access  Permission: products:manage
+router.post('/products/import', requirePermission('products:manage'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Catalogue file is required'
+            });
+        }
+
+        const text = req.file.buffer.toString('utf8');
+        const format = req.body.format ||
+            (/\.json$/i.test(req.file.originalname) || /^\s*[[{]/.test(text) ? 'json' : 'csv');
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be csv or json'
+            });
+        }
+
+        const dryRun = req.body.dryRun === true || req.body.dryRun === 'true';
+        const result = await importCatalog({
+            text,
+            format,
+            dryRun,
+            skipInvalid: req.body.skipInvalid === true || req.body.skipInvalid === 'true',
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const report = { dryRun, format, fileName: req.file.originalname, ...result };
+        delete report.success;
+
+        if (dryRun) {
+            return res.json({
+                success: true,
+                data: report
+            });
+        }
+
+        if (!result.applied) {
+            return res.status(422).json({
+                success: false,
+                message: 'Nothing was imported - fix the errors or use skipInvalid=true',
+                data: report
+            });
+        }
+
+        invalidateSearchIndex();
+
+        await recordAudit({
+            action: 'catalog.import',
+            actor: req.user._id,
+            metadata: { fileName: req.file.originalname, format, summary: result.summary }
+        }, req);
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/products/export
+// @desc    Download the catalogue in the import format (?format=csv|json)
+// @access  Permission: products:manage
+router.get('/products/export', requirePermission('products:manage'), async (req, res) => {
+    try {
+        const { format = 'csv' } = req.query;
+
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Format must be csv or json'
+            });
+        }
+
+        const content = await exportCatalog(format);
+        const date = new Date().toISOString().slice(0, 10);
+
+        res.setHeader('Content-Type', format === 'json' ? 'application/json' : 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="products-${date}.${format}"`);
+        res.send(content);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========== ORDER MANAGEMENT ==========
+
+// @route   GET /api/admin/orders
+// @desc    Get all orders with filters
+// @access  Permission: orders:view_all
+router.get('/orders', requirePermission('orders:view_all'), async (req, res) => {
+    try {
+        const { status, startDate, endDate, search, page = 1, limit = 20 } = req.query;
+
+        let query = {};
+
+        if (status) query.status = status;
+
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+
+        if (search) {
+            query.$or = [
+                { orderNumber: { $regex: search, $options: 'i' } }
+            ];
+        }
+
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const orders = await Order.find(query)
+            .populate('user', 'name email phone')
+            .populate('delivery.partner', 'name phone')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await Order.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: orders,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/delivery-partners
+// @desc    Get all delivery partners
+// @access  Permission: users:view or orders:assign_delivery or deliveries:manage
+router.get('/delivery-partners', requirePermission('users:view', 'orders:assign_delivery', 'deliveries:manage'), async (req, res) => {
+    try {
+        const partners = await User.find({ role: 'delivery_partner', isActive: true })
+            .select('name email phone');
+
+        res.json({
+            success: true,
+            data: partners
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/inventory-managers
+// @desc    Get all inventory managers
+// @access  Permission: users:view
+router.get('/inventory-managers', requirePermission('users:view'), async (req, res) => {
+    try {
+        const managers = await User.find({ role: 'inventory_manager', isActive: true })
+            .select('name email phone');
+
+        res.json({
+            success: true,
+            data: managers
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/orders/pending-expiry
+// @desc    Unpaid orders waiting to be cancelled, soonest first
+// @access  Permission: orders:view_all
+router.get('/orders/pending-expiry', requirePermission('orders:view_all'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+
+        const { orders, total } = await getPendingExpiryQueue({ page, limit });
+
+        res.json({
+            success: true,
+            data: orders,
+            paymentWindowMinutes: PAYMENT_WINDOW_MINUTES,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/orders/:id/expire
+// @desc    Expire an unpaid order now instead of waiting for the scheduler
+// @access  Permission: orders:cancel
+router.post('/orders/:id/expire', requirePermission('orders:cancel'), async (req, res) => {
+    try {
+        const expired = await expireOrder(req.params.id);
+
+        if (!expired) {
+            return res.status(400).json({
+                success: false,
+                message: 'Only unpaid orders awaiting payment can be expired'
+            });
+        }
+
+        res.json({
+            success: true,
+            message: 'Order expired and reserved stock released'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========== IMPERSONATION & AUDIT ==========
+
+// Longest allowed impersonation session
+const MAX_IMPERSONATION_MINUTES = 30;
+
+// @route   POST /api/admin/users/:id/impersonate
+// @desc    Issue a time-limited token to view the store as a customer
+// @access  Permission: users:impersonate
+router.post('/users/:id/impersonate', requirePermission('users:impersonate'), async (req, res) => {
+    try {
+        const { reason, durationMinutes = 15 } = req.body;
+
+        if (!reason || !reason.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to impersonate a customer'
+            });
+        }
+
+        const duration = Math.min(Math.max(Number(durationMinutes) || 15, 1), MAX_IMPERSONATION_MINUTES);
+
+        const target = await User.findById(req.params.id);
+
+        if (!target) {
+            return res.status(404).json({
+                success: false,
+                message: 'User not found'
+            });
+        }
+
+        if (target.role !== 'customer') {
+            return res.status(400).json({
+                success: false,
+                message: 'Only customer accounts can be impersonated'
+            });
+        }
+
+        if (!target.isActive) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cannot impersonate a deactivated account'
+            });
+        }
+
+        const { token, session } = await createImpersonationSession(req.user, target, req, {
+            durationMinutes: duration,
+            reason: reason.trim()
+        });
+
+        await recordAudit({
+            action: 'impersonation.start',
+            actor: req.user._id,
+            subject: target._id,
+            session: session._id,
+            metadata: { reason: reason.trim(), durationMinutes: duration }
+        }, req);
+
+        res.status(201).json({
+            success: true,
+            data: {
+                token,
+                sessionId: session._id,
+                expiresAt: session.expiresAt,
+                user: {
+                    _id: target._id,
+                    name: target.name,
+                    email: target.email
+                }
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/impersonation/sessions
+// @desc    List active impersonation sessions
+// @access  Permission: users:impersonate
+router.get('/impersonation/sessions', requirePermission('users:impersonate'), async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            impersonatedBy: { $exists: true },
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        })
+            .populate('user', 'name email')
+            .populate('impersonatedBy', 'name email')
+            .sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            data: sessions
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/admin/impersonation/:sessionId
+// @desc    End an impersonation session
+// @access  Permission: users:impersonate
+router.delete('/impersonation/:sessionId', requirePermission('users:impersonate'), async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            impersonatedBy: { $exists: true }
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Impersonation session not found'
+            });
+        }
+
+        await revokeSession(session._id, 'Impersonation ended');
+
+        await recordAudit({
+            action: 'impersonation.end',
+            actor: req.user._id,
+            subject: session.user,
+            session: session._id
+        }, req);
+
+        res.json({
+            success: true,
+            message: 'Impersonation session ended'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/audit-logs
+// @desc    Query the audit log (e.g. all actions taken while impersonating)
+// @access  Permission: audit:view
+router.get('/audit-logs', requirePermission('audit:view'), async (req, res) => {
+    try {
+        const { action, actor, subject, session, startDate, endDate, page = 1, limit = 50 } = req.query;
+
+        let query = {};
+
+        if (action) query.action = action;
+        if (actor) query.actor = actor;
+        if (subject) query.subject = subject;
+        if (session) query.session = session;
+
+        if (startDate || endDate) {
+            query.createdAt = {};
+            if (startDate) query.createdAt.$gte = new Date(startDate);
+            if (endDate) query.createdAt.$lte = new Date(endDate);
+        }
+
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const logs = await AuditLog.find(query)
+            .populate('actor', 'name email')
+            .populate('subject', 'name email')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await AuditLog.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: logs,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========== ROLE & PERMISSION MANAGEMENT ==========
+
+// @route   GET /api/admin/permissions
+// @desc    List all available permissions
+// @access  Permission: roles:manage
+router.get('/permissions', requirePermission('roles:manage'), async (req, res) => {
+    res.json({
+        success: true,
+        data: Object.entries(PERMISSIONS).map(([key, description]) => ({ key, description }))
+    });
+});
+
+// @route   GET /api/admin/roles
+// @desc    List roles with their permissions and member counts
+// @access  Permission: roles:manage
+router.get('/roles', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const roles = await Role.find().sort({ isSystem: -1, name: 1 }).lean();
+
+        const memberCounts = await User.aggregate([
+            { $group: { _id: '$role', count: { $sum: 1 } } }
+        ]);
+        const countByRole = memberCounts.reduce((acc, item) => {
+            acc[item._id] = item.count;
+            return acc;
+        }, {});
+
+        res.json({
+            success: true,
+            data: roles.map(role => ({
+                ...role,
+                userCount: countByRole[role.name] || 0
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/roles
+// @desc    Create a custom role
+// @access  Permission: roles:manage
+router.post('/roles', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { name, description, permissions } = req.body;
+
+        const existingRole = await Role.findOne({ name: (name || '').toLowerCase().trim() });
+        if (existingRole) {
+            return res.status(400).json({
+                success: false,
+                message: 'A role with this name already exists'
+            });
+        }
+
+        if (permissions !== undefined && !coversPermissions(req.permissions, [].concat(permissions))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only grant permissions you hold yourself'
+            });
+        }
+
+        const role = await Role.create({ name, description, permissions });
+
+        res.status(201).json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/admin/roles/:id
+// @desc    Update a role's description or permissions
+// @access  Permission: roles:manage
+router.put('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const { description, permissions } = req.body;
+
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        // Keep the admin role from being locked out
+        if (role.name === 'admin' && permissions !== undefined) {
+            return res.status(400).json({
+                success: false,
+                message: 'Permissions of the admin role cannot be changed'
+            });
+        }
+
+        if (role.name === req.user.role) {
+            return res.status(403).json({
+                success: false,
+                message: 'You cannot change your own role'
+            });
+        }
+
+        // Only roles no stronger than the caller's, and only with permissions the caller holds
+        if (!coversPermissions(req.permissions, role.permissions) ||
+            (permissions !== undefined && !coversPermissions(req.permissions, [].concat(permissions)))) {
+            return res.status(403).json({
+                success: false,
+                message: 'You can only grant permissions you hold yourself'
+            });
+        }
+
+        if (description !== undefined) role.description = description;
+        if (permissions !== undefined) role.permissions = permissions;
+
+        await role.save();
+        invalidateRoleCache(role.name);
+
+        res.json({
+            success: true,
+            data: role
+        });
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/admin/roles/:id
+// @desc    Delete a custom role
+// @access  Permission: roles:manage
+router.delete('/roles/:id', requirePermission('roles:manage'), async (req, res) => {
+    try {
+        const role = await Role.findById(req.params.id);
+
+        if (!role) {
+            return res.status(404).json({
+                success: false,
+                message: 'Role not found'
+            });
+        }
+
+        if (role.isSystem) {
+            return res.status(400).json({
+                success: false,
+                message: 'Built-in roles cannot be deleted'
+            });
+        }
+
+        const userCount = await User.countDocuments({ role: role.name });
+        if (userCount > 0) {
+            return res.status(400).json({
+                success: false,
+                message: `Role is assigned to ${userCount} user(s). Reassign them first.`
+            });
+        }
+
+        await role.deleteOne();
+        invalidateRoleCache(role.name);
+
+        res.json({
+            success: true,
+            message: 'Role deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========== COUPON MANAGEMENT ==========
+
+// Fields an admin may set on a coupon
+const COUPON_FIELDS = [
+    'code', 'description', 'discountType', 'value', 'maxDiscount', 'minCartValue',
+    'applicableCategories', 'applicableProducts', 'usageLimit', 'perUserLimit',
+    'validFrom', 'validUntil', 'isActive'
+];
+
+const pickCouponFields = (body) => COUPON_FIELDS.reduce((acc, field) => {
+    if (body[field] !== undefined) acc[field] = body[field];
+    return acc;
+}, {});
+
+// @route   GET /api/admin/coupons
+// @desc    List coupons
+// @access  Permission: coupons:manage
+router.get('/coupons', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const { search, status, page = 1, limit = 20 } = req.query;
+
+        let query = {};
+
+        if (status === 'active') query.isActive = true;
+        if (status === 'inactive') query.isActive = false;
+        if (status === 'expired') query.validUntil = { $lt: new Date() };
+        if (search) query.code = { $regex: search, $options: 'i' };
+
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const coupons = await Coupon.find(query)
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await Coupon.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: coupons,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/coupons/report
+// @desc    Redemption totals per coupon
+// @access  Permission: coupons:manage
+router.get('/coupons/report', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const { startDate, endDate } = req.query;
+
+        const match = {};
+        if (startDate || endDate) {
+            match.createdAt = {};
+            if (startDate) match.createdAt.$gte = new Date(startDate);
+            if (endDate) match.createdAt.$lte = new Date(endDate);
+        }
+
+        const report = await CouponRedemption.aggregate([
+            { $match: match },
+            {
+                $group: {
+                    _id: '$coupon',
+                    code: { $first: '$code' },
+                    redemptions: { $sum: 1 },
+                    uniqueUsers: { $addToSet: '$user' },
+                    totalDiscount: { $sum: '$discountAmount' },
+                    lastRedeemedAt: { $max: '$createdAt' }
+                }
+            },
+            {
+                $lookup: {
+                    from: 'orders',
+                    let: { couponId: '$_id' },
+                    pipeline: [
+                        { $match: { $expr: { $eq: ['$discount.coupon', '$$couponId'] }, status: { $ne: 'cancelled' } } },
+                        { $group: { _id: null, revenue: { $sum: '$totalAmount' } } }
+                    ],
+                    as: 'orders'
+                }
+            },
+            {
+                $project: {
+                    code: 1,
+                    redemptions: 1,
+                    uniqueUsers: { $size: '$uniqueUsers' },
+                    totalDiscount: 1,
+                    revenue: { $ifNull: [{ $arrayElemAt: ['$orders.revenue', 0] }, 0] },
+                    lastRedeemedAt: 1
+                }
+            },
+            { $sort: { redemptions: -1 } }
+        ]);
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/coupons/:id
+// @desc    Get a coupon
+// @access  Permission: coupons:manage
+router.get('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id)
+            .populate('applicableProducts', 'name price')
+            .populate('createdBy', 'name email');
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/coupons
+// @desc    Create a coupon
+// @access  Permission: coupons:manage
+router.post('/coupons', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const fields = pickCouponFields(req.body);
+
+        const existing = await Coupon.findOne({ code: String(fields.code || '').toUpperCase().trim() });
+        if (existing) {
+            return res.status(400).json({
+                success: false,
+                message: 'A coupon with this code already exists'
+            });
+        }
+
+        const coupon = await Coupon.create({
+            ...fields,
+            createdBy: req.user._id
+        });
+
+        res.status(201).json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/admin/coupons/:id
+// @desc    Update a coupon
+// @access  Permission: coupons:manage
+router.put('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const fields = pickCouponFields(req.body);
+
+        // Redeemed coupons keep their code so reports stay readable
+        if (fields.code && coupon.usedCount > 0 && fields.code.toUpperCase().trim() !== coupon.code) {
+            return res.status(400).json({
+                success: false,
+                message: 'The code of a coupon that has been used cannot be changed'
+            });
+        }
+
+        coupon.set(fields);
+        await coupon.save();
+
+        res.json({
+            success: true,
+            data: coupon
+        });
+    } catch (error) {
+        const status = error.name === 'ValidationError' ? 400 : 500;
+        res.status(status).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/admin/coupons/:id
+// @desc    Delete a coupon (deactivated instead if it has been used)
+// @access  Permission: coupons:manage
+router.delete('/coupons/:id', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const coupon = await Coupon.findById(req.params.id);
+
+        if (!coupon) {
+            return res.status(404).json({
+                success: false,
+                message: 'Coupon not found'
+            });
+        }
+
+        const redeemed = await CouponRedemption.exists({ coupon: coupon._id });
 
+        if (redeemed) {
+            coupon.isActive = false;
+            await coupon.save();
+
+            return res.json({
+                success: true,
+                message: 'Coupon has redemptions and was deactivated instead of deleted'
+            });
+        }
+
+        await coupon.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Coupon deleted successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/coupons/:id/redemptions
+// @desc    List redemptions of a coupon
+// @access  Permission: coupons:manage
+router.get('/coupons/:id/redemptions', requirePermission('coupons:manage'), async (req, res) => {
+    try {
+        const { page = 1, limit = 20 } = req.query;
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const query = { coupon: req.params.id };
+
+        const redemptions = await CouponRedemption.find(query)
+            .populate('user', 'name email')
+            .populate('order', 'totalAmount status createdAt')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await CouponRedemption.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: redemptions,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========== PAYMENT WEBHOOKS ==========
+
+// @route   GET /api/admin/webhook-events
+// @desc    List stored gateway webhooks (status=dead for the dead-letter list)
+// @access  Permission: payments:manage
+router.get('/webhook-events', requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const { status, event, page = 1, limit = 20 } = req.query;
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const query = {};
+        if (status) query.status = status;
+        if (event) query.event = event;
+
+        const events = await WebhookEvent.find(query)
+            .select('-payload -errorHistory')
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await WebhookEvent.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: events,
+            maxAttempts: MAX_ATTEMPTS,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/admin/webhook-events/:id
+// @desc    Get a stored webhook with its payload and errors
+// @access  Permission: payments:manage
+router.get('/webhook-events/:id', requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const event = await WebhookEvent.findById(req.params.id)
+            .populate('replays.by', 'name email');
+
+        if (!event) {
+            return res.status(404).json({
+                success: false,
+                message: 'Webhook event not found'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: event
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/admin/webhook-events/:id/replay
+// @desc    Process a stored webhook again (e.g. from the dead-letter list)
+// @access  Permission: payments:manage
+router.post('/webhook-events/:id/replay', requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const result = await replayEvent(req.params.id, req.user._id);
+
+        if (result.status === 404) {
+            return res.status(404).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await recordAudit({
+            action: 'webhook.replay',
+            actor: req.user._id,
+            metadata: { webhookEventId: req.params.id, success: result.success }
+        }, req);
+
+        res.status(result.success ? 200 : 422).json({
+            success: result.success,
+            message: result.success ? 'Webhook event replayed' : result.message,
+            data: result.event
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// ========== SEARCH INSIGHTS ==========
+
+// @route   GET /api/admin/search/zero-results
+// @desc    Storefront searches that found no products, most frequent first
+// @access  Permission: products:manage or analytics:view
+router.get('/search/zero-results', requirePermission('products:manage', 'analytics:view'), async (req, res) => {
+    try {
+        const { days = 30, page = 1, limit = 50 } = req.query;
+
+        const { queries, total, totalSearches, zeroResultSearches } = await getZeroResultQueries({
+            days: Number(days),
+            page: Number(page),
+            limit: Number(limit)
+        });
+
+        // Show what each query finds against today's catalogue
+        const data = await Promise.all(queries.map(async (entry) => {
+            const { total: currentResults, didYouMean } = await searchProducts({ q: entry.query, limit: 1 });
+            return { ...entry, currentResults, didYouMean };
+        }));
+
+        res.json({
+            success: true,
+            data,
+            summary: {
+                days: Number(days),
+                totalSearches,
+                zeroResultSearches,
+                zeroResultRate: totalSearches > 0
+                    ? Math.round((zeroResultSearches / totalSearches) * 1000) / 10
+                    : 0
+            },
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
 
 module.exports = router;
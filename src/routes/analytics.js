@@ -5,14 +5,14 @@ const User = require('../models/User');
 const Product = require('../models/Product');
 const Inventory = require('../models/Inventory');
 const Delivery = require('../models/Delivery');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
 
-// All routes require admin access
-router.use(protect, adminOnly);
+// All routes require analytics access
+router.use(protect, requirePermission('analytics:view'));
 
 // @route   GET /api/analytics/users
 // @desc    Get user analytics
-// @access  Admin only
+// @access  Permission: analytics:view
 router.get('/users', async (req, res) => {
     try {
         const totalUsers = await User.countDocuments({ role: 'customer' });
@@ -75,7 +75,7 @@ router.get('/users', async (req, res) => {
 
 // @route   GET /api/analytics/sales
 // @desc    Get sales analytics
-// @access  Admin only
+// @access  Permission: analytics:view
 router.get('/sales', async (req, res) => {
     try {
         const { period = '30' } = req.query;
@@ -191,12 +191,12 @@ router.get('/sales', async (req, res) => {
 
 // @route   GET /api/analytics/revenue
 // @desc    Get revenue analytics
-// @access  Admin only
+// @access  Permission: analytics:view
 router.get('/revenue', async (req, res) => {
     try {
         // Revenue by payment method
         const revenueByMethod = await Order.aggregate([
-            { $match: { 'payment.status': 'completed' } },
+            { $match: { 'payment.status': { $in: ['completed', 'partially_refunded'] } } },
             {
                 $group: {
                     _id: '$payment.method',
@@ -213,7 +213,7 @@ router.get('/revenue', async (req, res) => {
         const dailyRevenue = await Order.aggregate([
             {
                 $match: {
-                    'payment.status': 'completed',
+                    'payment.status': { $in: ['completed', 'partially_refunded'] },
                     createdAt: { $gte: last30Days }
                 }
             },
@@ -229,7 +229,7 @@ router.get('/revenue', async (req, res) => {
 
         // Monthly revenue
         const monthlyRevenue = await Order.aggregate([
-            { $match: { 'payment.status': 'completed' } },
+            { $match: { 'payment.status': { $in: ['completed', 'partially_refunded'] } } },
             {
                 $group: {
                     _id: { $dateToString: { format: '%Y-%m', date: '$createdAt' } },
@@ -254,12 +254,24 @@ router.get('/revenue', async (req, res) => {
 
         // Refunds
         const refundStats = await Order.aggregate([
-            { $match: { 'payment.status': 'refunded' } },
+            { $match: { 'payment.status': { $in: ['partially_refunded', 'refunded'] } } },
             {
                 $group: {
                     _id: null,
                     count: { $sum: 1 },
-                    totalRefunded: { $sum: '$totalAmount' }
+                    partialCount: {
+                        $sum: { $cond: [{ $eq: ['$payment.status', 'partially_refunded'] }, 1, 0] }
+                    },
+                    // Orders refunded before amounts were recorded count in full
+                    totalRefunded: {
+                        $sum: {
+                            $cond: [
+                                { $gt: ['$payment.refundedAmount', 0] },
+                                '$payment.refundedAmount',
+                                '$totalAmount'
+                            ]
+                        }
+                    }
                 }
             }
         ]);
@@ -277,7 +289,7 @@ router.get('/revenue', async (req, res) => {
                     acc[item._id] = item.count;
                     return acc;
                 }, {}),
-                refunds: refundStats[0] || { count: 0, totalRefunded: 0 }
+                refunds: refundStats[0] || { count: 0, partialCount: 0, totalRefunded: 0 }
             }
         });
     } catch (error) {
@@ -290,7 +302,7 @@ router.get('/revenue', async (req, res) => {
 
 // @route   GET /api/analytics/inventory
 // @desc    Get inventory analytics
-// @access  Admin only
+// @access  Permission: analytics:view
 router.get('/inventory', async (req, res) => {
     try {
         const inventory = await Inventory.find().populate('product', 'name category price');
@@ -366,7 +378,7 @@ router.get('/inventory', async (req, res) => {
 
 // @route   GET /api/analytics/delivery
 // @desc    Get delivery analytics
-// @access  Admin only
+// @access  Permission: analytics:view
 router.get('/delivery', async (req, res) => {
     try {
         // Deliveries by status
@@ -457,17 +469,19 @@ router.get('/delivery', async (req, res) => {
 
 // @route   GET /api/analytics/dashboard
 // @desc    Get dashboard summary
-// @access  Admin only
+// @access  Permission: analytics:view
 // @route   GET /api/analytics/dashboard
 // @desc    Get comprehensive admin dashboard analytics (Command Center)
-// @access  Admin only
+// @access  Permission: analytics:view
 router.get('/dashboard', async (req, res) => {
     try {
         const [users, products, orders, lowStock] = await Promise.all([
             User.countDocuments({ role: 'customer' }),
             Product.countDocuments(),
             Order.find({}).select('totalAmount status createdAt'),
-            Inventory.countDocuments({ isLowStock: true })
+            Inventory.countDocuments({
+                $expr: { $lte: [{ $subtract: ['$totalStock', '$reservedStock'] }, '$lowStockThreshold'] }
+            })
         ]);
 
         const totalRevenue = orders.reduce((acc, order) => acc + (order.status !== 'cancelled' ? order.totalAmount : 0), 0);
@@ -1,13 +1,65 @@
 const express = require('express');
 const router = express.Router();
-const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const User = require('../models/User');
-const { protect } = require('../middleware/auth');
-
-// Generate JWT Token
-const generateToken = (id) => {
-    return jwt.sign({ id }, process.env.JWT_SECRET, {
-        expiresIn: '30d'
+const Session = require('../models/Session');
+const { protect, protectAllowTwoFactorSetup, blockImpersonation } = require('../middleware/auth');
+const { sendPasswordResetEmail } = require('../services/mailService');
+const { sendVerificationCode, confirmVerificationCode } = require('../services/verificationService');
+const {
+    LOCK_MINUTES,
+    recordLoginAttempt,
+    getIpRetryAfter,
+    getUserRetryAfter,
+    registerFailedLogin
+} = require('../services/loginProtectionService');
+const {
+    createSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge
+} = require('../services/tokenService');
+const {
+    isTwoFactorRequired,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    countRecoveryCodes
+} = require('../services/twoFactorService');
+
+// Finish a successful login: reset counters, audit and start a session
+const completeLogin = async (req, res, user, { twoFactorVerified }) => {
+    user.lastLogin = new Date();
+    user.failedLoginAttempts = 0;
+    user.lastFailedLoginAt = undefined;
+    user.lockUntil = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    await recordLoginAttempt(req, { user, email: user.email, success: true, reason: 'success' });
+
+    const { token, refreshToken } = await createSession(user, req, { twoFactorVerified });
+
+    res.json({
+        success: true,
+        data: {
+            _id: user._id,
+            name: user.name,
+            email: user.email,
+            role: user.role,
+            phone: user.phone,
+            addresses: user.addresses,
+            avatar: user.avatar,
+            isEmailVerified: user.isEmailVerified,
+            isPhoneVerified: user.isPhoneVerified,
+            twoFactorEnabled: user.twoFactor.enabled,
+            twoFactorSetupRequired: isTwoFactorRequired(user.role) && !user.twoFactor.enabled,
+            token,
+            refreshToken
+        }
     });
 };
 
@@ -35,7 +87,14 @@ router.post('/register', async (req, res) => {
             phone
         });
 
-        const token = generateToken(user._id);
+        const { token, refreshToken } = await createSession(user, req);
+
+        // Registration succeeds even if the code cannot be delivered; it can be resent
+        try {
+            await sendVerificationCode(user._id, 'email');
+        } catch (mailError) {
+            console.error('Verification mail error:', mailError.message);
+        }
 
         res.status(201).json({
             success: true,
@@ -44,7 +103,10 @@ router.post('/register', async (req, res) => {
                 name: user.name,
                 email: user.email,
                 role: user.role,
-                token
+                isEmailVerified: user.isEmailVerified,
+                isPhoneVerified: user.isPhoneVerified,
+                token,
+                refreshToken
             }
         });
     } catch (error) {
@@ -69,50 +131,149 @@ router.post('/login', async (req, res) => {
             });
         }
 
-        const user = await User.findOne({ email }).select('+password');
+        const normalizedEmail = String(email).toLowerCase().trim();
+
+        const ipRetryAfter = await getIpRetryAfter(req.ip);
+        if (ipRetryAfter > 0) {
+            await recordLoginAttempt(req, { email: normalizedEmail, success: false, reason: 'ip_throttled' });
+            res.set('Retry-After', String(ipRetryAfter));
+            return res.status(429).json({
+                success: false,
+                message: 'Too many failed login attempts from this network. Please try again later.',
+                retryAfter: ipRetryAfter
+            });
+        }
+
+        const user = await User.findOne({ email: normalizedEmail }).select('+password');
 
         if (!user) {
+            await recordLoginAttempt(req, { email: normalizedEmail, success: false, reason: 'unknown_email' });
             return res.status(401).json({
                 success: false,
                 message: 'Invalid credentials'
             });
         }
 
+        const retryAfter = getUserRetryAfter(user);
+        if (retryAfter > 0) {
+            const locked = user.isLocked();
+            await recordLoginAttempt(req, {
+                user,
+                email: normalizedEmail,
+                success: false,
+                reason: locked ? 'locked' : 'throttled'
+            });
+            res.set('Retry-After', String(retryAfter));
+            return res.status(locked ? 423 : 429).json({
+                success: false,
+                message: locked
+                    ? 'Account is temporarily locked after too many failed attempts. Please try again later or reset your password.'
+                    : `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+                retryAfter
+            });
+        }
+
         const isMatch = await user.comparePassword(password);
 
         if (!isMatch) {
+            const locked = await registerFailedLogin(user);
+            await recordLoginAttempt(req, { user, email: normalizedEmail, success: false, reason: 'invalid_password' });
             return res.status(401).json({
                 success: false,
-                message: 'Invalid credentials'
+                message: locked
+                    ? `Invalid credentials. Account locked for ${LOCK_MINUTES} minutes.`
+                    : 'Invalid credentials'
             });
         }
 
         if (!user.isActive) {
+            await recordLoginAttempt(req, { user, email: normalizedEmail, success: false, reason: 'deactivated' });
             return res.status(401).json({
                 success: false,
                 message: 'Account is deactivated. Please contact support.'
             });
         }
 
-        // Update last login
-        user.lastLogin = new Date();
-        await user.save({ validateBeforeSave: false });
+        // Second step required - issue a short-lived challenge instead of a session
+        if (user.twoFactor.enabled) {
+            return res.json({
+                success: true,
+                data: {
+                    twoFactorRequired: true,
+                    challengeToken: generateTwoFactorChallenge(user._id)
+                }
+            });
+        }
+
+        await completeLogin(req, res, user, { twoFactorVerified: false });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
 
-        const token = generateToken(user._id);
+// @route   POST /api/auth/login/2fa
+// @desc    Second login step - verify authenticator or recovery code
+// @access  Public (requires challenge token from /login)
+router.post('/login/2fa', async (req, res) => {
+    try {
+        const { challengeToken, code, recoveryCode } = req.body;
 
-        res.json({
-            success: true,
-            data: {
-                _id: user._id,
-                name: user.name,
+        const userId = challengeToken && verifyTwoFactorChallenge(challengeToken);
+
+        if (!userId) {
+            return res.status(401).json({
+                success: false,
+                message: 'Login challenge is invalid or has expired. Please log in again.'
+            });
+        }
+
+        if (!code && !recoveryCode) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an authenticator code or a recovery code'
+            });
+        }
+
+        const user = await User.findById(userId);
+
+        if (!user || !user.isActive) {
+            return res.status(401).json({
+                success: false,
+                message: 'Account is deactivated. Please contact support.'
+            });
+        }
+
+        const retryAfter = getUserRetryAfter(user);
+        if (retryAfter > 0) {
+            await recordLoginAttempt(req, {
+                user,
                 email: user.email,
-                role: user.role,
-                phone: user.phone,
-                addresses: user.addresses,
-                avatar: user.avatar,
-                token
-            }
-        });
+                success: false,
+                reason: user.isLocked() ? 'locked' : 'throttled'
+            });
+            res.set('Retry-After', String(retryAfter));
+            return res.status(user.isLocked() ? 423 : 429).json({
+                success: false,
+                message: `Too many failed attempts. Please wait ${retryAfter} seconds before trying again.`,
+                retryAfter
+            });
+        }
+
+        const isValid = await verifySecondFactor(user._id, { code, recoveryCode });
+
+        if (!isValid) {
+            await registerFailedLogin(user);
+            await recordLoginAttempt(req, { user, email: user.email, success: false, reason: 'invalid_two_factor' });
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        await completeLogin(req, res, user, { twoFactorVerified: true });
     } catch (error) {
         res.status(500).json({
             success: false,
@@ -124,7 +285,7 @@ router.post('/login', async (req, res) => {
 // @route   GET /api/auth/profile
 // @desc    Get current user profile
 // @access  Private
-router.get('/profile', protect, async (req, res) => {
+router.get('/profile', protectAllowTwoFactorSetup, async (req, res) => {
     try {
         const user = await User.findById(req.user._id);
         res.json({
@@ -142,13 +303,21 @@ router.get('/profile', protect, async (req, res) => {
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
-router.put('/profile', protect, async (req, res) => {
+router.put('/profile', protect, blockImpersonation, async (req, res) => {
     try {
         const { name, phone, avatar } = req.body;
 
+        const update = { name, phone, avatar };
+
+        // A new phone number has to be verified again; a code sent to the old one must not verify it
+        if (phone !== undefined && phone !== req.user.phone) {
+            update.isPhoneVerified = false;
+            update.$unset = { 'verification.phone': 1 };
+        }
+
         const user = await User.findByIdAndUpdate(
             req.user._id,
-            { name, phone, avatar },
+            update,
             { new: true, runValidators: true }
         );
 
@@ -264,7 +433,7 @@ router.delete('/address/:addressId', protect, async (req, res) => {
 // @route   PUT /api/auth/change-password
 // @desc    Change password
 // @access  Private
-router.put('/change-password', protect, async (req, res) => {
+router.put('/change-password', protect, blockImpersonation, async (req, res) => {
     try {
         const { currentPassword, newPassword } = req.body;
 
@@ -281,9 +450,521 @@ router.put('/change-password', protect, async (req, res) => {
         user.password = newPassword;
         await user.save();
 
+        // Sign out every device, then start a fresh session for this one
+        await revokeAllSessions(user._id, 'Password changed');
+        const { token, refreshToken } = await createSession(user, req, {
+            twoFactorVerified: req.authSession.twoFactorVerified
+        });
+
+        res.json({
+            success: true,
+            message: 'Password updated successfully',
+            data: { token, refreshToken }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Send password reset link
+// @access  Public
+router.post('/forgot-password', async (req, res) => {
+    try {
+        const { email } = req.body;
+
+        if (!email) {
+            return res.status(400).json({
+                success: false,
+                message: 'Please provide an email'
+            });
+        }
+
+        // Same response whether or not the account exists
+        const genericResponse = {
+            success: true,
+            message: 'If an account exists for this email, a reset link has been sent'
+        };
+
+        const user = await User.findOne({ email: email.toLowerCase().trim() });
+
+        if (!user || !user.isActive) {
+            return res.json(genericResponse);
+        }
+
+        const resetToken = user.getResetPasswordToken();
+        await user.save({ validateBeforeSave: false });
+
+        try {
+            await sendPasswordResetEmail(user, resetToken);
+        } catch (mailError) {
+            console.error('Password reset mail error:', mailError.message);
+            user.resetPasswordToken = undefined;
+            user.resetPasswordExpire = undefined;
+            await user.save({ validateBeforeSave: false });
+
+            return res.status(500).json({
+                success: false,
+                message: 'Could not send reset email. Please try again later.'
+            });
+        }
+
+        res.json(genericResponse);
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/reset-password/:token
+// @desc    Reset password using emailed token
+// @access  Public
+router.post('/reset-password/:token', async (req, res) => {
+    try {
+        const { password } = req.body;
+
+        if (!password || password.length < 6) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password must be at least 6 characters'
+            });
+        }
+
+        const hashedToken = crypto
+            .createHash('sha256')
+            .update(req.params.token)
+            .digest('hex');
+
+        const user = await User.findOne({
+            resetPasswordToken: hashedToken,
+            resetPasswordExpire: { $gt: Date.now() }
+        });
+
+        if (!user) {
+            return res.status(400).json({
+                success: false,
+                message: 'Reset link is invalid or has expired'
+            });
+        }
+
+        // Single use - clear the token along with the new password
+        user.password = password;
+        user.resetPasswordToken = undefined;
+        user.resetPasswordExpire = undefined;
+
+        // Proving email ownership also lifts a failed-login lock
+        user.failedLoginAttempts = 0;
+        user.lastFailedLoginAt = undefined;
+        user.lockUntil = undefined;
+        await user.save();
+
+        await revokeAllSessions(user._id, 'Password reset');
+
+        res.json({
+            success: true,
+            message: 'Password has been reset. Please log in with your new password.'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public (requires valid refresh token)
+router.post('/refresh', async (req, res) => {
+    try {
+        const { refreshToken } = req.body;
+
+        if (!refreshToken) {
+            return res.status(400).json({
+                success: false,
+                message: 'Refresh token is required'
+            });
+        }
+
+        const result = await rotateRefreshToken(refreshToken, req);
+
+        if (!result) {
+            return res.status(401).json({
+                success: false,
+                message: 'Invalid or expired refresh token'
+            });
+        }
+
+        const user = await User.findById(result.session.user);
+
+        if (!user || !user.isActive) {
+            await revokeSession(result.session._id, 'Account is deactivated');
+            return res.status(401).json({
+                success: false,
+                message: 'Account is deactivated'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: {
+                token: result.token,
+                refreshToken: result.refreshToken
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/logout
+// @desc    Log out the current device
+// @access  Private
+router.post('/logout', protectAllowTwoFactorSetup, async (req, res) => {
+    try {
+        await revokeSession(req.authSession._id, 'Logged out');
+
+        res.json({
+            success: true,
+            message: 'Logged out successfully'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out from all devices
+// @access  Private
+router.post('/logout-all', protect, blockImpersonation, async (req, res) => {
+    try {
+        const count = await revokeAllSessions(req.user._id, 'Logged out from all devices');
+
+        res.json({
+            success: true,
+            message: `Logged out from ${count} device(s)`
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions (devices)
+// @access  Private
+router.get('/sessions', protect, async (req, res) => {
+    try {
+        const sessions = await Session.find({
+            user: req.user._id,
+            revokedAt: null,
+            expiresAt: { $gt: new Date() }
+        }).sort({ lastUsedAt: -1 });
+
+        res.json({
+            success: true,
+            data: sessions.map(session => ({
+                _id: session._id,
+                device: session.device,
+                lastUsedAt: session.lastUsedAt,
+                createdAt: session.createdAt,
+                isCurrent: session._id.toString() === req.authSession._id.toString()
+            }))
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/auth/sessions/:sessionId
+// @desc    Log out a specific device
+// @access  Private
+router.delete('/sessions/:sessionId', protect, blockImpersonation, async (req, res) => {
+    try {
+        const session = await Session.findOne({
+            _id: req.params.sessionId,
+            user: req.user._id
+        });
+
+        if (!session) {
+            return res.status(404).json({
+                success: false,
+                message: 'Session not found'
+            });
+        }
+
+        await revokeSession(session._id, 'Revoked by user');
+
+        res.json({
+            success: true,
+            message: 'Session revoked'
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/verify/:channel/send
+// @desc    Send an email or phone verification code
+// @access  Private
+router.post('/verify/:channel/send', protect, blockImpersonation, async (req, res) => {
+    try {
+        const { channel } = req.params;
+
+        if (!['email', 'phone'].includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Channel must be email or phone'
+            });
+        }
+
+        const result = await sendVerificationCode(req.user._id, channel);
+
+        if (!result.success) {
+            if (result.retryAfter) {
+                res.set('Retry-After', String(result.retryAfter));
+            }
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                retryAfter: result.retryAfter
+            });
+        }
+
+        res.json({
+            success: true,
+            message: result.message
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/verify/:channel/confirm
+// @desc    Confirm an email or phone verification code
+// @access  Private
+router.post('/verify/:channel/confirm', protect, blockImpersonation, async (req, res) => {
+    try {
+        const { channel } = req.params;
+        const { code } = req.body;
+
+        if (!['email', 'phone'].includes(channel)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Channel must be email or phone'
+            });
+        }
+
+        const result = await confirmVerificationCode(req.user._id, channel, code);
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const user = await User.findById(req.user._id);
+
+        res.json({
+            success: true,
+            message: result.message,
+            data: {
+                isEmailVerified: user.isEmailVerified,
+                isPhoneVerified: user.isPhoneVerified
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/auth/2fa/status
+// @desc    Get two-factor authentication status
+// @access  Private
+router.get('/2fa/status', protectAllowTwoFactorSetup, async (req, res) => {
+    try {
+        res.json({
+            success: true,
+            data: {
+                enabled: req.user.twoFactor.enabled,
+                enabledAt: req.user.twoFactor.enabledAt,
+                required: isTwoFactorRequired(req.user.role),
+                recoveryCodesRemaining: req.user.twoFactor.enabled
+                    ? await countRecoveryCodes(req.user._id)
+                    : 0
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment - returns secret and otpauth URI for the QR code
+// @access  Private
+router.post('/2fa/setup', protectAllowTwoFactorSetup, blockImpersonation, async (req, res) => {
+    try {
+        if (req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const { secret, otpauthUri } = await startEnrollment(req.user._id);
+
+        res.json({
+            success: true,
+            data: { secret, otpauthUri }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/enable
+// @desc    Confirm enrollment with a code and receive recovery codes
+// @access  Private
+router.post('/2fa/enable', protectAllowTwoFactorSetup, blockImpersonation, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is already enabled'
+            });
+        }
+
+        const recoveryCodes = await confirmEnrollment(req.user._id, code);
+
+        if (!recoveryCodes) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid code. Run setup again if the code keeps failing.'
+            });
+        }
+
+        // This device just proved the second factor; sign out the others
+        await Session.updateOne({ _id: req.authSession._id }, { twoFactorVerified: true });
+        await revokeAllSessions(req.user._id, 'Two-factor authentication enabled', req.authSession._id);
+
+        res.json({
+            success: true,
+            message: 'Two-factor authentication enabled. Store your recovery codes somewhere safe.',
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Regenerate recovery codes
+// @access  Private
+router.post('/2fa/recovery-codes', protect, blockImpersonation, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (!(await verifySecondFactor(req.user._id, { code }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid authentication code'
+            });
+        }
+
+        const recoveryCodes = await regenerateRecoveryCodes(req.user._id);
+
+        res.json({
+            success: true,
+            data: { recoveryCodes }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Disable two-factor authentication
+// @access  Private
+router.post('/2fa/disable', protect, blockImpersonation, async (req, res) => {
+    try {
+        const { password, code } = req.body;
+
+        if (!req.user.twoFactor.enabled) {
+            return res.status(400).json({
+                success: false,
+                message: 'Two-factor authentication is not enabled'
+            });
+        }
+
+        if (isTwoFactorRequired(req.user.role)) {
+            return res.status(403).json({
+                success: false,
+                message: 'Two-factor authentication is mandatory for your role'
+            });
+        }
+
+        const user = await User.findById(req.user._id).select('+password');
+
+        if (!password || !(await user.comparePassword(password)) ||
+            !(await verifySecondFactor(user._id, { code }))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Password or authentication code is incorrect'
+            });
+        }
+
+        await disableTwoFactor(user._id);
+
         res.json({
             success: true,
-            message: 'Password updated successfully'
+            message: 'Two-factor authentication disabled'
         });
     } catch (error) {
         res.status(500).json({
@@ -3,6 +3,12 @@ const router = express.Router();
 const Cart = require('../models/Cart');
 const Product = require('../models/Product');
 const { protect } = require('../middleware/auth');
+const { checkAvailability, resolveVariant, isSameLine, addToCart } = require('../services/cartService');
+const {
+    applyCouponToCart,
+    removeCouponFromCart,
+    refreshCartDiscount
+} = require('../services/couponService');
 
 // @route   GET /api/cart
 // @desc    Get user's cart
@@ -33,11 +39,11 @@ router.get('/', protect, async (req, res) => {
 });
 
 // @route   POST /api/cart/add
-// @desc    Add item to cart
+// @desc    Add item to cart (variantId is required for products with variants)
 // @access  Private
 router.post('/add', protect, async (req, res) => {
     try {
-        const { productId, quantity = 1 } = req.body;
+        const { productId, variantId, quantity = 1 } = req.body;
 
         const product = await Product.findById(productId);
         if (!product) {
@@ -47,67 +53,22 @@ router.post('/add', protect, async (req, res) => {
             });
         }
 
-        if (!product.isAvailable) {
-            return res.status(400).json({
-                success: false,
-                message: 'Product is not available'
-            });
-        }
+        const result = await addToCart(req.user._id, product, quantity, variantId);
 
-        // Check stock availability
-        const stockValue = product.stock || 0;
-        const reservedValue = product.reservedStock || 0;
-        const availableStock = stockValue - reservedValue;
-        if (quantity > availableStock) {
-            return res.status(400).json({
+        if (!result.success) {
+            return res.status(result.status).json({
                 success: false,
-                message: `Only ${availableStock} units available`
+                message: result.message
             });
         }
 
-        let cart = await Cart.findOne({ user: req.user._id });
-
-        if (!cart) {
-            cart = new Cart({ user: req.user._id, items: [] });
-        }
-
-        // Check if product already in cart
-        const existingItemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId
-        );
-
-        const price = product.discountPrice > 0 ? product.discountPrice : product.price;
-
-        if (existingItemIndex > -1) {
-            // Update quantity
-            const newQuantity = cart.items[existingItemIndex].quantity + quantity;
-            if (newQuantity > availableStock) {
-                return res.status(400).json({
-                    success: false,
-                    message: `Cannot add more. Only ${availableStock} units available`
-                });
-            }
-            cart.items[existingItemIndex].quantity = newQuantity;
-            cart.items[existingItemIndex].price = price;
-            cart.items[existingItemIndex].shippingFees = product.shippingFees || 0;
-        } else {
-            // Add new item
-            cart.items.push({
-                product: productId,
-                quantity,
-                price,
-                shippingFees: product.shippingFees || 0
-            });
-        }
-
-        await cart.save();
-
-        cart = await Cart.findById(cart._id)
+        const cart = await Cart.findById(result.cart._id)
             .populate('items.product', 'name price discountPrice images stock shippingFees');
 
         res.json({
             success: true,
-            data: cart
+            data: cart,
+            couponMessage: result.couponMessage || undefined
         });
     } catch (error) {
         console.error('Cart ADD Error:', error);
@@ -123,7 +84,7 @@ router.post('/add', protect, async (req, res) => {
 // @access  Private
 router.put('/update', protect, async (req, res) => {
     try {
-        const { productId, quantity } = req.body;
+        const { productId, variantId, quantity } = req.body;
 
         if (quantity < 1) {
             return res.status(400).json({
@@ -140,13 +101,19 @@ router.put('/update', protect, async (req, res) => {
             });
         }
 
-        const stockValue = product.stock || 0;
-        const reservedValue = product.reservedStock || 0;
-        const availableStock = stockValue - reservedValue;
-        if (quantity > availableStock) {
+        const resolved = resolveVariant(product, variantId);
+        if (!resolved.success) {
+            return res.status(resolved.status).json({
+                success: false,
+                message: resolved.message
+            });
+        }
+
+        const availability = checkAvailability(product, quantity, resolved.variant);
+        if (!availability.available) {
             return res.status(400).json({
                 success: false,
-                message: `Only ${availableStock} units available`
+                message: availability.message
             });
         }
 
@@ -160,7 +127,7 @@ router.put('/update', protect, async (req, res) => {
         }
 
         const itemIndex = cart.items.findIndex(
-            item => item.product.toString() === productId
+            item => isSameLine(item, productId, variantId)
         );
 
         if (itemIndex === -1) {
@@ -171,6 +138,7 @@ router.put('/update', protect, async (req, res) => {
         }
 
         cart.items[itemIndex].quantity = quantity;
+        const couponMessage = await refreshCartDiscount(cart, req.user._id);
         await cart.save();
 
         const updatedCart = await Cart.findById(cart._id)
@@ -178,7 +146,8 @@ router.put('/update', protect, async (req, res) => {
 
         res.json({
             success: true,
-            data: updatedCart
+            data: updatedCart,
+            couponMessage: couponMessage || undefined
         });
     } catch (error) {
         res.status(500).json({
@@ -189,7 +158,7 @@ router.put('/update', protect, async (req, res) => {
 });
 
 // @route   DELETE /api/cart/remove/:productId
-// @desc    Remove item from cart
+// @desc    Remove item from cart (?variantId= for a variant)
 // @access  Private
 router.delete('/remove/:productId', protect, async (req, res) => {
     try {
@@ -203,9 +172,10 @@ router.delete('/remove/:productId', protect, async (req, res) => {
         }
 
         cart.items = cart.items.filter(
-            item => item.product.toString() !== req.params.productId
+            item => !isSameLine(item, req.params.productId, req.query.variantId)
         );
 
+        const couponMessage = await refreshCartDiscount(cart, req.user._id);
         await cart.save();
 
         const updatedCart = await Cart.findById(cart._id)
@@ -213,7 +183,8 @@ router.delete('/remove/:productId', protect, async (req, res) => {
 
         res.json({
             success: true,
-            data: updatedCart
+            data: updatedCart,
+            couponMessage: couponMessage || undefined
         });
     } catch (error) {
         res.status(500).json({
@@ -247,4 +218,86 @@ router.delete('/clear', protect, async (req, res) => {
     }
 });
 
+// @route   POST /api/cart/apply-coupon
+// @desc    Apply a coupon code to the cart
+// @access  Private
+router.post('/apply-coupon', protect, async (req, res) => {
+    try {
+        const { code } = req.body;
+
+        if (!code) {
+            return res.status(400).json({
+                success: false,
+                message: 'Coupon code is required'
+            });
+        }
+
+        const cart = await Cart.findOne({ user: req.user._id });
+
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart not found'
+            });
+        }
+
+        const result = await applyCouponToCart(cart, code, req.user._id);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        await cart.save();
+
+        const updatedCart = await Cart.findById(cart._id)
+            .populate('items.product', 'name price discountPrice images stock shippingFees');
+
+        res.json({
+            success: true,
+            message: `Coupon applied. You save ₹${updatedCart.discountAmount}`,
+            data: updatedCart
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/cart/coupon
+// @desc    Remove the applied coupon
+// @access  Private
+router.delete('/coupon', protect, async (req, res) => {
+    try {
+        const cart = await Cart.findOne({ user: req.user._id });
+
+        if (!cart) {
+            return res.status(404).json({
+                success: false,
+                message: 'Cart not found'
+            });
+        }
+
+        removeCouponFromCart(cart);
+        await cart.save();
+
+        const updatedCart = await Cart.findById(cart._id)
+            .populate('items.product', 'name price discountPrice images stock shippingFees');
+
+        res.json({
+            success: true,
+            data: updatedCart
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 module.exports = router;
@@ -2,7 +2,14 @@ const express = require('express');
 const router = express.Router();
 const Delivery = require('../models/Delivery');
 const Order = require('../models/Order');
-const { protect, deliveryAccess, adminOnly } = require('../middleware/auth');
+const { protect, can, deliveryAccess, requirePermission } = require('../middleware/auth');
+const {
+    DELIVERY_TRANSITIONS,
+    getAllowedDeliveryTransitions,
+    transitionOrder,
+    transitionDelivery
+} = require('../services/orderStateService');
+const { collectCodPayment, getCodReconciliation } = require('../services/codService');
 
 // @route   GET /api/delivery/assigned
 // @desc    Get assigned deliveries for current delivery partner
@@ -13,8 +20,8 @@ router.get('/assigned', protect, deliveryAccess, async (req, res) => {
 
         let query = {};
 
-        // If delivery partner, only show their deliveries
-        if (req.user.role === 'delivery_partner') {
+        // Without deliveries:manage, only show the partner's own deliveries
+        if (!can(req, 'deliveries:manage')) {
             query.partner = req.user._id;
         }
 
@@ -25,7 +32,7 @@ router.get('/assigned', protect, deliveryAccess, async (req, res) => {
         const deliveries = await Delivery.find(query)
             .populate({
                 path: 'order',
-                select: 'orderNumber items totalAmount shippingAddress status',
+                select: 'orderNumber items totalAmount shippingAddress status payment.mode payment.status',
                 populate: {
                     path: 'items.product',
                     select: 'name images'
@@ -46,6 +53,46 @@ router.get('/assigned', protect, deliveryAccess, async (req, res) => {
     }
 });
 
+// @route   GET /api/delivery/cod/reconciliation
+// @desc    Daily cash on delivery reconciliation per delivery partner
+// @access  Delivery Partner / Admin
+router.get('/cod/reconciliation', protect, deliveryAccess, async (req, res) => {
+    try {
+        const { date, partnerId } = req.query;
+
+        const day = date ? new Date(date) : new Date();
+        if (isNaN(day.getTime())) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date'
+            });
+        }
+
+        // Without deliveries:manage, partners only see their own cash
+        const partner = can(req, 'deliveries:manage') ? partnerId : req.user._id;
+
+        const partners = await getCodReconciliation(day, partner);
+
+        res.json({
+            success: true,
+            data: {
+                date: day.toISOString().slice(0, 10),
+                partners,
+                totals: partners.reduce((totals, row) => ({
+                    expectedAmount: totals.expectedAmount + row.expectedAmount,
+                    collectedAmount: totals.collectedAmount + row.collectedAmount,
+                    shortfall: totals.shortfall + row.shortfall
+                }), { expectedAmount: 0, collectedAmount: 0, shortfall: 0 })
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // @route   GET /api/delivery/:id
 // @desc    Get single delivery details
 // @access  Delivery Partner / Admin
@@ -69,7 +116,7 @@ router.get('/:id', protect, deliveryAccess, async (req, res) => {
         }
 
         // Check access
-        if (req.user.role === 'delivery_partner' &&
+        if (!can(req, 'deliveries:manage') &&
             delivery.partner._id.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
@@ -96,8 +143,7 @@ router.put('/:id/status', protect, deliveryAccess, async (req, res) => {
     try {
         const { status, note, location } = req.body;
 
-        const validStatuses = ['assigned', 'picked', 'in_transit', 'out_for_delivery', 'delivered', 'failed'];
-        if (!validStatuses.includes(status)) {
+        if (!DELIVERY_TRANSITIONS[status]) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid status'
@@ -114,7 +160,7 @@ router.put('/:id/status', protect, deliveryAccess, async (req, res) => {
         }
 
         // Check access
-        if (req.user.role === 'delivery_partner' &&
+        if (!can(req, 'deliveries:manage') &&
             delivery.partner.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
@@ -122,37 +168,22 @@ router.put('/:id/status', protect, deliveryAccess, async (req, res) => {
             });
         }
 
-        delivery.status = status;
-        delivery.statusHistory.push({
-            status,
-            location,
+        // The order follows the delivery (picked -> packed, in transit -> shipped, ...)
+        const order = await Order.findById(delivery.order);
+        const result = await transitionDelivery(delivery, order, status, {
             note,
-            timestamp: new Date()
+            location,
+            updatedBy: req.user._id
         });
 
-        // Update order status based on delivery status
-        const order = await Order.findById(delivery.order);
-        if (order) {
-            if (status === 'picked') {
-                order.status = 'packed';
-            } else if (status === 'in_transit' || status === 'out_for_delivery') {
-                order.status = 'shipped';
-            } else if (status === 'delivered') {
-                order.status = 'delivered';
-                delivery.actualDeliveryDate = new Date();
-            }
-
-            order.statusHistory.push({
-                status: order.status,
-                note: `Delivery status: ${status}`,
-                updatedBy: req.user._id
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                allowedTransitions: getAllowedDeliveryTransitions(delivery)
             });
-
-            await order.save();
         }
 
-        await delivery.save();
-
         res.json({
             success: true,
             data: delivery
@@ -170,7 +201,7 @@ router.put('/:id/status', protect, deliveryAccess, async (req, res) => {
 // @access  Delivery Partner
 router.post('/:id/confirm', protect, deliveryAccess, async (req, res) => {
     try {
-        const { signature, proofImage, note } = req.body;
+        const { signature, proofImage, note, collectedAmount } = req.body;
 
         const delivery = await Delivery.findById(req.params.id);
 
@@ -182,7 +213,7 @@ router.post('/:id/confirm', protect, deliveryAccess, async (req, res) => {
         }
 
         // Check access
-        if (req.user.role === 'delivery_partner' &&
+        if (!can(req, 'deliveries:manage') &&
             delivery.partner.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
@@ -190,30 +221,53 @@ router.post('/:id/confirm', protect, deliveryAccess, async (req, res) => {
             });
         }
 
-        delivery.status = 'delivered';
-        delivery.actualDeliveryDate = new Date();
         delivery.customerSignature = signature;
         delivery.proofOfDelivery = proofImage;
 
-        delivery.statusHistory.push({
-            status: 'delivered',
-            note: note || 'Delivery confirmed',
-            timestamp: new Date()
-        });
+        const order = await Order.findById(delivery.order);
 
-        await delivery.save();
+        // Cash on delivery: the partner confirms the cash was collected
+        if (order && order.payment.mode === 'cod') {
+            const collection = collectCodPayment(order, collectedAmount, req.user._id);
+
+            if (!collection.success) {
+                return res.status(collection.status).json({
+                    success: false,
+                    message: collection.message
+                });
+            }
+        }
+
+        if (delivery.status !== 'delivered') {
+            const result = await transitionDelivery(delivery, order, 'delivered', {
+                note: note || 'Delivery confirmed',
+                updatedBy: req.user._id
+            });
+
+            if (!result.success) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+        } else {
+            await delivery.save();
+        }
 
         // Update order to completed
-        const order = await Order.findById(delivery.order);
         if (order) {
-            order.status = 'completed';
-            order.delivery.actualDate = new Date();
-            order.statusHistory.push({
-                status: 'completed',
+            const result = await transitionOrder(order, 'completed', {
                 note: 'Order delivered and confirmed',
-                updatedBy: req.user._id
+                updatedBy: req.user._id,
+                advance: true
             });
-            await order.save();
+
+            if (!result.success) {
+                return res.status(result.status).json({
+                    success: false,
+                    message: result.message
+                });
+            }
         }
 
         res.json({
@@ -231,8 +285,8 @@ router.post('/:id/confirm', protect, deliveryAccess, async (req, res) => {
 
 // @route   POST /api/delivery/assign
 // @desc    Assign delivery to partner
-// @access  Admin only
-router.post('/assign', protect, adminOnly, async (req, res) => {
+// @access  Permission: deliveries:manage
+router.post('/assign', protect, requirePermission('deliveries:manage'), async (req, res) => {
     try {
         const { orderId, partnerId, estimatedDate, pickupAddress } = req.body;
 
@@ -244,6 +298,13 @@ router.post('/assign', protect, adminOnly, async (req, res) => {
             });
         }
 
+        if (['cancelled', 'delivered', 'completed'].includes(order.status)) {
+            return res.status(400).json({
+                success: false,
+                message: `Cannot assign delivery for an order in ${order.status} status`
+            });
+        }
+
         // Check if delivery already exists
         let delivery = await Delivery.findOne({ order: orderId });
 
@@ -252,6 +313,13 @@ router.post('/assign', protect, adminOnly, async (req, res) => {
             delivery.partner = partnerId;
             delivery.estimatedDate = estimatedDate;
             if (pickupAddress) delivery.pickupAddress = pickupAddress;
+
+            if (delivery.status === 'failed') {
+                await transitionDelivery(delivery, order, 'assigned', {
+                    note: 'Re-assigned after a failed attempt',
+                    updatedBy: req.user._id
+                });
+            }
         } else {
             // Create new delivery
             delivery = new Delivery({
@@ -295,8 +363,8 @@ router.post('/assign', protect, adminOnly, async (req, res) => {
 
 // @route   GET /api/delivery/all
 // @desc    Get all deliveries
-// @access  Admin only
-router.get('/all', protect, adminOnly, async (req, res) => {
+// @access  Permission: deliveries:manage
+router.get('/all', protect, requirePermission('deliveries:manage'), async (req, res) => {
     try {
         const { status, partnerId, page = 1, limit = 20 } = req.query;
 
@@ -336,8 +404,8 @@ router.get('/all', protect, adminOnly, async (req, res) => {
 
 // @route   GET /api/delivery/stats
 // @desc    Get delivery partner performance stats
-// @access  Delivery Partner only
-router.get('/stats', protect, deliveryAccess, async (req, res) => {
+// @access  Permission: deliveries:fulfil
+router.get('/stats', protect, requirePermission('deliveries:fulfil'), async (req, res) => {
     try {
         const partnerId = req.user._id;
 
@@ -2,12 +2,13 @@ const express = require('express');
 const router = express.Router();
 const Inventory = require('../models/Inventory');
 const Product = require('../models/Product');
-const { protect, inventoryAccess } = require('../middleware/auth');
+const { protect, requirePermission } = require('../middleware/auth');
+const { addStock, removeStock, setStock, reconcileStock } = require('../services/stockService');
 
 // @route   GET /api/inventory
 // @desc    Get all inventory
-// @access  Inventory Manager / Admin
-router.get('/', protect, inventoryAccess, async (req, res) => {
+// @access  Permission: inventory:view
+router.get('/', protect, requirePermission('inventory:view'), async (req, res) => {
     try {
         const { lowStock, search, page = 1, limit = 20 } = req.query;
 
@@ -30,7 +31,8 @@ router.get('/', protect, inventoryAccess, async (req, res) => {
         if (search) {
             const searchLower = search.toLowerCase();
             inventoryItems = inventoryItems.filter(item =>
-                item.product && item.product.name.toLowerCase().includes(searchLower)
+                (item.product && item.product.name.toLowerCase().includes(searchLower)) ||
+                (item.sku && item.sku.toLowerCase().includes(searchLower))
             );
         }
 
@@ -56,8 +58,8 @@ router.get('/', protect, inventoryAccess, async (req, res) => {
 
 // @route   GET /api/inventory/low-stock
 // @desc    Get low stock items
-// @access  Inventory Manager / Admin
-router.get('/low-stock', protect, inventoryAccess, async (req, res) => {
+// @access  Permission: inventory:view
+router.get('/low-stock', protect, requirePermission('inventory:view'), async (req, res) => {
     try {
         const inventoryItems = await Inventory.find()
             .populate('product', 'name category images price');
@@ -79,8 +81,8 @@ router.get('/low-stock', protect, inventoryAccess, async (req, res) => {
 
 // @route   GET /api/inventory/analytics
 // @desc    Get inventory analytics
-// @access  Inventory Manager / Admin
-router.get('/analytics', protect, inventoryAccess, async (req, res) => {
+// @access  Permission: inventory:view
+router.get('/analytics', protect, requirePermission('inventory:view'), async (req, res) => {
     try {
         const inventory = await Inventory.find().populate('product', 'name category price');
 
@@ -157,13 +159,53 @@ router.get('/analytics', protect, inventoryAccess, async (req, res) => {
     }
 });
 
+// @route   GET /api/inventory/reconcile
+// @desc    Report drift between products, inventory records and open orders
+// @access  Permission: inventory:view
+router.get('/reconcile', protect, requirePermission('inventory:view'), async (req, res) => {
+    try {
+        const report = await reconcileStock();
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/inventory/reconcile
+// @desc    Repair stock drift (same as `npm run reconcile:stock -- --fix`)
+// @access  Permission: inventory:adjust
+router.post('/reconcile', protect, requirePermission('inventory:adjust'), async (req, res) => {
+    try {
+        const report = await reconcileStock({ fix: true });
+
+        res.json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // @route   GET /api/inventory/:productId
-// @desc    Get inventory for a product
-// @access  Inventory Manager / Admin
-router.get('/:productId', protect, inventoryAccess, async (req, res) => {
+// @desc    Get inventory for a product (?variantId= for a variant)
+// @access  Permission: inventory:view
+router.get('/:productId', protect, requirePermission('inventory:view'), async (req, res) => {
     try {
-        const inventory = await Inventory.findOne({ product: req.params.productId })
-            .populate('product', 'name category images price');
+        const inventory = await Inventory.findOne({
+            product: req.params.productId,
+            variant: req.query.variantId || null
+        }).populate('product', 'name category images price');
 
         if (!inventory) {
             return res.status(404).json({
@@ -185,11 +227,11 @@ router.get('/:productId', protect, inventoryAccess, async (req, res) => {
 });
 
 // @route   POST /api/inventory/add-stock
-// @desc    Add stock for a product
-// @access  Inventory Manager / Admin
-router.post('/add-stock', protect, inventoryAccess, async (req, res) => {
+// @desc    Add stock for a product (variantId for products with variants)
+// @access  Permission: inventory:adjust
+router.post('/add-stock', protect, requirePermission('inventory:adjust'), async (req, res) => {
     try {
-        const { productId, quantity, reason, location } = req.body;
+        const { productId, variantId, quantity, reason, location } = req.body;
 
         if (!productId || !quantity || quantity < 1) {
             return res.status(400).json({
@@ -198,51 +240,23 @@ router.post('/add-stock', protect, inventoryAccess, async (req, res) => {
             });
         }
 
-        const product = await Product.findById(productId);
-        if (!product) {
-            return res.status(404).json({
-                success: false,
-                message: 'Product not found'
-            });
-        }
-
-        let inventory = await Inventory.findOne({ product: productId });
-
-        if (!inventory) {
-            inventory = new Inventory({
-                product: productId,
-                totalStock: 0,
-                location
-            });
-        }
-
-        const previousStock = inventory.totalStock;
-        inventory.totalStock += quantity;
-        inventory.lastRestocked = new Date();
-
-        if (location) {
-            inventory.location = location;
-        }
-
-        inventory.stockHistory.push({
-            type: 'in',
-            quantity,
-            previousStock,
-            newStock: inventory.totalStock,
-            reason: reason || 'Stock added',
+        const result = await addStock(productId, quantity, {
+            variantId,
+            reason,
+            location,
             updatedBy: req.user._id
         });
 
-        await inventory.save();
-
-        // Update product stock as well
-        await Product.findByIdAndUpdate(productId, {
-            stock: inventory.totalStock
-        });
+        if (!result.success) {
+            return res.status(result.message === 'Product not found' ? 404 : 400).json({
+                success: false,
+                message: result.message
+            });
+        }
 
         res.json({
             success: true,
-            data: inventory
+            data: result.inventory
         });
     } catch (error) {
         res.status(500).json({
@@ -253,13 +267,13 @@ router.post('/add-stock', protect, inventoryAccess, async (req, res) => {
 });
 
 // @route   PUT /api/inventory/:productId
-// @desc    Update inventory (set absolute value)
-// @access  Inventory Manager / Admin
-router.put('/:productId', protect, inventoryAccess, async (req, res) => {
+// @desc    Update inventory (set absolute value; variantId for a variant)
+// @access  Permission: inventory:adjust
+router.put('/:productId', protect, requirePermission('inventory:adjust'), async (req, res) => {
     try {
-        const { totalStock, lowStockThreshold, location, reason } = req.body;
+        const { variantId, totalStock, lowStockThreshold, location, reason } = req.body;
 
-        let inventory = await Inventory.findOne({ product: req.params.productId });
+        let inventory = await Inventory.findOne({ product: req.params.productId, variant: variantId || null });
 
         if (!inventory) {
             return res.status(404).json({
@@ -268,28 +282,28 @@ router.put('/:productId', protect, inventoryAccess, async (req, res) => {
             });
         }
 
-        const previousStock = inventory.totalStock;
-
         if (totalStock !== undefined) {
-            inventory.totalStock = totalStock;
-
-            inventory.stockHistory.push({
-                type: 'adjustment',
-                quantity: totalStock - previousStock,
-                previousStock,
-                newStock: totalStock,
-                reason: reason || 'Manual adjustment',
+            const result = await setStock(req.params.productId, totalStock, {
+                variantId,
+                reason,
                 updatedBy: req.user._id
             });
 
-            // Update product stock
-            await Product.findByIdAndUpdate(req.params.productId, {
-                stock: totalStock
-            });
+            if (!result.success) {
+                return res.status(400).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+            inventory = result.inventory;
         }
 
         if (lowStockThreshold !== undefined) {
             inventory.lowStockThreshold = lowStockThreshold;
+            // Variants keep their own threshold on their inventory record
+            if (!variantId) {
+                await Product.findByIdAndUpdate(req.params.productId, { lowStockThreshold });
+            }
         }
 
         if (location) {
@@ -312,10 +326,10 @@ router.put('/:productId', protect, inventoryAccess, async (req, res) => {
 
 // @route   POST /api/inventory/:productId/remove-stock
 // @desc    Remove stock (damaged, returned, etc.)
-// @access  Inventory Manager / Admin
-router.post('/:productId/remove-stock', protect, inventoryAccess, async (req, res) => {
+// @access  Permission: inventory:adjust
+router.post('/:productId/remove-stock', protect, requirePermission('inventory:adjust'), async (req, res) => {
     try {
-        const { quantity, reason, type = 'out' } = req.body;
+        const { variantId, quantity, reason, type = 'out' } = req.body;
 
         if (!quantity || quantity < 1) {
             return res.status(400).json({
@@ -324,45 +338,30 @@ router.post('/:productId/remove-stock', protect, inventoryAccess, async (req, re
             });
         }
 
-        const inventory = await Inventory.findOne({ product: req.params.productId });
-
-        if (!inventory) {
-            return res.status(404).json({
-                success: false,
-                message: 'Inventory record not found'
-            });
-        }
-
-        const availableStock = inventory.totalStock - inventory.reservedStock;
-        if (quantity > availableStock) {
+        if (!['out', 'returned', 'adjustment'].includes(type)) {
             return res.status(400).json({
                 success: false,
-                message: `Cannot remove ${quantity}. Only ${availableStock} available (unreserved).`
+                message: 'Invalid removal type'
             });
         }
 
-        const previousStock = inventory.totalStock;
-        inventory.totalStock -= quantity;
-
-        inventory.stockHistory.push({
+        const result = await removeStock(req.params.productId, quantity, {
+            variantId,
             type,
-            quantity: -quantity,
-            previousStock,
-            newStock: inventory.totalStock,
-            reason: reason || 'Stock removed',
+            reason,
             updatedBy: req.user._id
         });
 
-        await inventory.save();
-
-        // Update product stock
-        await Product.findByIdAndUpdate(req.params.productId, {
-            stock: inventory.totalStock
-        });
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
 
         res.json({
             success: true,
-            data: inventory
+            data: result.inventory
         });
     } catch (error) {
         res.status(500).json({
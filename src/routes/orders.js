@@ -1,16 +1,61 @@
 const express = require('express');
 const router = express.Router();
+const mongoose = require('mongoose');
 const Order = require('../models/Order');
 const Cart = require('../models/Cart');
-const Product = require('../models/Product');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, can, requirePermission, requireVerifiedAccount, blockImpersonation } = require('../middleware/auth');
+const {
+    refreshCartDiscount,
+    removeCouponFromCart,
+    redeemCoupon,
+    releaseCouponRedemption
+} = require('../services/couponService');
+const { getProductTax, calculateTax } = require('../services/taxService');
+const { canIssueInvoice, generateInvoice } = require('../services/invoiceService');
+const { BUCKETS, getSignedUrl } = require('../services/fileService');
+const { reserveItems, releaseItems } = require('../services/stockService');
+const { getPaymentDueAt } = require('../services/orderExpiryService');
+const { getAllowedOrderTransitions, transitionOrder } = require('../services/orderStateService');
+const { checkCodEligibility } = require('../services/codService');
+
+/**
+ * Put the contents of a cart claimed for checkout back when the checkout fails,
+ * unless the customer has already filled it again
+ * @param {Object} cart - Cart document as read before the claim
+ */
+const restoreCart = async (cart) => {
+    const $set = {
+        items: cart.items.map(item => ({ ...item.toObject(), product: item.product._id })),
+        discountAmount: cart.discountAmount || 0,
+        subtotal: cart.subtotal,
+        totalAmount: Math.max(cart.subtotal - (cart.discountAmount || 0), 0)
+    };
+    const update = { $set };
+
+    if (cart.coupon) {
+        $set.coupon = cart.coupon;
+        $set.couponCode = cart.couponCode;
+    } else {
+        update.$unset = { coupon: 1, couponCode: 1 };
+    }
+
+    await Cart.updateOne({ _id: cart._id, 'items.0': { $exists: false } }, update);
+};
 
 // @route   POST /api/orders
 // @desc    Create new order from cart
 // @access  Private
-router.post('/', protect, async (req, res) => {
+router.post('/', protect, blockImpersonation, requireVerifiedAccount, async (req, res) => {
+    const orderId = new mongoose.Types.ObjectId();
+
+    // Cart claimed, stock reserved and coupon use recorded so far, undone if the order is not created
+    let claimedCart = null;
+    let reservedItems = [];
+    let couponRedeemed = false;
+    let orderCreated = false;
+
     try {
-        const { shippingAddress } = req.body;
+        const { shippingAddress, paymentMethod = 'prepaid' } = req.body;
 
         if (!shippingAddress) {
             return res.status(400).json({
@@ -19,6 +64,13 @@ router.post('/', protect, async (req, res) => {
             });
         }
 
+        if (!['prepaid', 'cod'].includes(paymentMethod)) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid payment method'
+            });
+        }
+
         const cart = await Cart.findOne({ user: req.user._id })
             .populate('items.product');
 
@@ -29,54 +81,136 @@ router.post('/', protect, async (req, res) => {
             });
         }
 
-        // Validate stock availability
-        for (const item of cart.items) {
-            const product = item.product;
-            const availableStock = product.stock - product.reservedStock;
+        // Re-check the coupon - it may have expired or run out since it was applied
+        const couponMessage = await refreshCartDiscount(cart, req.user._id);
+        await cart.save();
 
-            if (item.quantity > availableStock) {
+        if (couponMessage) {
+            return res.status(400).json({
+                success: false,
+                message: `${couponMessage}. Your cart has been updated.`
+            });
+        }
+
+        if (paymentMethod === 'cod') {
+            const eligibility = await checkCodEligibility(req.user._id, cart.totalAmount, shippingAddress.pincode);
+            if (!eligibility.eligible) {
                 return res.status(400).json({
                     success: false,
-                    message: `Insufficient stock for ${product.name}. Only ${availableStock} available.`
+                    message: eligibility.message
                 });
             }
         }
 
-        // Reserve stock
-        for (const item of cart.items) {
-            await Product.findByIdAndUpdate(item.product._id, {
-                $inc: { reservedStock: item.quantity }
+        // Empty the cart before anything else, so a second submit of the same cart finds
+        // nothing to order; it is put back if the checkout fails
+        const claimed = await Cart.findOneAndUpdate(
+            { _id: cart._id, updatedAt: cart.updatedAt, 'items.0': { $exists: true } },
+            {
+                $set: { items: [], discountAmount: 0, subtotal: 0, totalAmount: 0 },
+                $unset: { coupon: 1, couponCode: 1 }
+            }
+        );
+
+        if (!claimed) {
+            return res.status(409).json({
+                success: false,
+                message: 'Your cart changed or is already being checked out. Please review it and try again.'
             });
         }
+        claimedCart = cart;
 
-        // Create order items
+        // Reserve stock - all items or none
+        const itemsToReserve = cart.items.map(item => ({
+            product: item.product._id,
+            variant: item.variant,
+            quantity: item.quantity
+        }));
+        const reservation = await reserveItems(itemsToReserve, orderId);
+
+        if (!reservation.success) {
+            await restoreCart(cart);
+            return res.status(409).json({
+                success: false,
+                message: 'Some items could not be reserved. Please update your cart.',
+                unavailableItems: reservation.failed
+            });
+        }
+        reservedItems = itemsToReserve;
+
+        if (cart.coupon) {
+            const redeemed = await redeemCoupon(cart.coupon, req.user._id, orderId, cart.discountAmount);
+
+            if (!redeemed.success) {
+                await releaseItems(reservedItems, orderId, 'Checkout rolled back');
+                reservedItems = [];
+                removeCouponFromCart(cart);
+                await restoreCart(cart);
+                return res.status(400).json({
+                    success: false,
+                    message: `${redeemed.message}. Your cart has been updated.`
+                });
+            }
+            couponRedeemed = true;
+        }
+
+        // Create order items with their GST breakdown
         const orderItems = cart.items.map(item => ({
             product: item.product._id,
             name: item.product.name,
+            variant: item.variant,
+            sku: item.sku,
+            variantName: item.variantName,
             quantity: item.quantity,
-            price: item.price
+            price: item.price,
+            shippingFees: item.shippingFees,
+            ...getProductTax(item.product)
         }));
 
+        const tax = calculateTax(orderItems, shippingAddress.state, cart.discountAmount);
+        orderItems.forEach((item, index) => {
+            const { taxableValue, cgst, sgst, igst } = tax.lines[index];
+            Object.assign(item, { taxableValue, cgst, sgst, igst });
+        });
+
         const order = await Order.create({
+            _id: orderId,
             user: req.user._id,
             items: orderItems,
             shippingAddress,
+            subtotal: cart.subtotal,
+            discount: cart.coupon ? {
+                coupon: cart.coupon,
+                code: cart.couponCode,
+                amount: cart.discountAmount
+            } : undefined,
             totalAmount: cart.totalAmount,
+            tax: tax.summary,
+            payment: { mode: paymentMethod },
+            // COD orders are paid on delivery, so they never expire unpaid
+            paymentDueAt: paymentMethod === 'cod' ? undefined : getPaymentDueAt(),
+            stockStatus: 'reserved',
             statusHistory: [{
                 status: 'created',
-                note: 'Order placed'
+                note: paymentMethod === 'cod' ? 'Order placed (cash on delivery)' : 'Order placed'
             }]
         });
-
-        // Clear cart
-        cart.items = [];
-        await cart.save();
+        orderCreated = true;
 
         res.status(201).json({
             success: true,
             data: order
         });
     } catch (error) {
+        if (!orderCreated) {
+            await releaseItems(reservedItems, orderId, 'Checkout rolled back');
+            if (couponRedeemed) {
+                await releaseCouponRedemption(orderId);
+            }
+            if (claimedCart) {
+                await restoreCart(claimedCart);
+            }
+        }
         res.status(500).json({
             success: false,
             message: error.message
@@ -93,8 +227,8 @@ router.get('/', protect, async (req, res) => {
 
         let query = {};
 
-        // If not admin, only show user's orders
-        if (req.user.role !== 'admin') {
+        // Without orders:view_all, only show user's orders
+        if (!can(req, 'orders:view_all')) {
             query.user = req.user._id;
         }
 
@@ -132,6 +266,36 @@ router.get('/', protect, async (req, res) => {
     }
 });
 
+// @route   GET /api/orders/cod-eligibility
+// @desc    Check whether the current cart can be paid cash on delivery
+// @access  Private
+router.get('/cod-eligibility', protect, async (req, res) => {
+    try {
+        const { pincode } = req.query;
+
+        const cart = await Cart.findOne({ user: req.user._id });
+
+        if (!cart || cart.items.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'Cart is empty'
+            });
+        }
+
+        const eligibility = await checkCodEligibility(req.user._id, cart.totalAmount, pincode);
+
+        res.json({
+            success: true,
+            data: eligibility
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // @route   GET /api/orders/:id
 // @desc    Get single order
 // @access  Private
@@ -150,7 +314,7 @@ router.get('/:id', protect, async (req, res) => {
         }
 
         // Check access
-        if (req.user.role !== 'admin' && order.user._id.toString() !== req.user._id.toString()) {
+        if (!can(req, 'orders:view_all') && order.user._id.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized to view this order'
@@ -169,21 +333,61 @@ router.get('/:id', protect, async (req, res) => {
     }
 });
 
-// @route   PUT /api/orders/:id/status
-// @desc    Update order status
-// @access  Admin only
-router.put('/:id/status', protect, adminOnly, async (req, res) => {
+// @route   GET /api/orders/:id/invoice
+// @desc    Get a download link for the order's GST invoice
+// @access  Private
+router.get('/:id/invoice', protect, async (req, res) => {
     try {
-        const { status, note } = req.body;
+        const order = await Order.findById(req.params.id);
 
-        const validStatuses = ['created', 'paid', 'packed', 'shipped', 'delivered', 'completed', 'cancelled'];
-        if (!validStatuses.includes(status)) {
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        if (!can(req, 'orders:view_all') && order.user.toString() !== req.user._id.toString()) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this invoice'
+            });
+        }
+
+        if (!canIssueInvoice(order)) {
             return res.status(400).json({
                 success: false,
-                message: 'Invalid status'
+                message: 'Invoice is available once the order is paid'
             });
         }
 
+        // Created on payment; generate now if that did not happen
+        const invoice = await generateInvoice(order);
+        const expiresIn = 15 * 60;
+        const url = await getSignedUrl(BUCKETS.INVOICES, invoice.path, expiresIn);
+
+        res.json({
+            success: true,
+            data: {
+                number: invoice.number,
+                generatedAt: invoice.generatedAt,
+                url,
+                expiresIn
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/orders/:id/transitions
+// @desc    Statuses the order can move to next
+// @access  Permission: orders:update_status
+router.get('/:id/transitions', protect, requirePermission('orders:update_status'), async (req, res) => {
+    try {
         const order = await Order.findById(req.params.id);
 
         if (!order) {
@@ -193,14 +397,46 @@ router.put('/:id/status', protect, adminOnly, async (req, res) => {
             });
         }
 
-        order.status = status;
-        order.statusHistory.push({
-            status,
+        res.json({
+            success: true,
+            data: getAllowedOrderTransitions(order)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/orders/:id/status
+// @desc    Update order status
+// @access  Permission: orders:update_status
+router.put('/:id/status', protect, requirePermission('orders:update_status'), async (req, res) => {
+    try {
+        const { status, note } = req.body;
+
+        const order = await Order.findById(req.params.id);
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const result = await transitionOrder(order, status, {
             note,
             updatedBy: req.user._id
         });
 
-        await order.save();
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message,
+                allowedTransitions: getAllowedOrderTransitions(order).allowed
+            });
+        }
 
         res.json({
             success: true,
@@ -217,7 +453,7 @@ router.put('/:id/status', protect, adminOnly, async (req, res) => {
 // @route   POST /api/orders/:id/cancel
 // @desc    Cancel order
 // @access  Private
-router.post('/:id/cancel', protect, async (req, res) => {
+router.post('/:id/cancel', protect, blockImpersonation, async (req, res) => {
     try {
         const { reason } = req.body;
 
@@ -231,38 +467,26 @@ router.post('/:id/cancel', protect, async (req, res) => {
         }
 
         // Check access
-        if (req.user.role !== 'admin' && order.user.toString() !== req.user._id.toString()) {
+        if (!can(req, 'orders:cancel') && order.user.toString() !== req.user._id.toString()) {
             return res.status(403).json({
                 success: false,
                 message: 'Not authorized'
             });
         }
 
-        // Can only cancel if not shipped yet
-        const nonCancellable = ['shipped', 'delivered', 'completed', 'cancelled'];
-        if (nonCancellable.includes(order.status)) {
-            return res.status(400).json({
-                success: false,
-                message: `Cannot cancel order in ${order.status} status`
-            });
-        }
-
-        // Release reserved stock
-        for (const item of order.items) {
-            await Product.findByIdAndUpdate(item.product, {
-                $inc: { reservedStock: -item.quantity }
-            });
-        }
-
-        order.status = 'cancelled';
-        order.cancellationReason = reason;
-        order.statusHistory.push({
-            status: 'cancelled',
+        // Can only cancel if not shipped yet - the state machine refunds a paid
+        // order and gives back stock and coupon
+        const result = await transitionOrder(order, 'cancelled', {
             note: reason || 'Order cancelled',
             updatedBy: req.user._id
         });
 
-        await order.save();
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
 
         res.json({
             success: true,
@@ -278,8 +502,8 @@ router.post('/:id/cancel', protect, async (req, res) => {
 
 // @route   PUT /api/orders/:id/assign-delivery
 // @desc    Assign delivery partner
-// @access  Admin only
-router.put('/:id/assign-delivery', protect, adminOnly, async (req, res) => {
+// @access  Permission: orders:assign_delivery
+router.put('/:id/assign-delivery', protect, requirePermission('orders:assign_delivery'), async (req, res) => {
     try {
         const { partnerId, estimatedDate } = req.body;
 
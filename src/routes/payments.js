@@ -1,25 +1,35 @@
 const express = require('express');
 const router = express.Router();
-const Razorpay = require('razorpay');
-const crypto = require('crypto');
-const fs = require('fs');
-const path = require('path');
+const multer = require('multer');
 const Order = require('../models/Order');
-const Product = require('../models/Product');
-const { protect, adminOnly } = require('../middleware/auth');
-
-const logFile = path.join(__dirname, '../../debug.log');
-
-// Initialize Razorpay
-const razorpay = new Razorpay({
-    key_id: process.env.RAZORPAY_KEY_ID,
-    key_secret: process.env.RAZORPAY_KEY_SECRET
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const { protect, requirePermission, blockImpersonation } = require('../middleware/auth');
+const { reverseOrderStock } = require('../services/stockService');
+const { getOrderTransitionBlock, transitionOrder } = require('../services/orderStateService');
+const {
+    getRefundableAmount,
+    getRefundableItems,
+    createRefund
+} = require('../services/refundService');
+const { getGateway, getOrderGateway } = require('../services/paymentGatewayService');
+const { PAID_STATUSES, confirmPayment } = require('../services/paymentService');
+const { receiveWebhook } = require('../services/webhookService');
+const {
+    runReconciliation,
+    importSettlementReport,
+    getReportCsv
+} = require('../services/paymentReconciliationService');
+
+// Settlement reports are read from memory
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 5 * 1024 * 1024 } // 5MB limit
 });
 
 // @route   POST /api/payments/create-order
-// @desc    Create Razorpay order
+// @desc    Create a payment gateway order
 // @access  Private
-router.post('/create-order', protect, async (req, res) => {
+router.post('/create-order', protect, blockImpersonation, async (req, res) => {
     try {
         const { orderId } = req.body;
 
@@ -39,14 +49,30 @@ router.post('/create-order', protect, async (req, res) => {
             });
         }
 
-        if (order.payment.status === 'completed') {
+        if (PAID_STATUSES.includes(order.payment.status)) {
             return res.status(400).json({
                 success: false,
                 message: 'Order already paid'
             });
         }
 
-        const options = {
+        if (order.status === 'cancelled') {
+            return res.status(400).json({
+                success: false,
+                message: 'This order has been cancelled. Please place a new order.'
+            });
+        }
+
+        if (order.payment.mode === 'cod') {
+            return res.status(400).json({
+                success: false,
+                message: 'This order is paid in cash on delivery'
+            });
+        }
+
+        const gateway = getGateway();
+
+        const gatewayOrder = await gateway.createOrder({
             amount: Math.round(order.totalAmount * 100), // Amount in paise
             currency: 'INR',
             receipt: order.orderNumber,
@@ -54,21 +80,21 @@ router.post('/create-order', protect, async (req, res) => {
                 orderId: order._id.toString(),
                 userId: req.user._id.toString()
             }
-        };
-
-        const razorpayOrder = await razorpay.orders.create(options);
+        });
 
-        // Store Razorpay order ID
-        order.payment.razorpayOrderId = razorpayOrder.id;
+        // Store gateway order ID
+        order.payment.gateway = gateway.name;
+        order.payment.razorpayOrderId = gatewayOrder.id;
         await order.save();
 
         res.json({
             success: true,
             data: {
-                orderId: razorpayOrder.id,
-                amount: razorpayOrder.amount,
-                currency: razorpayOrder.currency,
-                key: process.env.RAZORPAY_KEY_ID
+                orderId: gatewayOrder.id,
+                amount: gatewayOrder.amount,
+                currency: gatewayOrder.currency,
+                key: gateway.getPublicKey(),
+                gateway: gateway.name
             }
         });
     } catch (error) {
@@ -80,9 +106,9 @@ router.post('/create-order', protect, async (req, res) => {
 });
 
 // @route   POST /api/payments/verify
-// @desc    Verify Razorpay payment
+// @desc    Verify a payment made through the gateway checkout
 // @access  Private
-router.post('/verify', protect, async (req, res) => {
+router.post('/verify', protect, blockImpersonation, async (req, res) => {
     try {
         const {
             razorpay_order_id,
@@ -91,73 +117,68 @@ router.post('/verify', protect, async (req, res) => {
             orderId
         } = req.body;
 
+        const order = await Order.findById(orderId);
+
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
         // Verify signature
-        const body = razorpay_order_id + '|' + razorpay_payment_id;
-        const expectedSignature = crypto
-            .createHmac('sha256', process.env.RAZORPAY_KEY_SECRET)
-            .update(body.toString())
-            .digest('hex');
-
-        const logMessage = `
-[${new Date().toISOString()}] Payment Verification Debug:
-Razorpay Order ID: ${razorpay_order_id}
-Razorpay Payment ID: ${razorpay_payment_id}
-Razorpay Signature: ${razorpay_signature}
-Generated Signature: ${expectedSignature}
-Match: ${expectedSignature === razorpay_signature}
-----------------------------------------
-`;
-        fs.appendFileSync(logFile, logMessage);
-
-        if (expectedSignature !== razorpay_signature) {
-            console.log('Signature Mismatch!');
+        const gateway = getOrderGateway(order);
+        const valid = gateway.verifyPayment({
+            orderId: razorpay_order_id,
+            paymentId: razorpay_payment_id,
+            signature: razorpay_signature
+        });
+
+        if (!valid || order.payment.razorpayOrderId !== razorpay_order_id) {
             return res.status(400).json({
                 success: false,
                 message: 'Invalid payment signature'
             });
         }
 
-        // Update order
-        const order = await Order.findById(orderId);
+        // Already confirmed (e.g. by the webhook) - do not apply it twice
+        if (PAID_STATUSES.includes(order.payment.status)) {
+            return res.json({
+                success: true,
+                message: 'Payment verified successfully',
+                data: order
+            });
+        }
 
-        if (!order) {
-            return res.status(404).json({
-                success: false,
-                message: 'Order not found'
+        // Get payment details from the gateway
+        const paymentDetails = await gateway.fetchPayment(razorpay_payment_id);
+        order.payment.razorpaySignature = razorpay_signature;
+
+        // Authorized but not captured yet - the payment.captured webhook completes it
+        if (paymentDetails.status !== 'captured') {
+            order.payment.razorpayPaymentId = razorpay_payment_id;
+            await order.save();
+
+            return res.status(202).json({
+                success: true,
+                message: 'Payment received and awaiting confirmation from the bank',
+                data: order
             });
         }
 
-        // Get payment details from Razorpay
-        const paymentDetails = await razorpay.payments.fetch(razorpay_payment_id);
-
-        order.payment = {
-            razorpayOrderId: razorpay_order_id,
-            razorpayPaymentId: razorpay_payment_id,
-            razorpaySignature: razorpay_signature,
-            method: paymentDetails.method,
-            status: 'completed',
-            paidAt: new Date()
-        };
-
-        order.status = 'paid';
-        order.statusHistory.push({
-            status: 'paid',
+        const confirmed = await confirmPayment(order, paymentDetails, {
             note: `Payment completed via ${paymentDetails.method}`,
             updatedBy: req.user._id
         });
 
-        // Update product stock (move from reserved to sold)
-        for (const item of order.items) {
-            await Product.findByIdAndUpdate(item.product, {
-                $inc: {
-                    stock: -item.quantity,
-                    reservedStock: -item.quantity
-                }
+        if (!confirmed) {
+            // e.g. the order expired while the customer was paying
+            return res.status(409).json({
+                success: false,
+                message: 'This order was cancelled before the payment was confirmed. Please contact support for a refund.'
             });
         }
 
-        await order.save();
-
         res.json({
             success: true,
             message: 'Payment verified successfully',
@@ -172,81 +193,26 @@ Match: ${expectedSignature === razorpay_signature}
 });
 
 // @route   POST /api/payments/webhook
-// @desc    Razorpay webhook handler
+// @desc    Payment gateway webhook handler (each event is applied once)
 // @access  Public (verified via signature)
 router.post('/webhook', async (req, res) => {
     try {
-        const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
-        const signature = req.headers['x-razorpay-signature'];
+        // Signed over the exact bytes sent, captured by express.json in server.js
+        const rawBody = req.rawBody ? req.rawBody.toString('utf8') : '';
 
-        const shasum = crypto.createHmac('sha256', webhookSecret);
-        shasum.update(JSON.stringify(req.body));
-        const digest = shasum.digest('hex');
+        const result = await receiveWebhook(getGateway(), rawBody, req.headers);
 
-        if (digest !== signature) {
-            return res.status(400).json({
+        if (!result.success) {
+            return res.status(result.status).json({
                 success: false,
-                message: 'Invalid webhook signature'
+                message: result.message
             });
         }
 
-        const event = req.body.event;
-        const payload = req.body.payload;
-
-        switch (event) {
-            case 'payment.captured':
-                // Payment successful - update order if not already updated
-                const paymentEntity = payload.payment.entity;
-                const order = await Order.findOne({
-                    'payment.razorpayOrderId': paymentEntity.order_id
-                });
-
-                if (order && order.payment.status !== 'completed') {
-                    order.payment.status = 'completed';
-                    order.payment.razorpayPaymentId = paymentEntity.id;
-                    order.payment.method = paymentEntity.method;
-                    order.payment.paidAt = new Date();
-                    order.status = 'paid';
-                    await order.save();
-                }
-                break;
-
-            case 'payment.failed':
-                // Payment failed
-                const failedPayment = payload.payment.entity;
-                const failedOrder = await Order.findOne({
-                    'payment.razorpayOrderId': failedPayment.order_id
-                });
-
-                if (failedOrder) {
-                    failedOrder.payment.status = 'failed';
-                    failedOrder.statusHistory.push({
-                        status: failedOrder.status,
-                        note: `Payment failed: ${failedPayment.error_description}`
-                    });
-                    await failedOrder.save();
-                }
-                break;
-
-            case 'refund.created':
-                // Refund initiated
-                const refundEntity = payload.refund.entity;
-                const refundOrder = await Order.findOne({
-                    'payment.razorpayPaymentId': refundEntity.payment_id
-                });
-
-                if (refundOrder) {
-                    refundOrder.payment.status = 'refunded';
-                    refundOrder.statusHistory.push({
-                        status: 'refunded',
-                        note: `Refund of ₹${refundEntity.amount / 100} initiated`
-                    });
-                    await refundOrder.save();
-                }
-                break;
-        }
-
-        res.json({ success: true });
+        res.json({
+            success: true,
+            duplicate: Boolean(result.duplicate)
+        });
     } catch (error) {
         console.error('Webhook error:', error);
         res.status(500).json({
@@ -257,11 +223,12 @@ router.post('/webhook', async (req, res) => {
 });
 
 // @route   POST /api/payments/refund
-// @desc    Process refund
-// @access  Admin only
-router.post('/refund', protect, adminOnly, async (req, res) => {
+// @desc    Refund all or part of a payment (optionally for specific items).
+//          COD orders are refunded by hand: method cash|bank_transfer and its reference
+// @access  Permission: orders:refund
+router.post('/refund', protect, requirePermission('orders:refund'), blockImpersonation, async (req, res) => {
     try {
-        const { orderId, amount, reason } = req.body;
+        const { orderId, amount, items, reason, restock, method, reference } = req.body;
 
         const order = await Order.findById(orderId);
 
@@ -272,38 +239,84 @@ router.post('/refund', protect, adminOnly, async (req, res) => {
             });
         }
 
-        if (!order.payment.razorpayPaymentId) {
-            return res.status(400).json({
+        const result = await createRefund(order, {
+            amount,
+            items,
+            reason,
+            method,
+            reference,
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({
                 success: false,
-                message: 'No payment to refund'
+                message: result.message
             });
         }
 
-        const refundAmount = amount ? Math.round(amount * 100) : Math.round(order.totalAmount * 100);
+        // Partial refunds leave the order as it is; goods coming back go through returns
+        if (order.payment.status === 'refunded') {
+            const note = `Fully refunded. ${reason || ''}`.trim();
+
+            if (!getOrderTransitionBlock(order, 'cancelled')) {
+                // Not shipped yet: cancelling gives back stock and coupon
+                await transitionOrder(order, 'cancelled', { note, updatedBy: req.user._id });
+            } else {
+                // Shipped units only come back into stock when the goods did
+                await reverseOrderStock(order, {
+                    reason: `Refund: ${reason || 'Customer refund request'}`,
+                    updatedBy: req.user._id,
+                    restock: restock === true
+                });
+                await order.save();
+            }
+        }
 
-        const refund = await razorpay.payments.refund(order.payment.razorpayPaymentId, {
-            amount: refundAmount,
-            notes: {
-                reason: reason || 'Customer refund request'
+        res.json({
+            success: true,
+            data: {
+                refundId: result.refund.refundId,
+                method: result.refund.method,
+                amount: result.refund.amount,
+                status: result.refund.status,
+                paymentStatus: order.payment.status,
+                refundedAmount: order.payment.refundedAmount,
+                refundableAmount: getRefundableAmount(order)
             }
         });
-
-        order.payment.status = 'refunded';
-        order.status = 'cancelled';
-        order.statusHistory.push({
-            status: 'cancelled',
-            note: `Refund processed: ₹${refundAmount / 100}. ${reason || ''}`,
-            updatedBy: req.user._id
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
         });
+    }
+});
 
-        await order.save();
+// @route   GET /api/payments/refunds/:orderId
+// @desc    Refund ledger of an order and what can still be refunded
+// @access  Permission: payments:view
+router.get('/refunds/:orderId', protect, requirePermission('payments:view'), async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId)
+            .populate('payment.refunds.initiatedBy', 'name email');
+
+        if (!order) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
 
         res.json({
             success: true,
             data: {
-                refundId: refund.id,
-                amount: refund.amount / 100,
-                status: refund.status
+                paymentStatus: order.payment.status,
+                totalAmount: order.totalAmount,
+                refundedAmount: order.payment.refundedAmount,
+                refundableAmount: getRefundableAmount(order),
+                refundableItems: getRefundableItems(order),
+                refunds: order.payment.refunds
             }
         });
     } catch (error) {
@@ -316,8 +329,8 @@ router.post('/refund', protect, adminOnly, async (req, res) => {
 
 // @route   GET /api/payments/transactions
 // @desc    Get payment transactions
-// @access  Admin only
-router.get('/transactions', protect, adminOnly, async (req, res) => {
+// @access  Permission: payments:view
+router.get('/transactions', protect, requirePermission('payments:view'), async (req, res) => {
     try {
         const { page = 1, limit = 20, status } = req.query;
 
@@ -356,4 +369,240 @@ router.get('/transactions', protect, adminOnly, async (req, res) => {
     }
 });
 
+// @route   POST /api/payments/reconciliation/run
+// @desc    Reconcile a day of gateway payments with orders (date = YYYY-MM-DD, default yesterday)
+// @access  Permission: payments:manage
+router.post('/reconciliation/run', protect, requirePermission('payments:manage'), async (req, res) => {
+    try {
+        const { date } = req.body;
+
+        const report = await runReconciliation({ date, generatedBy: req.user._id });
+
+        res.status(201).json({
+            success: true,
+            data: report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/payments/reconciliation/import
+// @desc    Reconcile an uploaded gateway settlement CSV (field: file)
+// @access  Permission: payments:manage
+router.post('/reconciliation/import', protect, requirePermission('payments:manage'), upload.single('file'), async (req, res) => {
+    try {
+        if (!req.file) {
+            return res.status(400).json({
+                success: false,
+                message: 'Settlement file is required'
+            });
+        }
+
+        const result = await importSettlementReport({
+            text: req.file.buffer.toString('utf8'),
+            fileName: req.file.originalname,
+            date: req.body.date,
+            generatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.status(201).json({
+            success: true,
+            data: result.report
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/payments/reconciliation
+// @desc    List reconciliation reports
+// @access  Permission: payments:view
+router.get('/reconciliation', protect, requirePermission('payments:view'), async (req, res) => {
+    try {
+        const { source, page = 1, limit = 20 } = req.query;
+
+        const query = {};
+        if (source) query.source = source;
+
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const reports = await PaymentReconciliation.find(query)
+            .select('-rows')
+            .populate('generatedBy', 'name email')
+            .sort({ date: -1, createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await PaymentReconciliation.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: reports,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/payments/reconciliation/:id
+// @desc    Get a reconciliation report (discrepancies=true for flagged rows only)
+// @access  Permission: payments:view
+router.get('/reconciliation/:id', protect, requirePermission('payments:view'), async (req, res) => {
+    try {
+        const report = await PaymentReconciliation.findById(req.params.id)
+            .populate('generatedBy', 'name email');
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        const data = report.toObject();
+        if (req.query.discrepancies === 'true') {
+            data.rows = data.rows.filter(row => row.result !== 'matched');
+        }
+
+        res.json({
+            success: true,
+            data
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/payments/reconciliation/:id/download
+// @desc    Download a reconciliation report as CSV
+// @access  Permission: payments:view
+router.get('/reconciliation/:id/download', protect, requirePermission('payments:view'), async (req, res) => {
+    try {
+        const report = await PaymentReconciliation.findById(req.params.id);
+
+        if (!report) {
+            return res.status(404).json({
+                success: false,
+                message: 'Report not found'
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/csv');
+        res.setHeader('Content-Disposition', `attachment; filename="payment-reconciliation-${report.date}-${report.source}.csv"`);
+        res.send(getReportCsv(report));
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// Checkout stand-ins for the local mock gateway (PAYMENT_GATEWAY=mock only)
+if (process.env.PAYMENT_GATEWAY === 'mock') {
+    const mockGateway = getGateway('mock');
+
+    // @route   POST /api/payments/mock/pay
+    // @desc    Pay a mock gateway order (outcome: success, failure or delayed)
+    // @access  Private
+    router.post('/mock/pay', protect, async (req, res) => {
+        try {
+            const { orderId, outcome, method } = req.body;
+
+            // orderId is the gateway order id, as the checkout widget has it
+            const order = await Order.findOne({ 'payment.razorpayOrderId': orderId });
+
+            if (!order || order.user.toString() !== req.user._id.toString()) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Order not found'
+                });
+            }
+
+            const result = await mockGateway.simulatePayment(orderId, { outcome, method });
+
+            res.json({
+                success: !result.error,
+                data: result
+            });
+        } catch (error) {
+            res.status(400).json({
+                success: false,
+                message: error.message
+            });
+        }
+    });
+
+    // @route   POST /api/payments/mock/refunds/:refundId/settle
+    // @desc    Process or fail a pending mock refund
+    // @access  Permission: orders:refund
+    router.post('/mock/refunds/:refundId/settle', protect, requirePermission('orders:refund'), async (req, res) => {
+        try {
+            const { status = 'processed' } = req.body;
+
+            if (!['processed', 'failed'].includes(status)) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Status must be processed or failed'
+                });
+            }
+
+            const refund = await mockGateway.settleRefund(req.params.refundId, status);
+
+            if (!refund) {
+                return res.status(404).json({
+                    success: false,
+                    message: 'Refund not found'
+                });
+            }
+
+            res.json({
+                success: true,
+                data: refund
+            });
+        } catch (error) {
+            res.status(500).json({
+                success: false,
+                message: error.message
+            });
+        }
+    });
+
+    // @route   GET /api/payments/mock/events
+    // @desc    Webhooks sent by the mock gateway
+    // @access  Permission: payments:view
+    router.get('/mock/events', protect, requirePermission('payments:view'), (req, res) => {
+        res.json({
+            success: true,
+            data: mockGateway.getSentEvents()
+        });
+    });
+}
+
 module.exports = router;
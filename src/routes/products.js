@@ -3,7 +3,13 @@ const router = express.Router();
 const Product = require('../models/Product');
 const User = require('../models/User');
 const Order = require('../models/Order');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, optionalProtect, requirePermission } = require('../middleware/auth');
+const { searchProducts, getSuggestions, invalidateSearchIndex } = require('../services/searchService');
+const { logSearchQuery, getRecentQueries, getPopularQueries } = require('../services/searchQueryService');
+const { getProductAvailability } = require('../services/productVariantService');
+
+// Treat user input as literal text in $regex filters
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
 
 // @route   GET /api/products/stats
 // @desc    Get homepage stats (public)
@@ -93,15 +99,16 @@ router.get('/', async (req, res) => {
 
         // Brand filter
         if (brand) {
-            query['specifications.brand'] = { $regex: brand, $options: 'i' };
+            query['specifications.brand'] = { $regex: escapeRegex(brand), $options: 'i' };
         }
 
         // Search
         if (search) {
+            const pattern = escapeRegex(search);
             query.$or = [
-                { name: { $regex: search, $options: 'i' } },
-                { description: { $regex: search, $options: 'i' } },
-                { 'specifications.brand': { $regex: search, $options: 'i' } }
+                { name: { $regex: pattern, $options: 'i' } },
+                { description: { $regex: pattern, $options: 'i' } },
+                { 'specifications.brand': { $regex: pattern, $options: 'i' } }
             ];
         }
 
@@ -156,6 +163,73 @@ router.get('/', async (req, res) => {
     }
 });
 
+// @route   GET /api/products/search
+// @desc    Search products by relevance with typo tolerance, highlights and facets
+// @access  Public (signed-in searches are remembered for suggestions)
+router.get('/search', optionalProtect, async (req, res) => {
+    try {
+        const { q, page = 1, limit = 12 } = req.query;
+        const { results, facets, total, matchAll, didYouMean } = await searchProducts(req.query);
+
+        // Log each new search, not every page of it
+        if (q && Number(page) === 1) {
+            logSearchQuery({ query: q, userId: req.user?._id, ip: req.ip, resultCount: total, matchAll })
+                .catch(err => console.error('Search log error:', err.message));
+        }
+
+        res.json({
+            success: true,
+            data: results,
+            facets,
+            // false when no product matched every word and partial matches are shown
+            matchAll,
+            didYouMean,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/products/suggest
+// @desc    Autocomplete: matching products, brands and categories, spelling correction, recent and popular searches
+// @access  Public (recent searches need sign-in)
+router.get('/suggest', optionalProtect, async (req, res) => {
+    try {
+        const { q = '' } = req.query;
+        const limit = Math.min(Math.max(Number(req.query.limit) || 5, 1), 10);
+
+        const [suggestions, recent, popular] = await Promise.all([
+            getSuggestions(q, limit),
+            req.user ? getRecentQueries(req.user._id, q, limit) : [],
+            getPopularQueries(q, limit)
+        ]);
+
+        res.json({
+            success: true,
+            data: {
+                query: q,
+                ...suggestions,
+                recent,
+                popular
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
 // @route   GET /api/products/categories
 // @desc    Get all categories with counts
 // @access  Public
@@ -204,7 +278,7 @@ router.get('/featured', async (req, res) => {
 });
 
 // @route   GET /api/products/:id
-// @desc    Get single product
+// @desc    Get single product with its price range, stock and options per variant
 // @access  Public
 router.get('/:id', async (req, res) => {
     try {
@@ -219,7 +293,10 @@ router.get('/:id', async (req, res) => {
 
         res.json({
             success: true,
-            data: product
+            data: {
+                ...product.toObject(),
+                ...getProductAvailability(product)
+            }
         });
     } catch (error) {
         res.status(500).json({
@@ -231,10 +308,11 @@ router.get('/:id', async (req, res) => {
 
 // @route   POST /api/products
 // @desc    Create a product
-// @access  Admin only
-router.post('/', protect, adminOnly, async (req, res) => {
+// @access  Permission: products:manage
+router.post('/', protect, requirePermission('products:manage'), async (req, res) => {
     try {
         const product = await Product.create(req.body);
+        invalidateSearchIndex();
 
         res.status(201).json({
             success: true,
@@ -250,8 +328,8 @@ router.post('/', protect, adminOnly, async (req, res) => {
 
 // @route   PUT /api/products/:id
 // @desc    Update a product
-// @access  Admin only
-router.put('/:id', protect, adminOnly, async (req, res) => {
+// @access  Permission: products:manage
+router.put('/:id', protect, requirePermission('products:manage'), async (req, res) => {
     try {
         const product = await Product.findByIdAndUpdate(
             req.params.id,
@@ -266,6 +344,8 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
             });
         }
 
+        invalidateSearchIndex();
+
         res.json({
             success: true,
             data: product
@@ -280,8 +360,8 @@ router.put('/:id', protect, adminOnly, async (req, res) => {
 
 // @route   DELETE /api/products/:id
 // @desc    Delete a product
-// @access  Admin only
-router.delete('/:id', protect, adminOnly, async (req, res) => {
+// @access  Permission: products:manage
+router.delete('/:id', protect, requirePermission('products:manage'), async (req, res) => {
     try {
         const product = await Product.findByIdAndDelete(req.params.id);
 
@@ -292,6 +372,8 @@ router.delete('/:id', protect, adminOnly, async (req, res) => {
             });
         }
 
+        invalidateSearchIndex();
+
         res.json({
             success: true,
             message: 'Product deleted successfully'
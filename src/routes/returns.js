@@ -0,0 +1,533 @@
+const express = require('express');
+const router = express.Router();
+const multer = require('multer');
+const Return = require('../models/Return');
+const Order = require('../models/Order');
+const User = require('../models/User');
+const { protect, can, requirePermission, deliveryAccess, blockImpersonation } = require('../middleware/auth');
+const { uploadReturnPhoto, imageFileFilter } = require('../services/fileService');
+const {
+    RETURN_WINDOW_DAYS,
+    getReturnDeadline,
+    getReturnableItems,
+    buildReturnItems,
+    transitionReturn,
+    inspectReturn,
+    refundReturn
+} = require('../services/returnService');
+
+// Photos per return request, across all items
+const MAX_RETURN_PHOTOS = 10;
+
+// Multer setup for memory storage
+const upload = multer({
+    storage: multer.memoryStorage(),
+    limits: {
+        fileSize: 5 * 1024 * 1024, // 5MB limit
+        files: MAX_RETURN_PHOTOS
+    },
+    fileFilter: imageFileFilter
+});
+
+// Photos are sent as items[<index>][photos]
+const ITEM_PHOTO_FIELD = /^items\[(\d+)\]\[photos\]$/;
+
+const populateReturn = (query) => query
+    .populate('order', 'orderNumber status totalAmount payment.status payment.refundedAmount')
+    .populate('user', 'name email phone')
+    .populate('pickup.partner', 'name phone');
+
+// @route   GET /api/returns/eligibility/:orderId
+// @desc    Items of an order that can still be returned
+// @access  Private
+router.get('/eligibility/:orderId', protect, async (req, res) => {
+    try {
+        const order = await Order.findById(req.params.orderId);
+
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const deadline = getReturnDeadline(order);
+        const items = await getReturnableItems(order);
+
+        res.json({
+            success: true,
+            data: {
+                eligible: Boolean(deadline) && deadline >= new Date() && items.some(item => item.returnable > 0),
+                returnWindowDays: RETURN_WINDOW_DAYS,
+                deadline,
+                items
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/returns
+// @desc    Request a return (multipart: data = JSON { orderId, items }, items[i][photos] = images)
+// @access  Private
+router.post('/', protect, blockImpersonation, upload.any(), async (req, res) => {
+    try {
+        const { orderId, items } = JSON.parse(req.body.data || '{}');
+
+        const order = await Order.findById(orderId);
+
+        if (!order || order.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Order not found'
+            });
+        }
+
+        const result = await buildReturnItems(order, items);
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        const ret = new Return({
+            order: order._id,
+            user: req.user._id,
+            items: result.items,
+            pickup: { address: order.shippingAddress },
+            statusHistory: [{
+                status: 'requested',
+                note: 'Return requested',
+                updatedBy: req.user._id
+            }]
+        });
+
+        // Upload photos per item
+        const files = (req.files || []).filter(file => ITEM_PHOTO_FIELD.test(file.fieldname));
+        for (let i = 0; i < files.length; i++) {
+            const itemIndex = Number(files[i].fieldname.match(ITEM_PHOTO_FIELD)[1]);
+            if (!ret.items[itemIndex]) continue;
+
+            const upload = await uploadReturnPhoto(
+                files[i].buffer,
+                ret._id.toString(),
+                itemIndex,
+                i,
+                files[i].mimetype
+            );
+            ret.items[itemIndex].photos.push(upload.url);
+        }
+
+        await ret.save();
+
+        res.status(201).json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/returns
+// @desc    Get user's returns (customers) or all returns (returns:manage)
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        const { status, page = 1, limit = 10 } = req.query;
+
+        let query = {};
+
+        // Without returns:manage, only show user's returns
+        if (!can(req, 'returns:manage')) {
+            query.user = req.user._id;
+        }
+
+        if (status) {
+            query.status = status;
+        }
+
+        const skip = (Number(page) - 1) * Number(limit);
+
+        const returns = await populateReturn(Return.find(query))
+            .sort({ createdAt: -1 })
+            .skip(skip)
+            .limit(Number(limit));
+
+        const total = await Return.countDocuments(query);
+
+        res.json({
+            success: true,
+            data: returns,
+            pagination: {
+                page: Number(page),
+                limit: Number(limit),
+                total,
+                pages: Math.ceil(total / Number(limit))
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/returns/pickups/assigned
+// @desc    Reverse pickups assigned to the current delivery partner
+// @access  Permission: deliveries:fulfil
+router.get('/pickups/assigned', protect, deliveryAccess, async (req, res) => {
+    try {
+        const query = { status: { $in: ['pickup_scheduled', 'picked_up'] } };
+
+        // Without deliveries:manage, only show the partner's own pickups
+        if (!can(req, 'deliveries:manage')) {
+            query['pickup.partner'] = req.user._id;
+        }
+
+        const returns = await populateReturn(Return.find(query))
+            .sort({ 'pickup.scheduledDate': 1 });
+
+        res.json({
+            success: true,
+            data: returns
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   GET /api/returns/:id
+// @desc    Get a single return
+// @access  Private
+router.get('/:id', protect, async (req, res) => {
+    try {
+        const ret = await populateReturn(Return.findById(req.params.id));
+
+        if (!ret) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        const isOwner = ret.user._id.toString() === req.user._id.toString();
+        const isPickupPartner = ret.pickup.partner && ret.pickup.partner._id.toString() === req.user._id.toString();
+
+        if (!isOwner && !isPickupPartner && !can(req, 'returns:manage')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized to view this return'
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/returns/:id/cancel
+// @desc    Withdraw a return request before pickup
+// @access  Private
+router.post('/:id/cancel', protect, async (req, res) => {
+    try {
+        const ret = await Return.findById(req.params.id);
+
+        if (!ret || ret.user.toString() !== req.user._id.toString()) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        const result = transitionReturn(ret, 'cancelled', {
+            note: req.body.reason || 'Cancelled by customer',
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: 'Return can only be cancelled before pickup is scheduled'
+            });
+        }
+
+        await ret.save();
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/returns/:id/review
+// @desc    Approve or reject a return request
+// @access  Permission: returns:manage
+router.put('/:id/review', protect, requirePermission('returns:manage'), async (req, res) => {
+    try {
+        const { approve, note } = req.body;
+
+        const ret = await Return.findById(req.params.id);
+
+        if (!ret) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        if (!approve && !note) {
+            return res.status(400).json({
+                success: false,
+                message: 'A reason is required to reject a return'
+            });
+        }
+
+        const result = transitionReturn(ret, approve ? 'approved' : 'rejected', {
+            note: note || 'Return approved',
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        if (!approve) {
+            ret.rejectionReason = note;
+        }
+
+        await ret.save();
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/returns/:id/assign-pickup
+// @desc    Schedule a reverse pickup with a delivery partner
+// @access  Permission: returns:manage
+router.put('/:id/assign-pickup', protect, requirePermission('returns:manage'), async (req, res) => {
+    try {
+        const { partnerId, scheduledDate, notes } = req.body;
+
+        const ret = await Return.findById(req.params.id);
+
+        if (!ret) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        const partner = await User.findOne({ _id: partnerId, role: 'delivery_partner', isActive: true });
+        if (!partner) {
+            return res.status(400).json({
+                success: false,
+                message: 'Delivery partner not found'
+            });
+        }
+
+        const result = transitionReturn(ret, 'pickup_scheduled', {
+            note: `Reverse pickup assigned to ${partner.name}`,
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        ret.pickup.partner = partner._id;
+        ret.pickup.scheduledDate = scheduledDate;
+        if (notes) ret.pickup.notes = notes;
+
+        await ret.save();
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/returns/:id/picked-up
+// @desc    Confirm the goods were collected from the customer
+// @access  Permission: deliveries:fulfil (assigned partner)
+router.put('/:id/picked-up', protect, deliveryAccess, async (req, res) => {
+    try {
+        const { note } = req.body;
+
+        const ret = await Return.findById(req.params.id);
+
+        if (!ret) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        // Check access
+        if (!can(req, 'deliveries:manage') &&
+            (!ret.pickup.partner || ret.pickup.partner.toString() !== req.user._id.toString())) {
+            return res.status(403).json({
+                success: false,
+                message: 'Not authorized'
+            });
+        }
+
+        const result = transitionReturn(ret, 'picked_up', {
+            note: note || 'Picked up from customer',
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        ret.pickup.pickedUpAt = new Date();
+        await ret.save();
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   PUT /api/returns/:id/inspect
+// @desc    Record quality inspection per item and restock sellable units
+// @access  Permission: returns:manage
+router.put('/:id/inspect', protect, requirePermission('returns:manage'), async (req, res) => {
+    try {
+        const { items, notes } = req.body;
+
+        const ret = await Return.findById(req.params.id);
+
+        if (!ret) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        const result = await inspectReturn(ret, items, {
+            notes,
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(400).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/returns/:id/refund
+// @desc    Refund the accepted items of an inspected return
+//          (COD orders: method cash|bank_transfer and reference of the manual refund)
+// @access  Permission: orders:refund
+router.post('/:id/refund', protect, requirePermission('orders:refund'), blockImpersonation, async (req, res) => {
+    try {
+        const { amount, method, reference } = req.body;
+
+        const ret = await Return.findById(req.params.id);
+
+        if (!ret) {
+            return res.status(404).json({
+                success: false,
+                message: 'Return not found'
+            });
+        }
+
+        const order = await Order.findById(ret.order);
+
+        const result = await refundReturn(ret, order, {
+            amount,
+            method,
+            reference,
+            updatedBy: req.user._id
+        });
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.json({
+            success: true,
+            data: ret
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
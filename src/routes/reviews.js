@@ -5,7 +5,7 @@ const Review = require('../models/Review');
 const Product = require('../models/Product');
 const Order = require('../models/Order');
 const User = require('../models/User');
-const { protect, adminOnly } = require('../middleware/auth');
+const { protect, can, requirePermission } = require('../middleware/auth');
 
 // @route   GET /api/reviews/product/:productId
 // @desc    Get reviews for a product
@@ -74,11 +74,9 @@ router.get('/delivery/:partnerId', protect, async (req, res) => {
         // Access check: only admin, inventory, or the partner themselves can see these reviews?
         // User request: "displayed to the delivery person", "visible to admin and inventory manager".
         // Customer reviews of delivery are generally private to the company/partner, not public to other customers.
-        if (req.user.role === 'customer') {
-            return res.status(403).json({ success: false, message: 'Not authorized' });
-        }
-        // If delivery partner, can only see own reviews
-        if (req.user.role === 'delivery_partner' && req.user._id.toString() !== req.params.partnerId) {
+        // Staff with reviews:view_delivery see all; delivery partners only their own
+        const isOwnReviews = can(req, 'deliveries:fulfil') && req.user._id.toString() === req.params.partnerId;
+        if (!can(req, 'reviews:view_delivery') && !isOwnReviews) {
             return res.status(403).json({ success: false, message: 'Not authorized' });
         }
 
@@ -281,7 +279,7 @@ router.delete('/:id', protect, async (req, res) => {
         const review = await Review.findById(req.params.id);
         if (!review) return res.status(404).json({ success: false, message: 'Review not found' });
 
-        if (review.user.toString() !== req.user._id.toString() && req.user.role !== 'admin') {
+        if (review.user.toString() !== req.user._id.toString() && !can(req, 'reviews:moderate')) {
             return res.status(403).json({ success: false, message: 'Not authorized' });
         }
 
@@ -306,8 +304,8 @@ router.delete('/:id', protect, async (req, res) => {
 
 // @route   PUT /api/reviews/:id/moderate
 // @desc    Moderate a review (approve/reject)
-// @access  Admin only
-router.put('/:id/moderate', protect, adminOnly, async (req, res) => {
+// @access  Permission: reviews:moderate
+router.put('/:id/moderate', protect, requirePermission('reviews:moderate'), async (req, res) => {
     try {
         const { isApproved } = req.body;
         const review = await Review.findByIdAndUpdate(req.params.id, { isApproved }, { new: true }).populate('user', 'name');
@@ -333,8 +331,8 @@ router.put('/:id/moderate', protect, adminOnly, async (req, res) => {
 
 // @route   GET /api/reviews/pending
 // @desc    Get pending reviews for moderation
-// @access  Admin only
-router.get('/pending', protect, adminOnly, async (req, res) => {
+// @access  Permission: reviews:moderate
+router.get('/pending', protect, requirePermission('reviews:moderate'), async (req, res) => {
     try {
         const reviews = await Review.find({ isApproved: false })
             .populate('user', 'name email')
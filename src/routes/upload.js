@@ -11,13 +11,7 @@ const upload = multer({
     limits: {
         fileSize: 5 * 1024 * 1024 // 5MB limit
     },
-    fileFilter: (req, file, cb) => {
-        if (file.mimetype.startsWith('image/')) {
-            cb(null, true);
-        } else {
-            cb(new Error('Not an image! Please upload only images.'), false);
-        }
-    }
+    fileFilter: fileService.imageFileFilter
 });
 
 // @route   POST /api/upload/avatar
@@ -0,0 +1,210 @@
+const express = require('express');
+const router = express.Router();
+const Wishlist = require('../models/Wishlist');
+const Cart = require('../models/Cart');
+const Product = require('../models/Product');
+const { protect } = require('../middleware/auth');
+const { getAvailableStock, getEffectivePrice, addToCart } = require('../services/cartService');
+
+// Add current price/stock flags to each wishlist item
+const withFlags = (wishlist) => {
+    const items = wishlist.items
+        .filter(item => item.product)
+        .map(item => {
+            const product = item.product;
+            const currentPrice = getEffectivePrice(product);
+            const availableStock = getAvailableStock(product);
+            const inStock = product.isAvailable && availableStock > 0;
+
+            return {
+                _id: item._id,
+                product,
+                addedAt: item.addedAt,
+                priceWhenAdded: item.priceWhenAdded,
+                currentPrice,
+                availableStock,
+                inStock,
+                priceDrop: currentPrice < item.priceWhenAdded,
+                priceDropAmount: Math.max(item.priceWhenAdded - currentPrice, 0),
+                backInStock: !item.inStockWhenAdded && inStock
+            };
+        });
+
+    return {
+        _id: wishlist._id,
+        user: wishlist.user,
+        items,
+        updatedAt: wishlist.updatedAt
+    };
+};
+
+const populateWishlist = (query) => query
+    .populate('items.product', 'name price discountPrice images stock reservedStock isAvailable shippingFees');
+
+// @route   GET /api/wishlist
+// @desc    Get user's wishlist with price-drop and back-in-stock flags
+// @access  Private
+router.get('/', protect, async (req, res) => {
+    try {
+        let wishlist = await populateWishlist(Wishlist.findOne({ user: req.user._id }));
+
+        if (!wishlist) {
+            wishlist = await Wishlist.create({ user: req.user._id, items: [] });
+        }
+
+        res.json({
+            success: true,
+            data: withFlags(wishlist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/wishlist/add
+// @desc    Save a product to the wishlist
+// @access  Private
+router.post('/add', protect, async (req, res) => {
+    try {
+        const { productId } = req.body;
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        let wishlist = await Wishlist.findOne({ user: req.user._id });
+
+        if (!wishlist) {
+            wishlist = new Wishlist({ user: req.user._id, items: [] });
+        }
+
+        const alreadySaved = wishlist.items.some(
+            item => item.product.toString() === product._id.toString()
+        );
+
+        if (!alreadySaved) {
+            wishlist.items.push({
+                product: product._id,
+                priceWhenAdded: getEffectivePrice(product),
+                inStockWhenAdded: product.isAvailable && getAvailableStock(product) > 0
+            });
+            await wishlist.save();
+        }
+
+        const updatedWishlist = await populateWishlist(Wishlist.findById(wishlist._id));
+
+        res.json({
+            success: true,
+            data: withFlags(updatedWishlist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   DELETE /api/wishlist/remove/:productId
+// @desc    Remove a product from the wishlist
+// @access  Private
+router.delete('/remove/:productId', protect, async (req, res) => {
+    try {
+        const wishlist = await Wishlist.findOne({ user: req.user._id });
+
+        if (!wishlist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Wishlist not found'
+            });
+        }
+
+        wishlist.items = wishlist.items.filter(
+            item => item.product.toString() !== req.params.productId
+        );
+
+        await wishlist.save();
+
+        const updatedWishlist = await populateWishlist(Wishlist.findById(wishlist._id));
+
+        res.json({
+            success: true,
+            data: withFlags(updatedWishlist)
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+// @route   POST /api/wishlist/move-to-cart
+// @desc    Move a wishlist item into the cart (variantId is required for products with variants)
+// @access  Private
+router.post('/move-to-cart', protect, async (req, res) => {
+    try {
+        const { productId, variantId, quantity = 1 } = req.body;
+
+        const wishlist = await Wishlist.findOne({ user: req.user._id });
+        const inWishlist = wishlist && wishlist.items.some(
+            item => item.product.toString() === productId
+        );
+
+        if (!inWishlist) {
+            return res.status(404).json({
+                success: false,
+                message: 'Item not found in wishlist'
+            });
+        }
+
+        const product = await Product.findById(productId);
+        if (!product) {
+            return res.status(404).json({
+                success: false,
+                message: 'Product not found'
+            });
+        }
+
+        // Same availability rules as adding from the product page
+        const result = await addToCart(req.user._id, product, quantity, variantId);
+
+        if (!result.success) {
+            return res.status(result.status).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        wishlist.items = wishlist.items.filter(
+            item => item.product.toString() !== productId
+        );
+        await wishlist.save();
+
+        const cart = await Cart.findById(result.cart._id)
+            .populate('items.product', 'name price discountPrice images stock shippingFees');
+        const updatedWishlist = await populateWishlist(Wishlist.findById(wishlist._id));
+
+        res.json({
+            success: true,
+            data: {
+                cart,
+                wishlist: withFlags(updatedWishlist)
+            }
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: error.message
+        });
+    }
+});
+
+module.exports = router;
@@ -63,13 +63,13 @@ const seedDatabase = async (isStandalone = false) => {
 
         console.log('👤 Creating users...');
         const usersData = [
-            { name: 'John Admin', email: 'admin@ssquare.com', password: hashedAdminPass, phone: '9876543210', role: 'admin', isActive: true },
-            { name: 'Priya Sharma', email: 'customer@ssquare.com', password: hashedCustomerPass, phone: '9876543211', role: 'customer', isActive: true },
-            { name: 'Rahul Kumar', email: 'customer2@ssquare.com', password: hashedCustomerPass, phone: '9876543212', role: 'customer', isActive: true },
-            { name: 'Amit Inventory', email: 'inventory@ssquare.com', password: hashedInventoryPass, phone: '9876543213', role: 'inventory_manager', isActive: true },
-            { name: 'Vikram Delivery', email: 'delivery@ssquare.com', password: hashedDeliveryPass, phone: '9876543214', role: 'delivery_partner', isActive: true },
-            { name: 'Neha Customer', email: 'neha@example.com', password: hashedCustomerPass, phone: '9876543215', role: 'customer', isActive: true },
-            { name: 'Suresh Delivery', email: 'delivery2@ssquare.com', password: hashedDeliveryPass, phone: '9876543216', role: 'delivery_partner', isActive: true }
+            { name: 'John Admin', email: 'admin@ssquare.com', password: hashedAdminPass, phone: '9876543210', role: 'admin', isActive: true, isEmailVerified: true, isPhoneVerified: true },
+            { name: 'Priya Sharma', email: 'customer@ssquare.com', password: hashedCustomerPass, phone: '9876543211', role: 'customer', isActive: true, isEmailVerified: true, isPhoneVerified: true },
+            { name: 'Rahul Kumar', email: 'customer2@ssquare.com', password: hashedCustomerPass, phone: '9876543212', role: 'customer', isActive: true, isEmailVerified: true, isPhoneVerified: true },
+            { name: 'Amit Inventory', email: 'inventory@ssquare.com', password: hashedInventoryPass, phone: '9876543213', role: 'inventory_manager', isActive: true, isEmailVerified: true, isPhoneVerified: true },
+            { name: 'Vikram Delivery', email: 'delivery@ssquare.com', password: hashedDeliveryPass, phone: '9876543214', role: 'delivery_partner', isActive: true, isEmailVerified: true, isPhoneVerified: true },
+            { name: 'Neha Customer', email: 'neha@example.com', password: hashedCustomerPass, phone: '9876543215', role: 'customer', isActive: true, isEmailVerified: true, isPhoneVerified: true },
+            { name: 'Suresh Delivery', email: 'delivery2@ssquare.com', password: hashedDeliveryPass, phone: '9876543216', role: 'delivery_partner', isActive: true, isEmailVerified: true, isPhoneVerified: true }
         ];
 
         const createdUsers = await User.insertMany(usersData);
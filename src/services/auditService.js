@@ -0,0 +1,22 @@
+const AuditLog = require('../models/AuditLog');
+
+/**
+ * Write an audit log entry. Failures are logged, never thrown.
+ * @param {Object} entry - { action, actor, subject, session, metadata }
+ * @param {Object} [req] - Express request (adds method, path, ip, user agent)
+ */
+const recordAudit = async (entry, req) => {
+    try {
+        await AuditLog.create({
+            ...entry,
+            method: req ? req.method : undefined,
+            path: req ? req.originalUrl : undefined,
+            ip: req ? req.ip : undefined,
+            userAgent: req ? req.headers['user-agent'] : undefined
+        });
+    } catch (error) {
+        console.error('Audit log error:', error.message);
+    }
+};
+
+module.exports = { recordAudit };
@@ -0,0 +1,176 @@
+const Cart = require('../models/Cart');
+const { refreshCartDiscount } = require('./couponService');
+
+/**
+ * Find a variant of a product
+ * @param {Object} product - Product document
+ * @param {string} [variantId] - Variant ID
+ * @returns {Object|null} Variant subdocument
+ */
+const findVariant = (product, variantId) => {
+    if (!variantId || !product.variants) return null;
+    return product.variants.find(variant => variant._id.toString() === String(variantId)) || null;
+};
+
+/**
+ * Short description of a variant's options, e.g. "M / 29\" / Red"
+ * @param {Object} variant - Variant subdocument
+ */
+const getVariantName = (variant) => {
+    const { frameSize, wheelSize, color } = variant.attributes || {};
+    return [frameSize, wheelSize, color].filter(Boolean).join(' / ') || variant.sku;
+};
+
+/**
+ * Units that can still be sold (stock not reserved by open orders)
+ * @param {Object} product - Product document
+ * @param {Object} [variant] - Variant subdocument (stock is held per variant)
+ */
+const getAvailableStock = (product, variant) => {
+    const holder = variant || product;
+    const stockValue = holder.stock || 0;
+    const reservedValue = holder.reservedStock || 0;
+    return stockValue - reservedValue;
+};
+
+/**
+ * Price a customer pays for one unit
+ * @param {Object} product - Product document
+ * @param {Object} [variant] - Variant subdocument; without its own price it sells at the product's
+ */
+const getEffectivePrice = (product, variant) => {
+    const source = variant && variant.price !== undefined && variant.price !== null ? variant : product;
+    return source.discountPrice > 0 ? source.discountPrice : source.price;
+};
+
+/**
+ * Check whether a quantity of a product can be bought
+ * @param {Object} product - Product document
+ * @param {number} quantity - Requested quantity
+ * @param {Object} [variant] - Variant subdocument
+ * @returns {{available: boolean, availableStock: number, message?: string}}
+ */
+const checkAvailability = (product, quantity, variant) => {
+    const availableStock = getAvailableStock(product, variant);
+
+    if (!product.isAvailable || (variant && !variant.isAvailable)) {
+        return { available: false, availableStock, message: 'Product is not available' };
+    }
+
+    if (quantity > availableStock) {
+        return { available: false, availableStock, message: `Only ${availableStock} units available` };
+    }
+
+    return { available: true, availableStock };
+};
+
+/**
+ * Resolve the variant a customer picked. Products with variants must have one picked.
+ * @param {Object} product - Product document
+ * @param {string} [variantId] - Variant ID
+ * @returns {{success: boolean, status?: number, message?: string, variant?: Object|null}}
+ */
+const resolveVariant = (product, variantId) => {
+    if (!product.variants || product.variants.length === 0) {
+        return variantId
+            ? { success: false, status: 400, message: 'This product has no variants' }
+            : { success: true, variant: null };
+    }
+
+    if (!variantId) {
+        return { success: false, status: 400, message: 'Please select a variant' };
+    }
+
+    const variant = findVariant(product, variantId);
+    if (!variant) {
+        return { success: false, status: 404, message: 'Variant not found' };
+    }
+
+    return { success: true, variant };
+};
+
+/**
+ * Whether a cart line is for a product (and variant)
+ * @param {Object} item - Cart item
+ * @param {string} productId - Product ID
+ * @param {string} [variantId] - Variant ID
+ */
+const isSameLine = (item, productId, variantId) => {
+    const itemProduct = item.product._id || item.product;
+    return itemProduct.toString() === String(productId) &&
+        String(item.variant || '') === String(variantId || '');
+};
+
+/**
+ * Add a product to a user's cart, merging with an existing line
+ * @param {string} userId - User ID
+ * @param {Object} product - Product document
+ * @param {number} quantity - Quantity to add
+ * @param {string} [variantId] - Variant ID (required for products with variants)
+ * @returns {Promise<{success: boolean, status?: number, message?: string, cart?: Object, couponMessage?: string}>}
+ */
+const addToCart = async (userId, product, quantity, variantId) => {
+    const resolved = resolveVariant(product, variantId);
+    if (!resolved.success) return resolved;
+    const { variant } = resolved;
+
+    const availability = checkAvailability(product, quantity, variant);
+    if (!availability.available) {
+        return { success: false, status: 400, message: availability.message };
+    }
+
+    let cart = await Cart.findOne({ user: userId });
+
+    if (!cart) {
+        cart = new Cart({ user: userId, items: [] });
+    }
+
+    // Check if product already in cart
+    const existingItemIndex = cart.items.findIndex(
+        item => isSameLine(item, product._id, variant ? variant._id : null)
+    );
+
+    const price = getEffectivePrice(product, variant);
+
+    if (existingItemIndex > -1) {
+        // Update quantity
+        const newQuantity = cart.items[existingItemIndex].quantity + quantity;
+        if (newQuantity > availability.availableStock) {
+            return {
+                success: false,
+                status: 400,
+                message: `Cannot add more. Only ${availability.availableStock} units available`
+            };
+        }
+        cart.items[existingItemIndex].quantity = newQuantity;
+        cart.items[existingItemIndex].price = price;
+        cart.items[existingItemIndex].shippingFees = product.shippingFees || 0;
+    } else {
+        // Add new item
+        cart.items.push({
+            product: product._id,
+            variant: variant ? variant._id : undefined,
+            sku: variant ? variant.sku : undefined,
+            variantName: variant ? getVariantName(variant) : undefined,
+            quantity,
+            price,
+            shippingFees: product.shippingFees || 0
+        });
+    }
+
+    const couponMessage = await refreshCartDiscount(cart, userId);
+    await cart.save();
+
+    return { success: true, cart, couponMessage };
+};
+
+module.exports = {
+    findVariant,
+    getVariantName,
+    getAvailableStock,
+    getEffectivePrice,
+    checkAvailability,
+    resolveVariant,
+    isSameLine,
+    addToCart
+};
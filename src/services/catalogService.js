@@ -0,0 +1,561 @@
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const { parseCsv, toCsv } = require('./csvService');
+const { syncInventory, setStock } = require('./stockService');
+const { addVariant, updateVariant } = require('./productVariantService');
+
+// Catalogue files have one product per JSON item, or one row per product
+// (or per variant, repeating the product columns) in CSV. Products are
+// matched by sku, or by id for products exported before they had one.
+
+// Product columns: CSV header -> path in the product
+const PRODUCT_COLUMNS = [
+    { header: 'name', path: 'name' },
+    { header: 'description', path: 'description' },
+    { header: 'category', path: 'category' },
+    { header: 'price', path: 'price', type: 'number' },
+    { header: 'discount_price', path: 'discountPrice', type: 'number' },
+    { header: 'shipping_fees', path: 'shippingFees', type: 'number' },
+    { header: 'hsn_code', path: 'hsnCode' },
+    { header: 'gst_rate', path: 'gstRate', type: 'number' },
+    { header: 'brand', path: 'specifications.brand' },
+    { header: 'model', path: 'specifications.model' },
+    { header: 'frame_size', path: 'specifications.frameSize' },
+    { header: 'wheel_size', path: 'specifications.wheelSize' },
+    { header: 'weight', path: 'specifications.weight' },
+    { header: 'color', path: 'specifications.color' },
+    { header: 'material', path: 'specifications.material' },
+    { header: 'gears', path: 'specifications.gears', type: 'number' },
+    { header: 'brake_type', path: 'specifications.brakeType' },
+    { header: 'images', path: 'images', type: 'list' },
+    { header: 'tags', path: 'tags', type: 'list' },
+    { header: 'low_stock_threshold', path: 'lowStockThreshold', type: 'number' },
+    { header: 'is_available', path: 'isAvailable', type: 'boolean' },
+    { header: 'is_featured', path: 'isFeatured', type: 'boolean' }
+];
+
+const VARIANT_COLUMNS = [
+    { header: 'variant_sku', path: 'sku' },
+    { header: 'variant_frame_size', path: 'attributes.frameSize' },
+    { header: 'variant_wheel_size', path: 'attributes.wheelSize' },
+    { header: 'variant_color', path: 'attributes.color' },
+    { header: 'variant_price', path: 'price', type: 'number' },
+    { header: 'variant_discount_price', path: 'discountPrice', type: 'number' },
+    { header: 'variant_images', path: 'images', type: 'list' },
+    { header: 'variant_is_available', path: 'isAvailable', type: 'boolean' }
+];
+
+const CSV_HEADERS = ['id', 'sku', ...PRODUCT_COLUMNS.map(c => c.header), ...VARIANT_COLUMNS.map(c => c.header), 'stock'];
+
+// List columns (images, tags) hold several values separated by |
+const LIST_SEPARATOR = '|';
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1'];
+const FALSE_VALUES = ['false', 'no', 'n', '0'];
+
+const getPath = (object, path) => path.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+
+const setPath = (object, path, value) => {
+    const keys = path.split('.');
+    let target = object;
+    keys.slice(0, -1).forEach(key => {
+        if (!target[key]) target[key] = {};
+        target = target[key];
+    });
+    target[keys[keys.length - 1]] = value;
+    return object;
+};
+
+/**
+ * Read a cell or JSON value as its column type. Empty values are left out
+ * (unchanged on update, the schema default on create).
+ * @returns {{value?: *, error?: string}}
+ */
+const parseValue = (raw, type) => {
+    if (raw === undefined || raw === null || raw === '') return {};
+
+    if (type === 'list') {
+        const values = Array.isArray(raw) ? raw : String(raw).split(LIST_SEPARATOR);
+        return { value: values.map(value => String(value).trim()).filter(Boolean) };
+    }
+
+    if (type === 'number') {
+        const value = typeof raw === 'number' ? raw : Number(String(raw).replace(/,/g, ''));
+        return Number.isFinite(value) ? { value } : { error: `"${raw}" is not a number` };
+    }
+
+    if (type === 'boolean') {
+        if (typeof raw === 'boolean') return { value: raw };
+        const text = String(raw).trim().toLowerCase();
+        if (TRUE_VALUES.includes(text)) return { value: true };
+        if (FALSE_VALUES.includes(text)) return { value: false };
+        return { error: `"${raw}" is not true or false` };
+    }
+
+    return { value: String(raw).trim() };
+};
+
+/**
+ * Read the columns of a product or variant
+ * @param {Function} read - (column) => raw value
+ * @param {Array} columns - PRODUCT_COLUMNS or VARIANT_COLUMNS
+ * @param {string[]} errors - Receives field errors
+ * @returns {Object} path -> value
+ */
+const readColumns = (read, columns, errors) => {
+    const fields = {};
+    columns.forEach(column => {
+        const { value, error } = parseValue(read(column), column.type);
+        if (error) errors.push(`${column.header}: ${error}`);
+        else if (value !== undefined) fields[column.path] = value;
+    });
+    return fields;
+};
+
+const readStock = (raw, errors) => {
+    const { value, error } = parseValue(raw, 'number');
+    if (error) errors.push(`stock: ${error}`);
+    else if (value !== undefined && (value < 0 || !Number.isInteger(value))) errors.push('stock: must be a whole number of 0 or more');
+    else return value;
+    return undefined;
+};
+
+const toNested = (fields) => Object.entries(fields).reduce((object, [path, value]) => setPath(object, path, value), {});
+
+/**
+ * Catalogue entries from CSV rows: rows with the same sku (or id) form one product
+ * @param {string} text - CSV content
+ * @returns {Array} Entries ({ rows, id, sku, fields, stock, variants, errors })
+ */
+const parseCatalogCsv = (text) => {
+    const groups = new Map();
+
+    parseCsv(text).forEach((row, index) => {
+        const key = (row.sku || '').toUpperCase() || row.id || `row-${index}`;
+        if (!groups.has(key)) groups.set(key, []);
+        // Header is line 1
+        groups.get(key).push({ row, line: index + 2 });
+    });
+
+    return [...groups.values()].map(group => {
+        const errors = [];
+        const first = group[0].row;
+
+        // Product columns may be filled on any of the product's rows, but must agree
+        const fields = {};
+        PRODUCT_COLUMNS.forEach(column => {
+            const values = [...new Set(group.map(({ row }) => row[column.header]).filter(value => value))];
+            if (values.length > 1) {
+                errors.push(`${column.header}: rows disagree (${values.join(' / ')})`);
+                return;
+            }
+            const { value, error } = parseValue(values[0], column.type);
+            if (error) errors.push(`${column.header}: ${error}`);
+            else if (value !== undefined) fields[column.path] = value;
+        });
+
+        const variantRows = group.filter(({ row }) => row.variant_sku);
+        let variants = null;
+        let stock;
+
+        if (variantRows.length > 0) {
+            if (variantRows.length !== group.length) {
+                errors.push('Either every row of a product has a variant_sku or none does');
+            }
+            variants = variantRows.map(({ row }) => ({
+                fields: readColumns(column => row[column.header], VARIANT_COLUMNS, errors),
+                stock: readStock(row.stock, errors)
+            }));
+        } else {
+            if (group.length > 1) errors.push('Repeated sku - use variant_sku for each variant');
+            stock = readStock(first.stock, errors);
+        }
+
+        return {
+            rows: group.map(({ line }) => line),
+            id: first.id || undefined,
+            sku: (first.sku || '').toUpperCase() || undefined,
+            fields,
+            stock,
+            variants,
+            errors
+        };
+    });
+};
+
+/**
+ * Catalogue entries from a JSON array of products (as exported)
+ * @param {string} text - JSON content
+ * @returns {Array} Entries
+ */
+const parseCatalogJson = (text) => {
+    const data = JSON.parse(text);
+    const items = Array.isArray(data) ? data : data.products;
+
+    if (!Array.isArray(items)) {
+        throw new Error('Expected an array of products');
+    }
+
+    return items.map((item, index) => {
+        const errors = [];
+
+        const variants = Array.isArray(item.variants) && item.variants.length > 0
+            ? item.variants.map(variant => ({
+                fields: readColumns(column => getPath(variant, column.path), VARIANT_COLUMNS, errors),
+                stock: readStock(variant.stock, errors)
+            }))
+            : null;
+
+        return {
+            rows: [index + 1],
+            id: item.id || item._id || undefined,
+            sku: item.sku ? String(item.sku).trim().toUpperCase() : undefined,
+            fields: readColumns(column => getPath(item, column.path), PRODUCT_COLUMNS, errors),
+            stock: variants ? undefined : readStock(item.stock, errors),
+            variants,
+            errors
+        };
+    });
+};
+
+/**
+ * Validation messages of a product document
+ * @param {Object} product - Product document
+ * @returns {Promise<string[]>}
+ */
+const getValidationErrors = async (product) => {
+    try {
+        await product.validate();
+        return [];
+    } catch (error) {
+        return error.errors
+            ? Object.values(error.errors).map(err => err.message)
+            : [error.message];
+    }
+};
+
+/**
+ * Work out what importing an entry would do, and what stops it
+ * @param {Object} entry - Parsed entry
+ * @param {{variantSkus: Map, productKeys: Map}} seen - SKUs already claimed by earlier entries
+ * @returns {Promise<Object>} Plan ({ entry, action, errors, product, newVariants, variantUpdates, stock })
+ */
+const planEntry = async (entry, seen) => {
+    const errors = [...entry.errors];
+    const plan = { entry, action: 'error', errors, newVariants: [], variantUpdates: [] };
+
+    if (!entry.sku && !entry.id) {
+        errors.push('sku (or id) is required');
+        return plan;
+    }
+
+    const productKey = entry.sku || String(entry.id);
+    if (seen.productKeys.has(productKey)) {
+        errors.push(`Duplicate of the product on row ${seen.productKeys.get(productKey)}`);
+        return plan;
+    }
+    seen.productKeys.set(productKey, entry.rows[0]);
+
+    // Match by sku, then by id
+    let existing = entry.sku ? await Product.findOne({ sku: entry.sku }) : null;
+    if (entry.id) {
+        if (!mongoose.isValidObjectId(entry.id)) {
+            errors.push(`id ${entry.id} is not valid`);
+            return plan;
+        }
+        if (existing && existing._id.toString() !== String(entry.id)) {
+            errors.push(`sku ${entry.sku} belongs to another product`);
+            return plan;
+        }
+        if (!existing) {
+            existing = await Product.findById(entry.id);
+            if (!existing) {
+                errors.push(`No product with id ${entry.id}`);
+                return plan;
+            }
+        }
+    }
+
+    const product = existing || new Product({});
+    plan.product = product;
+
+    if (entry.sku) product.sku = entry.sku;
+    Object.entries(entry.fields).forEach(([path, value]) => product.set(path, value));
+
+    if (entry.variants) {
+        if (existing && existing.variants.length === 0 && (existing.stock > 0 || existing.reservedStock > 0)) {
+            errors.push('Set the product stock to 0 before adding variants - stock is then kept per variant');
+        }
+
+        for (const variantEntry of entry.variants) {
+            const sku = (variantEntry.fields.sku || '').toUpperCase();
+            if (!sku) {
+                errors.push('variant_sku is required for each variant');
+                continue;
+            }
+
+            if (seen.variantSkus.has(sku)) {
+                errors.push(`Variant SKU ${sku} is repeated (row ${seen.variantSkus.get(sku)})`);
+                continue;
+            }
+            seen.variantSkus.set(sku, entry.rows[0]);
+
+            if (await Product.exists({ _id: { $ne: product._id }, 'variants.sku': sku })) {
+                errors.push(`Variant SKU ${sku} is used by another product`);
+                continue;
+            }
+
+            const variant = existing ? product.variants.find(v => v.sku === sku) : null;
+
+            if (variant) {
+                Object.entries(variantEntry.fields).forEach(([path, value]) => variant.set(path, value));
+                if (variantEntry.stock !== undefined && variantEntry.stock < variant.reservedStock) {
+                    errors.push(`${sku}: stock cannot be set below the ${variant.reservedStock} units reserved for open orders`);
+                }
+                plan.variantUpdates.push({
+                    variantId: variant._id,
+                    data: toNested(variantEntry.fields),
+                    stock: variantEntry.stock !== variant.stock ? variantEntry.stock : undefined,
+                    changed: variant.isModified() || (variantEntry.stock !== undefined && variantEntry.stock !== variant.stock)
+                });
+            } else {
+                product.variants.push({
+                    ...toNested(variantEntry.fields),
+                    // Existing products get opening stock through the stock service
+                    stock: existing ? 0 : variantEntry.stock || 0
+                });
+                plan.newVariants.push({ data: toNested(variantEntry.fields), stock: variantEntry.stock || 0 });
+            }
+        }
+    } else if (entry.stock !== undefined) {
+        if (existing && existing.variants.length > 0) {
+            errors.push('This product keeps stock per variant - give a row for each variant');
+        } else if (existing) {
+            if (entry.stock < existing.reservedStock) {
+                errors.push(`stock cannot be set below the ${existing.reservedStock} units reserved for open orders`);
+            }
+            if (entry.stock !== existing.stock) plan.stock = entry.stock;
+        } else {
+            product.stock = entry.stock;
+        }
+    }
+
+    errors.push(...await getValidationErrors(product));
+
+    if (errors.length > 0) return plan;
+
+    if (!existing) {
+        plan.action = 'create';
+    } else {
+        const changed = product.isModified() || plan.stock !== undefined ||
+            plan.newVariants.length > 0 || plan.variantUpdates.some(update => update.changed);
+        plan.action = changed ? 'update' : 'unchanged';
+    }
+
+    return plan;
+};
+
+/**
+ * Save a new product and create its inventory records (one per variant for
+ * products with variants), logging any opening stock
+ * @param {Object} data - Product fields, or an unsaved Product document
+ * @param {{updatedBy?: string}} [context]
+ * @returns {Promise<Object>} Product document
+ */
+const createProduct = async (data, { updatedBy } = {}) => {
+    const product = data instanceof Product ? data : new Product(data);
+    await product.save();
+
+    const stockHolders = product.variants.length > 0
+        ? product.variants.map(variant => ({ stock: variant.stock, variantId: variant._id }))
+        : [{ stock: product.stock, variantId: null }];
+
+    for (const { stock, variantId } of stockHolders) {
+        await syncInventory(product, stock > 0 ? {
+            type: 'in',
+            quantity: stock,
+            previousStock: 0,
+            reason: 'Opening stock',
+            updatedBy
+        } : undefined, {}, variantId);
+    }
+
+    return product;
+};
+
+/**
+ * Apply an update plan through the same services as the admin screens, so
+ * stock changes are logged and reservations respected
+ * @param {Object} plan - Plan from planEntry (action update)
+ * @param {{updatedBy?: string}} context
+ * @returns {Promise<string[]>} Errors
+ */
+const applyUpdate = async (plan, { updatedBy }) => {
+    const { entry } = plan;
+    const productId = plan.product._id;
+    const errors = [];
+
+    const $set = { ...entry.fields };
+    if (entry.sku) $set.sku = entry.sku;
+    if (Object.keys($set).length > 0) {
+        await Product.findByIdAndUpdate(productId, { $set }, { runValidators: true });
+    }
+
+    for (const update of plan.variantUpdates.filter(u => u.changed)) {
+        const product = await Product.findById(productId);
+        const result = await updateVariant(product, update.variantId, {
+            ...update.data,
+            stock: update.stock
+        }, { reason: 'Catalogue import', updatedBy });
+        if (!result.success) errors.push(result.message);
+    }
+
+    for (const variant of plan.newVariants) {
+        const product = await Product.findById(productId);
+        const result = await addVariant(product, { ...variant.data, stock: variant.stock }, { updatedBy });
+        if (!result.success) errors.push(result.message);
+    }
+
+    if (plan.stock !== undefined) {
+        const result = await setStock(productId, plan.stock, { reason: 'Catalogue import', updatedBy });
+        if (!result.success) errors.push(result.message);
+    }
+
+    return errors;
+};
+
+/**
+ * Validate a catalogue file row by row and, unless it is a dry run, upsert its products
+ * @param {Object} options
+ * @param {string} options.text - File content
+ * @param {string} options.format - csv or json
+ * @param {boolean} [options.dryRun] - Only report what would happen
+ * @param {boolean} [options.skipInvalid] - Import the valid products even if some have errors
+ * @param {string} [options.updatedBy] - User ID
+ * @returns {Promise<{success: boolean, message?: string, applied?: boolean, summary?: Object, results?: Array}>}
+ */
+const importCatalog = async ({ text, format, dryRun = false, skipInvalid = false, updatedBy }) => {
+    let entries;
+    try {
+        entries = format === 'json' ? parseCatalogJson(text) : parseCatalogCsv(text);
+    } catch (error) {
+        return { success: false, message: `Could not read the ${format.toUpperCase()} file: ${error.message}` };
+    }
+
+    if (entries.length === 0) {
+        return { success: false, message: 'No products found in the file' };
+    }
+
+    const seen = { variantSkus: new Map(), productKeys: new Map() };
+    const plans = [];
+    for (const entry of entries) {
+        plans.push(await planEntry(entry, seen));
+    }
+
+    const invalid = plans.filter(plan => plan.action === 'error').length;
+    const applied = !dryRun && (invalid === 0 || skipInvalid);
+
+    if (applied) {
+        for (const plan of plans) {
+            try {
+                if (plan.action === 'create') {
+                    await createProduct(plan.product, { updatedBy });
+                } else if (plan.action === 'update') {
+                    plan.errors.push(...await applyUpdate(plan, { updatedBy }));
+                }
+            } catch (error) {
+                plan.errors.push(error.message);
+            }
+            if (plan.errors.length > 0 && plan.action !== 'error') plan.action = 'failed';
+        }
+    }
+
+    const results = plans.map(plan => ({
+        rows: plan.entry.rows,
+        sku: plan.entry.sku,
+        id: plan.product && !plan.product.isNew ? plan.product._id : plan.entry.id,
+        name: plan.entry.fields.name || (plan.product ? plan.product.name : undefined),
+        variants: plan.entry.variants ? plan.entry.variants.length : 0,
+        action: plan.action,
+        errors: plan.errors
+    }));
+
+    const count = (action) => results.filter(result => result.action === action).length;
+
+    return {
+        success: true,
+        applied,
+        summary: {
+            products: results.length,
+            rows: results.reduce((total, result) => total + result.rows.length, 0),
+            create: count('create'),
+            update: count('update'),
+            unchanged: count('unchanged'),
+            invalid,
+            failed: count('failed')
+        },
+        results
+    };
+};
+
+/**
+ * The catalogue in the import format
+ * @param {string} format - csv or json
+ * @returns {Promise<string>} File content
+ */
+const exportCatalog = async (format) => {
+    const products = await Product.find().sort({ createdAt: 1 });
+
+    if (format === 'json') {
+        const items = products.map(product => {
+            const item = { id: product._id.toString(), sku: product.sku };
+            PRODUCT_COLUMNS.forEach(column => setPath(item, column.path, getPath(product, column.path)));
+
+            if (product.variants.length > 0) {
+                item.variants = product.variants.map(variant => {
+                    const variantItem = {};
+                    VARIANT_COLUMNS.forEach(column => setPath(variantItem, column.path, getPath(variant, column.path)));
+                    variantItem.stock = variant.stock;
+                    return variantItem;
+                });
+            } else {
+                item.stock = product.stock;
+            }
+
+            return item;
+        });
+
+        return JSON.stringify(items, null, 2);
+    }
+
+    const toCell = (value, type) => (type === 'list' && Array.isArray(value) ? value.join(LIST_SEPARATOR) : value);
+
+    const rows = [];
+    products.forEach(product => {
+        const base = { id: product._id.toString(), sku: product.sku };
+        PRODUCT_COLUMNS.forEach(column => {
+            base[column.header] = toCell(getPath(product, column.path), column.type);
+        });
+
+        if (product.variants.length === 0) {
+            rows.push({ ...base, stock: product.stock });
+            return;
+        }
+
+        product.variants.forEach(variant => {
+            const row = { ...base, stock: variant.stock };
+            VARIANT_COLUMNS.forEach(column => {
+                row[column.header] = toCell(getPath(variant, column.path), column.type);
+            });
+            rows.push(row);
+        });
+    });
+
+    return toCsv(rows, CSV_HEADERS);
+};
+
+module.exports = {
+    createProduct,
+    importCatalog,
+    exportCatalog
+};
@@ -0,0 +1,172 @@
+const Order = require('../models/Order');
+const { COD_RULES } = require('../config/cod');
+
+// COD orders that have not been delivered or cancelled yet
+const OPEN_STATUSES = ['created', 'packed', 'shipped'];
+
+/**
+ * Check whether a customer can pay cash on delivery for an order
+ * @param {string} userId - User ID
+ * @param {number} orderValue - Order total
+ * @param {string} pincode - Delivery pincode
+ * @returns {Promise<{eligible: boolean, message?: string}>}
+ */
+const checkCodEligibility = async (userId, orderValue, pincode) => {
+    const code = String(pincode || '').trim();
+
+    if (orderValue > COD_RULES.maxOrderValue) {
+        return {
+            eligible: false,
+            message: `Cash on delivery is only available for orders up to ₹${COD_RULES.maxOrderValue}`
+        };
+    }
+
+    if (COD_RULES.blockedPincodes.includes(code) ||
+        (COD_RULES.pincodePrefixes.length > 0 && !COD_RULES.pincodePrefixes.some(prefix => code.startsWith(prefix)))) {
+        return { eligible: false, message: `Cash on delivery is not available for pincode ${code}` };
+    }
+
+    const [cancelled, open] = await Promise.all([
+        Order.countDocuments({ user: userId, 'payment.mode': 'cod', status: 'cancelled' }),
+        Order.countDocuments({ user: userId, 'payment.mode': 'cod', status: { $in: OPEN_STATUSES } })
+    ]);
+
+    if (cancelled >= COD_RULES.maxCancelledOrders) {
+        return { eligible: false, message: 'Cash on delivery is not available for your account. Please pay online.' };
+    }
+
+    if (open >= COD_RULES.maxOpenOrders) {
+        return {
+            eligible: false,
+            message: `You already have ${open} cash on delivery orders in progress. Please pay online.`
+        };
+    }
+
+    return { eligible: true };
+};
+
+/**
+ * Record the cash a delivery partner collected for a COD order (the order is not saved)
+ * @param {Object} order - Order document
+ * @param {number} amount - Cash collected
+ * @param {string} partnerId - Delivery partner collecting it
+ * @returns {{success: boolean, status?: number, message?: string}}
+ */
+const collectCodPayment = (order, amount, partnerId) => {
+    if (order.payment.mode !== 'cod') {
+        return { success: false, status: 400, message: 'This order is not cash on delivery' };
+    }
+
+    if (order.payment.status === 'completed') {
+        return { success: true };
+    }
+
+    if (Number(amount) !== order.totalAmount) {
+        return {
+            success: false,
+            status: 400,
+            message: `Collect ₹${order.totalAmount} in cash before confirming delivery`
+        };
+    }
+
+    order.payment.status = 'completed';
+    order.payment.method = 'cash';
+    order.payment.paidAt = new Date();
+    order.payment.cod = {
+        collectedAmount: order.totalAmount,
+        collectedAt: new Date(),
+        collectedBy: partnerId
+    };
+    order.statusHistory.push({
+        status: order.status,
+        note: `Cash collected: ₹${order.totalAmount}`,
+        updatedBy: partnerId
+    });
+
+    return { success: true };
+};
+
+/**
+ * Cash each delivery partner should hand in for a day: COD orders delivered
+ * and cash collected, with orders delivered but not yet collected
+ * @param {Date} day - Any time on the day
+ * @param {string} [partnerId] - Limit to one partner
+ * @returns {Promise<Array>} One row per partner
+ */
+const getCodReconciliation = async (day, partnerId) => {
+    const start = new Date(day);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const query = {
+        'payment.mode': 'cod',
+        $or: [
+            { 'delivery.actualDate': { $gte: start, $lt: end } },
+            { 'payment.cod.collectedAt': { $gte: start, $lt: end } }
+        ]
+    };
+    if (partnerId) {
+        query.$and = [{ $or: [{ 'delivery.partner': partnerId }, { 'payment.cod.collectedBy': partnerId }] }];
+    }
+
+    const orders = await Order.find(query)
+        .select('orderNumber totalAmount payment delivery status')
+        .populate('delivery.partner', 'name phone')
+        .populate('payment.cod.collectedBy', 'name phone');
+
+    const rows = new Map();
+    const rowFor = (partner) => {
+        const key = partner ? partner._id.toString() : 'unassigned';
+        if (!rows.has(key)) {
+            rows.set(key, {
+                partner: partner || null,
+                deliveredCount: 0,
+                expectedAmount: 0,
+                collectedCount: 0,
+                collectedAmount: 0,
+                pendingCollection: []
+            });
+        }
+        return rows.get(key);
+    };
+
+    const inDay = (date) => date && date >= start && date < end;
+
+    for (const order of orders) {
+        const cod = order.payment.cod || {};
+
+        if (inDay(order.delivery && order.delivery.actualDate)) {
+            const row = rowFor(order.delivery.partner);
+            row.deliveredCount++;
+            row.expectedAmount += order.totalAmount;
+
+            if (!cod.collectedAt) {
+                row.pendingCollection.push({
+                    orderId: order._id,
+                    orderNumber: order.orderNumber,
+                    amount: order.totalAmount
+                });
+            }
+        }
+
+        if (inDay(cod.collectedAt)) {
+            const row = rowFor(cod.collectedBy);
+            row.collectedCount++;
+            row.collectedAmount += cod.collectedAmount;
+        }
+    }
+
+    return [...rows.values()]
+        .filter(row => !partnerId || (row.partner && row.partner._id.toString() === partnerId.toString()))
+        .map(row => ({
+            ...row,
+            shortfall: Math.max(row.expectedAmount - row.collectedAmount, 0)
+        }));
+};
+
+module.exports = {
+    checkCodEligibility,
+    collectCodPayment,
+    getCodReconciliation
+};
@@ -0,0 +1,217 @@
+const Coupon = require('../models/Coupon');
+const CouponRedemption = require('../models/CouponRedemption');
+const Product = require('../models/Product');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * Check the coupon itself and the user's usage (not the cart contents)
+ * @param {Object} coupon - Coupon document
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Reason the coupon cannot be used, or null
+ */
+const getCouponBlock = async (coupon, userId) => {
+    const now = new Date();
+
+    if (!coupon || !coupon.isActive) return 'Invalid coupon code';
+    if (coupon.validFrom && coupon.validFrom > now) return 'This coupon is not active yet';
+    if (coupon.validUntil && coupon.validUntil < now) return 'This coupon has expired';
+    if (coupon.usageLimit && coupon.usedCount >= coupon.usageLimit) {
+        return 'This coupon has reached its usage limit';
+    }
+
+    const userRedemptions = await CouponRedemption.countDocuments({ coupon: coupon._id, user: userId });
+    if (userRedemptions >= coupon.perUserLimit) {
+        return 'You have already used this coupon';
+    }
+
+    return null;
+};
+
+/**
+ * Work out the discount a coupon gives on a set of cart items
+ * @param {Object} coupon - Coupon document
+ * @param {Array} items - Cart items ({ product, quantity, price })
+ * @returns {Promise<{discount: number, message?: string}>}
+ */
+const calculateDiscount = async (coupon, items) => {
+    const productIds = items.map(item => item.product._id || item.product);
+    const products = await Product.find({ _id: { $in: productIds } }).select('category');
+    const categoryById = new Map(products.map(p => [p._id.toString(), p.category]));
+
+    const cartValue = items.reduce((total, item) => total + item.price * item.quantity, 0);
+
+    if (cartValue < coupon.minCartValue) {
+        return {
+            discount: 0,
+            message: `Add items worth ₹${roundAmount(coupon.minCartValue - cartValue)} more to use this coupon`
+        };
+    }
+
+    const restrictedProducts = (coupon.applicableProducts || []).map(id => id.toString());
+    const restrictedCategories = coupon.applicableCategories || [];
+    const isRestricted = restrictedProducts.length > 0 || restrictedCategories.length > 0;
+
+    const eligibleValue = items.reduce((total, item) => {
+        const productId = (item.product._id || item.product).toString();
+        const eligible = !isRestricted ||
+            restrictedProducts.includes(productId) ||
+            restrictedCategories.includes(categoryById.get(productId));
+        return eligible ? total + item.price * item.quantity : total;
+    }, 0);
+
+    if (eligibleValue === 0) {
+        return { discount: 0, message: 'This coupon does not apply to any item in your cart' };
+    }
+
+    let discount = coupon.discountType === 'percentage'
+        ? eligibleValue * coupon.value / 100
+        : coupon.value;
+
+    if (coupon.discountType === 'percentage' && coupon.maxDiscount) {
+        discount = Math.min(discount, coupon.maxDiscount);
+    }
+
+    return { discount: roundAmount(Math.min(discount, eligibleValue)) };
+};
+
+/**
+ * Validate a coupon code and attach it to a cart (cart is not saved)
+ * @param {Object} cart - Cart document
+ * @param {string} code - Coupon code
+ * @param {string} userId - User ID
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const applyCouponToCart = async (cart, code, userId) => {
+    if (cart.items.length === 0) {
+        return { success: false, message: 'Cart is empty' };
+    }
+
+    const coupon = await Coupon.findOne({ code: String(code || '').toUpperCase().trim() });
+
+    const block = await getCouponBlock(coupon, userId);
+    if (block) return { success: false, message: block };
+
+    const { discount, message } = await calculateDiscount(coupon, cart.items);
+    if (discount <= 0) return { success: false, message };
+
+    cart.coupon = coupon._id;
+    cart.couponCode = coupon.code;
+    cart.discountAmount = discount;
+
+    return { success: true };
+};
+
+/**
+ * Remove any coupon from a cart (cart is not saved)
+ * @param {Object} cart - Cart document
+ */
+const removeCouponFromCart = (cart) => {
+    cart.coupon = undefined;
+    cart.couponCode = undefined;
+    cart.discountAmount = 0;
+};
+
+/**
+ * Recalculate the discount after the cart changed. Drops the coupon if it
+ * no longer applies. The cart is not saved.
+ * @param {Object} cart - Cart document
+ * @param {string} userId - User ID
+ * @returns {Promise<string|null>} Why the coupon was removed, or null
+ */
+const refreshCartDiscount = async (cart, userId) => {
+    if (!cart.coupon) return null;
+
+    const coupon = await Coupon.findById(cart.coupon);
+    const block = await getCouponBlock(coupon, userId);
+
+    const { discount, message } = block
+        ? { discount: 0, message: block }
+        : await calculateDiscount(coupon, cart.items);
+
+    if (discount <= 0) {
+        removeCouponFromCart(cart);
+        return message || 'Coupon removed';
+    }
+
+    cart.discountAmount = discount;
+    return null;
+};
+
+/**
+ * Record a coupon use for an order. The global and per-user limits are
+ * enforced atomically: the use is counted on the coupon, then takes one of
+ * the user's free redemption slots (or is given back).
+ * @param {string} couponId - Coupon ID
+ * @param {string} userId - User ID
+ * @param {string} orderId - Order ID
+ * @param {number} discountAmount - Discount given
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const redeemCoupon = async (couponId, userId, orderId, discountAmount) => {
+    const coupon = await Coupon.findOneAndUpdate(
+        {
+            _id: couponId,
+            $or: [
+                { usageLimit: null },
+                { $expr: { $lt: ['$usedCount', '$usageLimit'] } }
+            ]
+        },
+        { $inc: { usedCount: 1 } },
+        { new: true }
+    );
+
+    if (!coupon) return { success: false, message: 'This coupon has reached its usage limit' };
+
+    // Uses recorded before slots existed count against the limit too
+    const legacyRedemptions = await CouponRedemption.countDocuments({
+        coupon: coupon._id,
+        user: userId,
+        slot: { $exists: false }
+    });
+
+    for (let slot = 1; slot <= coupon.perUserLimit - legacyRedemptions; slot++) {
+        try {
+            await CouponRedemption.create({
+                coupon: coupon._id,
+                code: coupon.code,
+                user: userId,
+                order: orderId,
+                discountAmount,
+                slot
+            });
+            return { success: true };
+        } catch (error) {
+            // Slot taken - try the next one
+            if (error.code !== 11000 || !error.keyPattern || !error.keyPattern.slot) {
+                await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+                throw error;
+            }
+        }
+    }
+
+    await Coupon.updateOne({ _id: coupon._id, usedCount: { $gt: 0 } }, { $inc: { usedCount: -1 } });
+    return { success: false, message: 'You have already used this coupon' };
+};
+
+/**
+ * Give a coupon use back when its order is cancelled
+ * @param {string} orderId - Order ID
+ */
+const releaseCouponRedemption = async (orderId) => {
+    const redemption = await CouponRedemption.findOneAndDelete({ order: orderId });
+    if (redemption) {
+        await Coupon.updateOne(
+            { _id: redemption.coupon, usedCount: { $gt: 0 } },
+            { $inc: { usedCount: -1 } }
+        );
+    }
+};
+
+module.exports = {
+    applyCouponToCart,
+    removeCouponFromCart,
+    refreshCartDiscount,
+    redeemCoupon,
+    releaseCouponRedemption
+};
@@ -0,0 +1,96 @@
+// Minimal CSV reading and writing (RFC 4180: quoted fields, "" escapes, CRLF or LF).
+
+/**
+ * Parse CSV text into rows of fields
+ * @param {string} text - CSV content
+ * @returns {string[][]}
+ */
+const parseRows = (text) => {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+
+    // Strip a UTF-8 byte order mark (spreadsheet exports)
+    const input = text.charCodeAt(0) === 0xfeff ? text.slice(1) : text;
+
+    for (let i = 0; i < input.length; i++) {
+        const char = input[i];
+
+        if (quoted) {
+            if (char === '"' && input[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            row.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && input[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+
+    // Blank lines
+    return rows.filter(r => r.length > 1 || r[0] !== '');
+};
+
+/**
+ * Parse CSV with a header row into objects keyed by (trimmed, lower-case) header
+ * @param {string} text - CSV content
+ * @returns {Object[]}
+ */
+const parseCsv = (text) => {
+    const [header, ...rows] = parseRows(text);
+    if (!header) return [];
+
+    const keys = header.map(key => key.trim().toLowerCase());
+    return rows.map(fields => keys.reduce((record, key, index) => {
+        record[key] = fields[index] !== undefined ? fields[index].trim() : '';
+        return record;
+    }, {}));
+};
+
+const escapeField = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Write objects as CSV
+ * @param {Object[]} records - Rows
+ * @param {Array<string|{key: string, header: string}>} columns - Fields to write, in order
+ * @returns {string}
+ */
+const toCsv = (records, columns) => {
+    const cols = columns.map(column => (typeof column === 'string' ? { key: column, header: column } : column));
+
+    const lines = [cols.map(column => escapeField(column.header)).join(',')];
+    for (const record of records) {
+        lines.push(cols.map(column => escapeField(record[column.key])).join(','));
+    }
+
+    return lines.join('\r\n') + '\r\n';
+};
+
+module.exports = {
+    parseCsv,
+    toCsv
+};
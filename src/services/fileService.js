@@ -11,7 +11,27 @@ const BUCKETS = {
     PRODUCTS: 'product-images',
     INVOICES: 'invoices',
     AVATARS: 'avatars',
-    DELIVERY_PROOFS: 'delivery-proofs'
+    DELIVERY_PROOFS: 'delivery-proofs',
+    RETURNS: 'return-photos'
+};
+
+// Image types accepted from users, with the extension each is stored under
+const IMAGE_EXTENSIONS = {
+    'image/jpeg': 'jpg',
+    'image/png': 'png',
+    'image/webp': 'webp',
+    'image/gif': 'gif'
+};
+
+/**
+ * Multer file filter that only accepts the image types above
+ */
+const imageFileFilter = (req, file, cb) => {
+    if (IMAGE_EXTENSIONS[file.mimetype]) {
+        cb(null, true);
+    } else {
+        cb(new Error('Not an image! Please upload only images.'), false);
+    }
 };
 
 /**
@@ -94,6 +114,21 @@ const uploadDeliveryProof = async (imageBuffer, deliveryId) => {
     return uploadFile(imageBuffer, BUCKETS.DELIVERY_PROOFS, path, 'image/jpeg');
 };
 
+/**
+ * Upload a photo attached to a return request
+ * @param {Buffer} imageBuffer - Image buffer
+ * @param {string} returnId - Return ID
+ * @param {number} itemIndex - Index of the returned item
+ * @param {number} index - Photo index
+ * @param {string} mimeType - Image MIME type
+ */
+const uploadReturnPhoto = async (imageBuffer, returnId, itemIndex, index, mimeType = 'image/jpeg') => {
+    const extension = IMAGE_EXTENSIONS[mimeType];
+    if (!extension) throw new Error('Return photos must be JPEG, PNG, WebP or GIF images');
+    const path = `${returnId}/item${itemIndex}_${Date.now()}_${index}.${extension}`;
+    return uploadFile(imageBuffer, BUCKETS.RETURNS, path, mimeType);
+};
+
 /**
  * Delete a file from Supabase Storage
  * @param {string} bucket - Bucket name
@@ -164,11 +199,14 @@ const getSignedUrl = async (bucket, path, expiresIn = 3600) => {
 module.exports = {
     supabase,
     BUCKETS,
+    IMAGE_EXTENSIONS,
+    imageFileFilter,
     uploadFile,
     uploadProductImage,
     uploadAvatar,
     uploadInvoice,
     uploadDeliveryProof,
+    uploadReturnPhoto,
     deleteFile,
     deleteProductImages,
     getSignedUrl
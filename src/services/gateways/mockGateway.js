@@ -0,0 +1,182 @@
+const crypto = require('crypto');
+
+// Local stand-in for a real gateway (development and tests). Orders, payments
+// and refunds live in memory, and webhooks are posted back to this server
+// signed with MOCK_GATEWAY_SECRET, so the whole payment flow runs offline.
+
+const getSecret = () => {
+    if (!process.env.MOCK_GATEWAY_SECRET) {
+        throw new Error('MOCK_GATEWAY_SECRET must be set to use the mock gateway');
+    }
+    return process.env.MOCK_GATEWAY_SECRET;
+};
+const getWebhookUrl = () => process.env.MOCK_GATEWAY_WEBHOOK_URL ||
+    `http://localhost:${process.env.PORT || 5000}/api/payments/webhook`;
+const getDelay = () => Number(process.env.MOCK_GATEWAY_DELAY_MS) || 2000;
+
+// Gateway fee (2%) and GST on it (18%), in paise
+const feeFor = (amount) => Math.round(amount * 0.02);
+const taxFor = (fee) => Math.round(fee * 0.18);
+
+const orders = new Map();
+const payments = new Map();
+const refunds = new Map();
+const sentEvents = [];
+
+const hmac = (data) => crypto.createHmac('sha256', getSecret()).update(data).digest('hex');
+const newId = (prefix) => `${prefix}_mock_${crypto.randomBytes(7).toString('hex')}`;
+
+/**
+ * Post a signed webhook to the app, as the real gateway would
+ * @param {string} event - Event name (payment.captured, refund.processed, ...)
+ * @param {{payment?: Object, refund?: Object}} payload
+ */
+const sendWebhook = async (event, payload) => {
+    const body = JSON.stringify({ id: newId('evt'), event, payload });
+    sentEvents.push(JSON.parse(body));
+
+    try {
+        await fetch(getWebhookUrl(), {
+            method: 'POST',
+            headers: {
+                'Content-Type': 'application/json',
+                'X-Mock-Signature': hmac(body)
+            },
+            body
+        });
+    } catch (error) {
+        console.error(`Mock gateway webhook ${event} failed:`, error.message);
+    }
+};
+
+/**
+ * Mock adapter (amounts in paise)
+ */
+const mockGateway = {
+    name: 'mock',
+
+    getPublicKey: () => 'mock_key',
+
+    createOrder: async ({ amount, currency = 'INR', receipt, notes }) => {
+        const order = { id: newId('order'), amount, currency, receipt, notes, status: 'created' };
+        orders.set(order.id, order);
+        return { id: order.id, amount, currency };
+    },
+
+    verifyPayment: ({ orderId, paymentId, signature }) => hmac(`${orderId}|${paymentId}`) === signature,
+
+    fetchPayment: async (paymentId) => {
+        const payment = payments.get(paymentId);
+        if (!payment) throw new Error(`Payment ${paymentId} not found`);
+        return { ...payment };
+    },
+
+    listPayments: async ({ from, to }) => [...payments.values()]
+        .filter(payment => payment.createdAt >= from && payment.createdAt <= to)
+        .map(payment => ({ ...payment })),
+
+    refund: async (paymentId, { amount, notes }) => {
+        const payment = payments.get(paymentId);
+        if (!payment || payment.status !== 'captured') {
+            throw new Error('Only captured payments can be refunded');
+        }
+
+        const refund = { id: newId('rfnd'), paymentId, amount, notes, status: 'pending' };
+        refunds.set(refund.id, refund);
+        payment.amountRefunded += amount;
+
+        if (process.env.MOCK_GATEWAY_AUTO_SETTLE_REFUNDS !== 'false') {
+            setTimeout(() => mockGateway.settleRefund(refund.id, 'processed'), getDelay()).unref();
+        }
+
+        return { ...refund };
+    },
+
+    verifyWebhook: (rawBody, headers) => hmac(rawBody) === headers['x-mock-signature'],
+
+    parseWebhook: (body) => ({
+        id: body.id,
+        event: body.event,
+        payment: body.payload.payment,
+        refund: body.payload.refund
+    }),
+
+    /**
+     * Play the customer's side of checkout for a mock order
+     * @param {string} orderId - Mock gateway order ID
+     * @param {{outcome?: string, method?: string}} [options] - outcome: success, failure or delayed
+     *   (authorized now, captured after MOCK_GATEWAY_DELAY_MS)
+     * @returns {Promise<Object>} What the checkout hands to the client
+     */
+    simulatePayment: async (orderId, { outcome = 'success', method = 'card' } = {}) => {
+        const order = orders.get(orderId);
+        if (!order) throw new Error(`Order ${orderId} not found`);
+
+        const captured = outcome === 'success';
+        const payment = {
+            id: newId('pay'),
+            orderId,
+            amount: order.amount,
+            amountRefunded: 0,
+            fee: captured ? feeFor(order.amount) : 0,
+            tax: captured ? taxFor(feeFor(order.amount)) : 0,
+            method,
+            status: outcome === 'failure' ? 'failed' : outcome === 'delayed' ? 'authorized' : 'captured',
+            createdAt: new Date()
+        };
+
+        if (outcome === 'failure') {
+            payment.errorDescription = 'Payment declined by the mock gateway';
+            payments.set(payment.id, payment);
+            await sendWebhook('payment.failed', { payment });
+            return { error: { code: 'PAYMENT_FAILED', description: payment.errorDescription } };
+        }
+
+        payments.set(payment.id, payment);
+        order.status = 'attempted';
+
+        if (outcome === 'delayed') {
+            setTimeout(() => {
+                payment.status = 'captured';
+                payment.fee = feeFor(payment.amount);
+                payment.tax = taxFor(payment.fee);
+                order.status = 'paid';
+                sendWebhook('payment.captured', { payment: { ...payment } });
+            }, getDelay()).unref();
+        } else {
+            order.status = 'paid';
+            await sendWebhook('payment.captured', { payment: { ...payment } });
+        }
+
+        return {
+            razorpay_order_id: orderId,
+            razorpay_payment_id: payment.id,
+            razorpay_signature: hmac(`${orderId}|${payment.id}`)
+        };
+    },
+
+    /**
+     * Finish a pending mock refund
+     * @param {string} refundId - Mock refund ID
+     * @param {string} status - processed or failed
+     * @returns {Promise<Object|null>} The refund, or null if unknown
+     */
+    settleRefund: async (refundId, status) => {
+        const refund = refunds.get(refundId);
+        if (!refund) return null;
+        if (refund.status !== 'pending') return { ...refund };
+
+        refund.status = status;
+        if (status === 'failed') {
+            refund.errorDescription = 'Refund rejected by the mock gateway';
+        }
+
+        await sendWebhook(`refund.${status}`, { refund: { ...refund } });
+        return { ...refund };
+    },
+
+    // Webhooks sent so far, oldest first
+    getSentEvents: () => [...sentEvents]
+};
+
+module.exports = mockGateway;
@@ -0,0 +1,95 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+// Created on first use so the app starts without Razorpay keys (e.g. with the mock gateway)
+let client;
+const getClient = () => {
+    if (!client) {
+        client = new Razorpay({
+            key_id: process.env.RAZORPAY_KEY_ID,
+            key_secret: process.env.RAZORPAY_KEY_SECRET
+        });
+    }
+    return client;
+};
+
+const hmac = (secret, data) => crypto.createHmac('sha256', secret).update(data).digest('hex');
+
+const normalizePayment = (entity) => ({
+    id: entity.id,
+    orderId: entity.order_id,
+    amount: entity.amount,
+    amountRefunded: entity.amount_refunded || 0,
+    fee: entity.fee || 0,
+    tax: entity.tax || 0,
+    method: entity.method,
+    status: entity.status,
+    errorDescription: entity.error_description,
+    createdAt: entity.created_at ? new Date(entity.created_at * 1000) : undefined
+});
+
+const normalizeRefund = (entity) => ({
+    id: entity.id,
+    paymentId: entity.payment_id,
+    amount: entity.amount,
+    status: entity.status,
+    notes: entity.notes,
+    errorDescription: entity.error_description
+});
+
+/**
+ * Razorpay adapter (amounts in paise)
+ */
+const razorpayGateway = {
+    name: 'razorpay',
+
+    getPublicKey: () => process.env.RAZORPAY_KEY_ID,
+
+    createOrder: async ({ amount, currency = 'INR', receipt, notes }) => {
+        const order = await getClient().orders.create({ amount, currency, receipt, notes });
+        return { id: order.id, amount: order.amount, currency: order.currency };
+    },
+
+    verifyPayment: ({ orderId, paymentId, signature }) => {
+        return hmac(process.env.RAZORPAY_KEY_SECRET, `${orderId}|${paymentId}`) === signature;
+    },
+
+    fetchPayment: async (paymentId) => normalizePayment(await getClient().payments.fetch(paymentId)),
+
+    listPayments: async ({ from, to }) => {
+        const payments = [];
+        const count = 100;
+
+        for (let skip = 0; ; skip += count) {
+            const page = await getClient().payments.all({
+                from: Math.floor(from.getTime() / 1000),
+                to: Math.floor(to.getTime() / 1000),
+                count,
+                skip
+            });
+            payments.push(...page.items.map(normalizePayment));
+            if (page.items.length < count) break;
+        }
+
+        return payments;
+    },
+
+    refund: async (paymentId, { amount, notes }) => {
+        const refund = await getClient().payments.refund(paymentId, { amount, notes });
+        return normalizeRefund(refund);
+    },
+
+    verifyWebhook: (rawBody, headers) => {
+        const secret = process.env.RAZORPAY_WEBHOOK_SECRET;
+        return Boolean(secret) && hmac(secret, rawBody) === headers['x-razorpay-signature'];
+    },
+
+    parseWebhook: (body, headers) => ({
+        id: headers['x-razorpay-event-id'],
+        event: body.event,
+        payment: body.payload.payment ? normalizePayment(body.payload.payment.entity) : undefined,
+        refund: body.payload.refund ? normalizeRefund(body.payload.refund.entity) : undefined
+    })
+};
+
+module.exports = razorpayGateway;
@@ -0,0 +1,191 @@
+const Order = require('../models/Order');
+const Counter = require('../models/Counter');
+const { SELLER } = require('../config/tax');
+const { createTextPdf } = require('./pdfService');
+const { uploadInvoice } = require('./fileService');
+
+/**
+ * Indian financial year (April - March) a date falls in, e.g. "2025-26"
+ * @param {Date} date
+ */
+const getFinancialYear = (date = new Date()) => {
+    const startYear = date.getMonth() >= 3 ? date.getFullYear() : date.getFullYear() - 1;
+    return `${startYear}-${String((startYear + 1) % 100).padStart(2, '0')}`;
+};
+
+/**
+ * Whether an invoice can be issued for an order (only once it is paid)
+ * @param {Object} order - Order document
+ */
+const canIssueInvoice = (order) => ['completed', 'partially_refunded', 'refunded'].includes(order.payment.status);
+
+/**
+ * Give an order the next invoice number of the current financial year.
+ * Numbers are sequential per year and never reused.
+ * @param {Object} order - Order document
+ * @returns {Promise<string>} Invoice number
+ */
+const assignInvoiceNumber = async (order) => {
+    if (order.invoice && order.invoice.number) {
+        return order.invoice.number;
+    }
+
+    const financialYear = getFinancialYear();
+    const counter = await Counter.findOneAndUpdate(
+        { _id: `invoice:${financialYear}` },
+        { $inc: { seq: 1 } },
+        { upsert: true, new: true }
+    );
+    const number = `INV-${financialYear}-${String(counter.seq).padStart(6, '0')}`;
+
+    // Conditional so two concurrent requests cannot number the same order twice
+    const updated = await Order.findOneAndUpdate(
+        { _id: order._id, 'invoice.number': null },
+        { 'invoice.number': number },
+        { new: true }
+    );
+
+    const current = updated || await Order.findById(order._id);
+    order.invoice = current.invoice;
+    return current.invoice.number;
+};
+
+const formatAmount = (amount) => (amount || 0).toFixed(2);
+
+const column = (value, width, alignRight = false) => {
+    const text = String(value === undefined || value === null ? '' : value).slice(0, width);
+    return alignRight ? text.padStart(width) : text.padEnd(width);
+};
+
+/**
+ * Lines of text making up the invoice PDF
+ * @param {Object} order - Order document with user populated
+ */
+const buildInvoiceLines = (order) => {
+    const intraState = order.tax && order.tax.supplyType === 'intra_state';
+    const address = order.shippingAddress;
+
+    const lines = [
+        { text: 'TAX INVOICE', font: 'bold', size: 16 },
+        { text: '' },
+        { text: SELLER.name, font: 'bold', size: 11 },
+        { text: SELLER.address },
+        { text: `State: ${SELLER.state}` },
+        { text: SELLER.gstin ? `GSTIN: ${SELLER.gstin}` : '' },
+        { text: '' },
+        { text: `Invoice No: ${order.invoice.number}` },
+        { text: `Invoice Date: ${new Date(order.invoice.generatedAt || Date.now()).toLocaleDateString('en-IN')}` },
+        { text: `Order No: ${order.orderNumber}` },
+        { text: '' },
+        { text: 'Bill To / Ship To', font: 'bold' },
+        { text: order.user && order.user.name ? order.user.name : '' },
+        { text: address.street },
+        { text: `${address.city}, ${address.state} - ${address.pincode}` },
+        { text: `Place of Supply: ${address.state}` },
+        { text: '' }
+    ];
+
+    const header = [
+        column('#', 3), column('Item', 26), column('HSN', 6), column('Qty', 4, true),
+        column('GST%', 5, true), column('Taxable', 11, true),
+        ...(intraState
+            ? [column('CGST', 10, true), column('SGST', 10, true)]
+            : [column('IGST', 10, true)]),
+        column('Total', 11, true)
+    ].join(' ');
+
+    lines.push({ text: header, font: 'mono', size: 8 });
+    lines.push({ text: '-'.repeat(header.length), font: 'mono', size: 8 });
+
+    order.items.forEach((item, index) => {
+        const taxableValue = item.taxableValue || 0;
+        const lineTax = (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
+
+        lines.push({
+            text: [
+                column(index + 1, 3), column(item.name, 26), column(item.hsnCode, 6),
+                column(item.quantity, 4, true), column(item.gstRate, 5, true),
+                column(formatAmount(taxableValue), 11, true),
+                ...(intraState
+                    ? [column(formatAmount(item.cgst), 10, true), column(formatAmount(item.sgst), 10, true)]
+                    : [column(formatAmount(item.igst), 10, true)]),
+                column(formatAmount(taxableValue + lineTax), 11, true)
+            ].join(' '),
+            font: 'mono',
+            size: 8
+        });
+
+        // Variant ordered, under the product name
+        if (item.sku) {
+            lines.push({ text: `    ${item.variantName || ''} (SKU ${item.sku})`, font: 'mono', size: 8 });
+        }
+    });
+
+    lines.push({ text: '-'.repeat(header.length), font: 'mono', size: 8 });
+    lines.push({ text: '' });
+
+    const tax = order.tax || {};
+    const totals = [];
+
+    if (order.discount && order.discount.amount > 0) {
+        totals.push(['Items and Shipping', order.subtotal]);
+        totals.push([`Coupon Discount (${order.discount.code})`, -order.discount.amount]);
+    }
+
+    totals.push(['Taxable Value', tax.taxableValue]);
+    if (intraState) {
+        totals.push(['CGST', tax.cgst], ['SGST', tax.sgst]);
+    } else {
+        totals.push(['IGST', tax.igst]);
+    }
+    totals.push(['Total Tax', tax.totalTax]);
+
+    totals.forEach(([label, amount]) => {
+        lines.push({ text: `${column(label, 40)} Rs. ${column(formatAmount(amount), 12, true)}`, font: 'mono', size: 9 });
+    });
+    lines.push({ text: `${column('Invoice Total', 40)} Rs. ${column(formatAmount(order.totalAmount), 12, true)}`, font: 'mono', size: 10 });
+
+    lines.push({ text: '' });
+    lines.push({ text: 'All prices are inclusive of GST.', size: 8 });
+    lines.push({ text: 'This is a computer generated invoice and does not require a signature.', size: 8 });
+
+    return lines;
+};
+
+/**
+ * Number, render and store the invoice of a paid order (idempotent)
+ * @param {Object} order - Order document
+ * @returns {Promise<Object>} The order's invoice details
+ */
+const generateInvoice = async (order) => {
+    if (order.invoice && order.invoice.path) {
+        return order.invoice;
+    }
+
+    await assignInvoiceNumber(order);
+
+    const fullOrder = await Order.findById(order._id).populate('user', 'name email');
+    fullOrder.invoice.generatedAt = fullOrder.invoice.generatedAt || new Date();
+
+    const pdf = createTextPdf(buildInvoiceLines(fullOrder));
+    const { path } = await uploadInvoice(pdf, fullOrder._id.toString(), fullOrder.invoice.number);
+
+    await Order.updateOne({ _id: order._id }, {
+        'invoice.generatedAt': fullOrder.invoice.generatedAt,
+        'invoice.path': path
+    });
+
+    order.invoice = {
+        number: fullOrder.invoice.number,
+        generatedAt: fullOrder.invoice.generatedAt,
+        path
+    };
+    return order.invoice;
+};
+
+module.exports = {
+    getFinancialYear,
+    canIssueInvoice,
+    assignInvoiceNumber,
+    generateInvoice
+};
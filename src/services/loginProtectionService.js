@@ -0,0 +1,122 @@
+const User = require('../models/User');
+const LoginAudit = require('../models/LoginAudit');
+
+// Failures allowed before delays start
+const FREE_ATTEMPTS = 3;
+// Longest progressive delay between attempts
+const MAX_DELAY_SECONDS = 60;
+const MAX_FAILED_ATTEMPTS = Number(process.env.LOGIN_MAX_FAILED_ATTEMPTS) || 10;
+const LOCK_MINUTES = Number(process.env.LOGIN_LOCK_MINUTES) || 15;
+const IP_MAX_FAILURES = Number(process.env.LOGIN_IP_MAX_FAILURES) || 20;
+const IP_WINDOW_MINUTES = 15;
+
+/**
+ * Record a login attempt in the audit trail
+ * @param {Object} req - Express request
+ * @param {Object} details - { user, email, success, reason }
+ */
+const recordLoginAttempt = async (req, { user, email, success, reason }) => {
+    try {
+        await LoginAudit.create({
+            user: user ? user._id : undefined,
+            email,
+            ip: req.ip,
+            userAgent: req.headers['user-agent'],
+            success,
+            reason
+        });
+    } catch (error) {
+        // Auditing must never break login
+        console.error('Login audit error:', error.message);
+    }
+};
+
+/**
+ * Seconds the client must wait before trying again from this IP
+ * @param {string} ip - Client IP
+ * @returns {Promise<number>} 0 when allowed
+ */
+const getIpRetryAfter = async (ip) => {
+    const windowStart = new Date(Date.now() - IP_WINDOW_MINUTES * 60 * 1000);
+
+    const failures = await LoginAudit.find({
+        ip,
+        success: false,
+        createdAt: { $gte: windowStart }
+    })
+        .sort({ createdAt: 1 })
+        .select('createdAt')
+        .limit(IP_MAX_FAILURES);
+
+    if (failures.length < IP_MAX_FAILURES) return 0;
+
+    // Allowed again once the oldest counted failure leaves the window
+    const oldest = failures[0].createdAt.getTime();
+    return Math.max(1, Math.ceil((oldest + IP_WINDOW_MINUTES * 60 * 1000 - Date.now()) / 1000));
+};
+
+/**
+ * Seconds the user must wait before the next password attempt
+ * (doubles with every failure after the free attempts)
+ * @param {Object} user - User document
+ * @returns {number} 0 when allowed
+ */
+const getUserRetryAfter = (user) => {
+    if (user.isLocked()) {
+        return Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+    }
+
+    if (user.failedLoginAttempts < FREE_ATTEMPTS || !user.lastFailedLoginAt) return 0;
+
+    const delaySeconds = Math.min(2 ** (user.failedLoginAttempts - FREE_ATTEMPTS), MAX_DELAY_SECONDS);
+    const allowedAt = user.lastFailedLoginAt.getTime() + delaySeconds * 1000;
+
+    return allowedAt > Date.now() ? Math.ceil((allowedAt - Date.now()) / 1000) : 0;
+};
+
+/**
+ * Count a failed password attempt, locking the account at the limit
+ * @param {Object} user - User document
+ * @returns {Promise<boolean>} True if the account is now locked
+ */
+const registerFailedLogin = async (user) => {
+    // Counted in the database so parallel guesses all add up
+    const updated = await User.findOneAndUpdate(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 }, $set: { lastFailedLoginAt: new Date() } },
+        { new: true }
+    ).select('failedLoginAttempts');
+
+    const locked = Boolean(updated) && updated.failedLoginAttempts >= MAX_FAILED_ATTEMPTS;
+    if (locked) {
+        await User.updateOne(
+            { _id: user._id, failedLoginAttempts: { $gte: MAX_FAILED_ATTEMPTS } },
+            {
+                lockUntil: new Date(Date.now() + LOCK_MINUTES * 60 * 1000),
+                failedLoginAttempts: 0
+            }
+        );
+    }
+
+    return locked;
+};
+
+/**
+ * Clear failed attempts and any lock on an account
+ * @param {string} userId - User ID
+ */
+const resetFailedLogins = async (userId) => {
+    await User.updateOne(
+        { _id: userId },
+        { failedLoginAttempts: 0, $unset: { lastFailedLoginAt: 1, lockUntil: 1 } }
+    );
+};
+
+module.exports = {
+    LOCK_MINUTES,
+    recordLoginAttempt,
+    getIpRetryAfter,
+    getUserRetryAfter,
+    registerFailedLogin,
+    resetFailedLogins
+};
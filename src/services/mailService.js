@@ -0,0 +1,138 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default location for the file transport
+const DEFAULT_MAIL_DIR = path.join(__dirname, '../../mail');
+
+/**
+ * Console transport - prints the message to stdout (development)
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ */
+const consoleTransport = async (message) => {
+    console.log(`
+📧 Mail to: ${message.to}
+Subject: ${message.subject}
+----------------------------------------
+${message.text}
+----------------------------------------`);
+    return { transport: 'console' };
+};
+
+/**
+ * File transport - writes each message as a JSON file (development and tests)
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ */
+const fileTransport = async (message) => {
+    const dir = process.env.MAIL_FILE_DIR || DEFAULT_MAIL_DIR;
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileName = `${Date.now()}_${message.to.replace(/[^a-zA-Z0-9@._-]/g, '_')}.json`;
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    return { transport: 'file', path: filePath };
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+// Console and file only write locally: development only
+const DEV_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Register a mail transport (e.g. SMTP or a provider API)
+ * @param {string} name - Transport name, selected through MAIL_TRANSPORT
+ * @param {Function} transport - async (message) => result
+ */
+const registerTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+/**
+ * Name of the configured mail transport. Outside production it defaults to
+ * console; production needs a registered transport that really delivers.
+ * Throws when the configuration is not usable (also called at startup).
+ * @returns {string}
+ */
+const getMailTransportName = () => {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.MAIL_TRANSPORT || (isProduction ? '' : 'console');
+
+    if (!name) {
+        throw new Error('MAIL_TRANSPORT must be set in production');
+    }
+    if (isProduction && DEV_TRANSPORTS.includes(name)) {
+        throw new Error(`Mail transport '${name}' is for development only - set MAIL_TRANSPORT to a real transport`);
+    }
+    if (!transports[name]) {
+        throw new Error(`Unknown mail transport: ${name}`);
+    }
+
+    return name;
+};
+
+/**
+ * Send an email through the configured transport
+ * @param {{to: string, subject: string, text: string, html?: string}} message
+ * @returns {Promise<Object>} Transport result
+ */
+const sendMail = async (message) => {
+    const transport = transports[getMailTransportName()];
+
+    return transport({
+        from: process.env.MAIL_FROM || 'SS Square Industries <no-reply@ssquare.com>',
+        ...message
+    });
+};
+
+/**
+ * Send password reset email
+ * @param {Object} user - User document
+ * @param {string} resetToken - Plain (unhashed) reset token
+ */
+const sendPasswordResetEmail = async (user, resetToken) => {
+    const baseUrl = process.env.CLIENT_URL || 'http://localhost:3000';
+    const resetUrl = `${baseUrl}/reset-password/${resetToken}`;
+
+    return sendMail({
+        to: user.email,
+        subject: 'Reset your SS Square Industries password',
+        text: `Hi ${user.name},
+
+We received a request to reset your password. Use the link below to choose a new one:
+
+${resetUrl}
+
+This link expires in ${process.env.RESET_PASSWORD_EXPIRE_MINUTES || 15} minutes and can only be used once.
+If you did not request a password reset, you can ignore this email.`
+    });
+};
+
+/**
+ * Send email verification code
+ * @param {Object} user - User document
+ * @param {string} code - Plain verification code
+ * @param {number} expireMinutes - Minutes until the code expires
+ */
+const sendVerificationEmail = async (user, code, expireMinutes) => {
+    return sendMail({
+        to: user.email,
+        subject: 'Verify your SS Square Industries email',
+        text: `Hi ${user.name},
+
+Your email verification code is: ${code}
+
+The code expires in ${expireMinutes} minutes.
+If you did not create an account, you can ignore this email.`
+    });
+};
+
+module.exports = {
+    registerTransport,
+    getMailTransportName,
+    sendMail,
+    sendPasswordResetEmail,
+    sendVerificationEmail
+};
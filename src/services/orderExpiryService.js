@@ -0,0 +1,118 @@
+const Order = require('../models/Order');
+const { reverseOrderStock } = require('./stockService');
+const { releaseCouponRedemption } = require('./couponService');
+
+// Minutes a customer has to pay before an unpaid order is cancelled
+const PAYMENT_WINDOW_MINUTES = Number(process.env.ORDER_PAYMENT_WINDOW_MINUTES) || 30;
+
+/**
+ * When a newly placed order must be paid by
+ * @param {Date} [placedAt]
+ */
+const getPaymentDueAt = (placedAt = new Date()) => {
+    return new Date(placedAt.getTime() + PAYMENT_WINDOW_MINUTES * 60 * 1000);
+};
+
+// Orders that are still waiting for payment (COD orders are paid on delivery).
+// A payment that is authorized but not captured yet holds the order until the
+// gateway reports it captured or failed.
+const unpaidQuery = () => ({
+    status: 'created',
+    'payment.mode': { $ne: 'cod' },
+    'payment.status': { $ne: 'completed' },
+    $or: [
+        { 'payment.razorpayPaymentId': null },
+        { 'payment.status': 'failed' }
+    ]
+});
+
+/**
+ * Cancel one unpaid order and give back its stock and coupon.
+ * The status change is conditional, so a payment that lands at the same
+ * moment wins and the order is left alone.
+ * @param {string} orderId - Order ID
+ * @returns {Promise<boolean>} Whether the order was expired
+ */
+const expireOrder = async (orderId) => {
+    const reason = `Payment not received within ${PAYMENT_WINDOW_MINUTES} minutes`;
+
+    const order = await Order.findOneAndUpdate(
+        { _id: orderId, ...unpaidQuery() },
+        {
+            status: 'cancelled',
+            cancellationReason: reason,
+            $push: {
+                statusHistory: {
+                    status: 'cancelled',
+                    note: `Order expired: ${reason}`
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!order) return false;
+
+    await reverseOrderStock(order, { reason: 'Order expired unpaid' });
+    await releaseCouponRedemption(order._id);
+
+    return true;
+};
+
+/**
+ * Expire every unpaid order past its payment deadline
+ * @returns {Promise<number>} Number of orders expired
+ */
+const expireOverdueOrders = async () => {
+    const overdue = await Order.find({
+        ...unpaidQuery(),
+        paymentDueAt: { $lte: new Date() }
+    }).select('_id');
+
+    let expired = 0;
+    for (const order of overdue) {
+        try {
+            if (await expireOrder(order._id)) expired++;
+        } catch (error) {
+            console.error(`Order expiry failed for ${order._id}:`, error.message);
+        }
+    }
+
+    return expired;
+};
+
+/**
+ * Unpaid orders in the order they will expire
+ * @param {{page: number, limit: number}} options
+ */
+const getPendingExpiryQueue = async ({ page = 1, limit = 20 } = {}) => {
+    const query = { ...unpaidQuery(), paymentDueAt: { $ne: null } };
+    const skip = (Number(page) - 1) * Number(limit);
+
+    const orders = await Order.find(query)
+        .select('orderNumber user totalAmount payment.status paymentDueAt createdAt')
+        .populate('user', 'name email')
+        .sort({ paymentDueAt: 1 })
+        .skip(skip)
+        .limit(Number(limit));
+
+    const total = await Order.countDocuments(query);
+    const now = Date.now();
+
+    return {
+        orders: orders.map(order => ({
+            ...order.toObject(),
+            minutesLeft: Math.max(Math.ceil((order.paymentDueAt - now) / 60000), 0),
+            overdue: order.paymentDueAt <= now
+        })),
+        total
+    };
+};
+
+module.exports = {
+    PAYMENT_WINDOW_MINUTES,
+    getPaymentDueAt,
+    expireOrder,
+    expireOverdueOrders,
+    getPendingExpiryQueue
+};
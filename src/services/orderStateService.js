@@ -0,0 +1,273 @@
+// Central state machine for Order.status and Delivery.status.
+// Every status change goes through transitionOrder / transitionDelivery so
+// that only declared transitions happen, guards are checked and side
+// effects (stock, coupons, ...) run exactly once per transition.
+
+const { dispatchOrderStock, reverseOrderStock } = require('./stockService');
+const { releaseCouponRedemption } = require('./couponService');
+const { createRefund, getRefundableAmount } = require('./refundService');
+
+// Allowed next statuses for each order status
+// (cash on delivery orders are packed straight from created)
+const ORDER_TRANSITIONS = {
+    created: ['paid', 'packed', 'cancelled'],
+    paid: ['packed', 'cancelled'],
+    packed: ['shipped', 'cancelled'],
+    shipped: ['delivered'],
+    delivered: ['completed'],
+    completed: [],
+    cancelled: []
+};
+
+// Normal forward path, used to step an order through skipped statuses
+const ORDER_FLOW = ['created', 'paid', 'packed', 'shipped', 'delivered', 'completed'];
+
+// Cash on delivery orders are only paid once delivered
+const COD_ORDER_FLOW = ORDER_FLOW.filter(status => status !== 'paid');
+
+// Allowed next statuses for each delivery status
+const DELIVERY_TRANSITIONS = {
+    assigned: ['picked', 'failed'],
+    picked: ['in_transit', 'failed'],
+    in_transit: ['out_for_delivery', 'delivered', 'failed'],
+    out_for_delivery: ['delivered', 'failed'],
+    failed: ['assigned'],
+    delivered: []
+};
+
+// Order status a delivery status implies
+const DELIVERY_TO_ORDER_STATUS = {
+    picked: 'packed',
+    in_transit: 'shipped',
+    out_for_delivery: 'shipped',
+    delivered: 'delivered'
+};
+
+const isPaid = (order) => order.payment && ['completed', 'partially_refunded'].includes(order.payment.status);
+const isCod = (order) => order.payment && order.payment.mode === 'cod';
+
+/**
+ * Guards: return a reason when a transition must not happen, or null.
+ * Keyed by target status; called with (order, from).
+ */
+const ORDER_GUARDS = {
+    paid: (order) => (isPaid(order) ? null : 'Payment has not been received'),
+    packed: (order, from) => {
+        if (isCod(order)) return null;
+        if (from === 'created') return 'Prepaid orders must be marked paid before packing';
+        return isPaid(order) ? null : 'Prepaid orders must be paid before packing';
+    },
+    shipped: (order) => (isCod(order) || isPaid(order) ? null : 'Prepaid orders must be paid before shipping'),
+    completed: (order) => (!isCod(order) || isPaid(order) ? null : 'Cash on delivery has not been collected')
+};
+
+// Side effects run after a transition, keyed by target status
+const ORDER_HOOKS = {
+    shipped: [
+        (order, { updatedBy }) => dispatchOrderStock(order, updatedBy)
+    ],
+    delivered: [
+        (order) => {
+            order.delivery = order.delivery || {};
+            order.delivery.actualDate = order.delivery.actualDate || new Date();
+        }
+    ],
+    cancelled: [
+        // Nothing has left the warehouse before shipping, so units always go back
+        (order, { updatedBy, note }) => reverseOrderStock(order, {
+            reason: note || 'Order cancelled',
+            updatedBy,
+            restock: true
+        }),
+        (order) => releaseCouponRedemption(order._id)
+    ]
+};
+
+/**
+ * Register a side effect for when an order enters a status
+ * @param {string} status - Target order status
+ * @param {Function} hook - (order, context) => void|Promise
+ */
+const onOrderTransition = (status, hook) => {
+    if (!ORDER_HOOKS[status]) ORDER_HOOKS[status] = [];
+    ORDER_HOOKS[status].push(hook);
+};
+
+/**
+ * Why an order cannot move to a status, or null if it can
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @param {string} [from] - Status to move from (defaults to the current one)
+ */
+const getOrderTransitionBlock = (order, to, from = order.status) => {
+    if (!ORDER_TRANSITIONS[to]) return `Invalid status: ${to}`;
+
+    const allowed = ORDER_TRANSITIONS[from] || [];
+    if (!allowed.includes(to)) {
+        return `Cannot change order from ${from} to ${to}`;
+    }
+
+    const guard = ORDER_GUARDS[to];
+    return guard ? guard(order, from) : null;
+};
+
+/**
+ * Next statuses for an order, split into allowed and blocked (with reasons)
+ * @param {Object} order - Order document
+ * @returns {{current: string, allowed: string[], blocked: Array<{status: string, reason: string}>}}
+ */
+const getAllowedOrderTransitions = (order) => {
+    const allowed = [];
+    const blocked = [];
+
+    for (const status of ORDER_TRANSITIONS[order.status] || []) {
+        const reason = getOrderTransitionBlock(order, status);
+        if (reason) {
+            blocked.push({ status, reason });
+        } else {
+            allowed.push(status);
+        }
+    }
+
+    return { current: order.status, allowed, blocked };
+};
+
+/**
+ * Move an order to a new status, running guards and side effects.
+ * Paid orders are refunded before they are cancelled. The order is saved.
+ * @param {Object} order - Order document
+ * @param {string} to - Target status
+ * @param {Object} [context]
+ * @param {string} [context.updatedBy] - User making the change
+ * @param {string} [context.note] - statusHistory note
+ * @param {boolean} [context.advance] - Step through skipped statuses on the normal path
+ * @returns {Promise<{success: boolean, status?: number, message?: string}>}
+ */
+const transitionOrder = async (order, to, context = {}) => {
+    if (order.status === to) {
+        return { success: true };
+    }
+
+    // e.g. a delivery marked in transit while the order is only paid: paid -> packed -> shipped
+    const path = [to];
+    if (context.advance) {
+        const flow = isCod(order) ? COD_ORDER_FLOW : ORDER_FLOW;
+        const from = flow.indexOf(order.status);
+        const target = flow.indexOf(to);
+        if (from !== -1 && target > from) {
+            path.splice(0, 1, ...flow.slice(from + 1, target + 1));
+        }
+    }
+
+    // Check every step before changing anything
+    let from = order.status;
+    for (const status of path) {
+        const block = getOrderTransitionBlock(order, status, from);
+        if (block) {
+            return { success: false, status: 409, message: block };
+        }
+        from = status;
+    }
+
+    // A paid order is refunded in full before it is cancelled, so a refund
+    // the gateway refuses leaves the order as it was
+    if (path.includes('cancelled') && isPaid(order) && getRefundableAmount(order) > 0) {
+        const refund = await createRefund(order, {
+            reason: context.note || 'Order cancelled',
+            updatedBy: context.updatedBy
+        });
+        if (!refund.success) return refund;
+    }
+
+    for (const status of path) {
+        order.status = status;
+        if (status === 'cancelled' && context.note) {
+            order.cancellationReason = context.note;
+        }
+        order.statusHistory.push({
+            status,
+            note: context.note,
+            updatedBy: context.updatedBy
+        });
+
+        for (const hook of ORDER_HOOKS[status] || []) {
+            await hook(order, context);
+        }
+    }
+
+    await order.save();
+    return { success: true };
+};
+
+/**
+ * Next statuses for a delivery
+ * @param {Object} delivery - Delivery document
+ */
+const getAllowedDeliveryTransitions = (delivery) => DELIVERY_TRANSITIONS[delivery.status] || [];
+
+/**
+ * Move a delivery to a new status and bring its order along.
+ * Both documents are saved.
+ * @param {Object} delivery - Delivery document
+ * @param {Object|null} order - The delivery's order
+ * @param {string} to - Target delivery status
+ * @param {{updatedBy?: string, note?: string, location?: string}} [context]
+ * @returns {Promise<{success: boolean, status?: number, message?: string}>}
+ */
+const transitionDelivery = async (delivery, order, to, context = {}) => {
+    if (!DELIVERY_TRANSITIONS[to]) {
+        return { success: false, status: 400, message: 'Invalid status' };
+    }
+
+    if (!getAllowedDeliveryTransitions(delivery).includes(to)) {
+        return {
+            success: false,
+            status: 409,
+            message: `Cannot change delivery from ${delivery.status} to ${to}`
+        };
+    }
+
+    const orderStatus = DELIVERY_TO_ORDER_STATUS[to];
+
+    // Orders only move forward (a re-attempt after a failed delivery leaves a shipped order alone).
+    // The order side is checked first so a refused change leaves both untouched.
+    if (order && orderStatus && ORDER_FLOW.indexOf(order.status) < ORDER_FLOW.indexOf(orderStatus)) {
+        const result = await transitionOrder(order, orderStatus, {
+            updatedBy: context.updatedBy,
+            note: `Delivery status: ${to}`,
+            advance: true
+        });
+
+        if (!result.success) return result;
+    }
+
+    delivery.status = to;
+    delivery.statusHistory.push({
+        status: to,
+        location: context.location,
+        note: context.note,
+        timestamp: new Date()
+    });
+
+    if (to === 'delivered') {
+        delivery.actualDeliveryDate = new Date();
+    }
+    if (to === 'failed') {
+        delivery.attempts += 1;
+        delivery.failureReason = context.note;
+    }
+
+    await delivery.save();
+    return { success: true };
+};
+
+module.exports = {
+    ORDER_TRANSITIONS,
+    DELIVERY_TRANSITIONS,
+    onOrderTransition,
+    getOrderTransitionBlock,
+    getAllowedOrderTransitions,
+    transitionOrder,
+    getAllowedDeliveryTransitions,
+    transitionDelivery
+};
@@ -0,0 +1,65 @@
+const razorpayGateway = require('./gateways/razorpayGateway');
+const mockGateway = require('./gateways/mockGateway');
+
+// A gateway is an object with:
+//   name
+//   getPublicKey()                                 key the client checkout needs
+//   createOrder({ amount, currency, receipt, notes }) -> { id, amount, currency }
+//   verifyPayment({ orderId, paymentId, signature }) -> boolean
+//   fetchPayment(paymentId)                        -> { id, orderId, amount, method, status }
+//   listPayments({ from, to })                     -> payments created in the range, with fee and tax
+//   refund(paymentId, { amount, notes })           -> { id, paymentId, amount, status }
+//   verifyWebhook(rawBody, headers)                -> boolean
+//   parseWebhook(body, headers)                    -> { id, event, payment?, refund? }
+// Amounts are in paise.
+const gateways = {
+    razorpay: razorpayGateway,
+    mock: mockGateway
+};
+
+/**
+ * Register a payment gateway
+ * @param {string} name - Gateway name, selected through PAYMENT_GATEWAY
+ * @param {Object} gateway - Object implementing the gateway interface above
+ */
+const registerGateway = (name, gateway) => {
+    gateways[name] = gateway;
+};
+
+/**
+ * Get a payment gateway
+ * @param {string} [name] - Gateway name (defaults to PAYMENT_GATEWAY, then razorpay)
+ * @returns {Object} Gateway
+ */
+const getGateway = (name) => {
+    const gatewayName = name || process.env.PAYMENT_GATEWAY || 'razorpay';
+    const gateway = gateways[gatewayName];
+
+    if (!gateway) {
+        throw new Error(`Unknown payment gateway: ${gatewayName}`);
+    }
+
+    // Anyone who can sign mock webhooks can mark orders paid
+    if (gatewayName === 'mock') {
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('The mock payment gateway cannot be used in production');
+        }
+        if (!process.env.MOCK_GATEWAY_SECRET) {
+            throw new Error('MOCK_GATEWAY_SECRET must be set to use the mock gateway');
+        }
+    }
+
+    return gateway;
+};
+
+/**
+ * Gateway an order was paid through
+ * @param {Object} order - Order document
+ */
+const getOrderGateway = (order) => getGateway(order.payment.gateway);
+
+module.exports = {
+    registerGateway,
+    getGateway,
+    getOrderGateway
+};
@@ -0,0 +1,330 @@
+const Order = require('../models/Order');
+const PaymentReconciliation = require('../models/PaymentReconciliation');
+const { getGateway } = require('./paymentGatewayService');
+const { PAID_STATUSES } = require('./paymentService');
+const { parseCsv, toCsv } = require('./csvService');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+// Columns of the downloadable report
+const REPORT_COLUMNS = [
+    { key: 'result', header: 'Result' },
+    { key: 'paymentId', header: 'Payment ID' },
+    { key: 'gatewayOrderId', header: 'Gateway Order ID' },
+    { key: 'orderNumber', header: 'Order Number' },
+    { key: 'gatewayStatus', header: 'Gateway Status' },
+    { key: 'localStatus', header: 'Local Status' },
+    { key: 'gatewayAmount', header: 'Gateway Amount' },
+    { key: 'localAmount', header: 'Order Amount' },
+    { key: 'gatewayRefunded', header: 'Gateway Refunded' },
+    { key: 'localRefunded', header: 'Order Refunded' },
+    { key: 'fee', header: 'Fee' },
+    { key: 'tax', header: 'Tax on Fee' },
+    { key: 'settlementId', header: 'Settlement ID' },
+    { key: 'note', header: 'Note' }
+];
+
+/**
+ * Start and end of the day a report covers
+ * @param {string|Date} [day] - YYYY-MM-DD or a date on the day (defaults to yesterday)
+ * @returns {{date: string, from: Date, to: Date}}
+ */
+const getDayRange = (day) => {
+    let from;
+    if (day) {
+        from = typeof day === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(day)
+            ? new Date(`${day}T00:00:00`)
+            : new Date(day);
+    } else {
+        from = new Date();
+        from.setDate(from.getDate() - 1);
+    }
+
+    if (isNaN(from.getTime())) {
+        throw new Error('Invalid date');
+    }
+
+    from.setHours(0, 0, 0, 0);
+    const to = new Date(from);
+    to.setDate(to.getDate() + 1);
+
+    const date = `${from.getFullYear()}-${String(from.getMonth() + 1).padStart(2, '0')}-${String(from.getDate()).padStart(2, '0')}`;
+    return { date, from, to };
+};
+
+/**
+ * Gateway payment (paise) as a reconciliation record (rupees)
+ * @param {Object} payment - Payment from gateway.listPayments
+ */
+const fromGatewayPayment = (payment) => ({
+    paymentId: payment.id,
+    gatewayOrderId: payment.orderId,
+    status: payment.status,
+    amount: roundAmount((payment.amount || 0) / 100),
+    amountRefunded: roundAmount((payment.amountRefunded || 0) / 100),
+    fee: roundAmount((payment.fee || 0) / 100),
+    tax: roundAmount((payment.tax || 0) / 100)
+});
+
+const pick = (row, keys) => {
+    const key = keys.find(k => row[k] !== undefined && row[k] !== '');
+    return key ? row[key] : undefined;
+};
+
+// Spreadsheet amounts may carry thousands separators ("1,000.50")
+const toAmount = (value) => roundAmount(Number(String(value || '0').replace(/,/g, '')) || 0);
+
+/**
+ * Read a gateway settlement report (amounts in rupees, as in Razorpay's
+ * settlement recon export). Rows of other types (refunds, adjustments) are skipped.
+ * @param {string} text - CSV content
+ * @returns {Array} Reconciliation records
+ */
+const parseSettlementCsv = (text) => {
+    return parseCsv(text)
+        .filter(row => !row.type || row.type.toLowerCase() === 'payment')
+        .map(row => ({
+            paymentId: pick(row, ['payment_id', 'entity_id', 'id']),
+            gatewayOrderId: pick(row, ['order_id']),
+            status: (pick(row, ['status']) || 'captured').toLowerCase(),
+            amount: toAmount(pick(row, ['amount', 'credit'])),
+            // Settlement exports usually carry no refund column; skip that check then
+            amountRefunded: pick(row, ['amount_refunded', 'refunded']) !== undefined
+                ? toAmount(pick(row, ['amount_refunded', 'refunded']))
+                : undefined,
+            fee: toAmount(pick(row, ['fee'])),
+            tax: toAmount(pick(row, ['tax'])),
+            settlementId: pick(row, ['settlement_id'])
+        }))
+        .filter(record => record.paymentId);
+};
+
+/**
+ * Compare one gateway payment with its order
+ * @param {Object} record - Reconciliation record
+ * @param {Object|undefined} order - Matching order
+ * @returns {{result: string, note?: string}}
+ */
+const compare = (record, order) => {
+    const captured = record.status === 'captured';
+
+    if (!order) {
+        return captured
+            ? { result: 'missing_order', note: 'Captured payment with no matching order' }
+            : { result: 'matched', note: `No order for ${record.status} payment` };
+    }
+
+    const paid = PAID_STATUSES.includes(order.payment.status);
+    const samePayment = order.payment.razorpayPaymentId === record.paymentId;
+
+    if (!captured) {
+        return paid && samePayment
+            ? { result: 'paid_not_captured', note: `Order is ${order.payment.status} but the payment is ${record.status}` }
+            : { result: 'matched' };
+    }
+
+    if (!paid) {
+        return { result: 'captured_not_paid', note: `Captured at the gateway, ${order.payment.status} locally` };
+    }
+    if (!samePayment) {
+        return { result: 'duplicate_payment', note: `Order was paid by ${order.payment.razorpayPaymentId}` };
+    }
+    if (Math.abs(record.amount - order.totalAmount) >= 0.01) {
+        return { result: 'amount_mismatch', note: `Captured ₹${record.amount}, order total ₹${order.totalAmount}` };
+    }
+    if (record.amountRefunded !== undefined &&
+        Math.abs(record.amountRefunded - (order.payment.refundedAmount || 0)) >= 0.01) {
+        return {
+            result: 'refund_mismatch',
+            note: `Refunded ₹${record.amountRefunded} at the gateway, ₹${order.payment.refundedAmount || 0} locally`
+        };
+    }
+
+    return { result: 'matched' };
+};
+
+/**
+ * Match gateway records to orders and build the report rows
+ * @param {Array} records - Reconciliation records
+ * @param {Object} [localCheck] - Also flag local payments the gateway does not list
+ * @param {string} localCheck.gateway - Gateway name
+ * @param {Date} localCheck.from
+ * @param {Date} localCheck.to
+ * @param {Function} [localCheck.listEarlier] - async () => payment ids the gateway lists on the day
+ *        before (payments created before midnight and verified after it)
+ * @returns {Promise<{rows: Array, summary: Object}>}
+ */
+const reconcileRecords = async (records, localCheck) => {
+    const paymentIds = records.map(record => record.paymentId);
+    const gatewayOrderIds = records.map(record => record.gatewayOrderId).filter(Boolean);
+
+    const orders = await Order.find({
+        $or: [
+            { 'payment.razorpayPaymentId': { $in: paymentIds } },
+            { 'payment.razorpayOrderId': { $in: gatewayOrderIds } }
+        ]
+    }).select('orderNumber totalAmount payment');
+
+    const byPaymentId = new Map(orders.filter(o => o.payment.razorpayPaymentId).map(o => [o.payment.razorpayPaymentId, o]));
+    const byGatewayOrderId = new Map(orders.filter(o => o.payment.razorpayOrderId).map(o => [o.payment.razorpayOrderId, o]));
+
+    const rows = records.map(record => {
+        const order = byPaymentId.get(record.paymentId) || byGatewayOrderId.get(record.gatewayOrderId);
+        const { result, note } = compare(record, order);
+
+        return {
+            paymentId: record.paymentId,
+            gatewayOrderId: record.gatewayOrderId,
+            order: order ? order._id : undefined,
+            orderNumber: order ? order.orderNumber : undefined,
+            gatewayStatus: record.status,
+            localStatus: order ? order.payment.status : undefined,
+            gatewayAmount: record.amount,
+            localAmount: order ? order.totalAmount : undefined,
+            gatewayRefunded: record.amountRefunded,
+            localRefunded: order ? order.payment.refundedAmount || 0 : undefined,
+            fee: record.fee,
+            tax: record.tax,
+            settlementId: record.settlementId,
+            result,
+            note
+        };
+    });
+
+    if (localCheck) {
+        const seen = new Set(paymentIds);
+        const localPaid = await Order.find({
+            'payment.mode': { $ne: 'cod' },
+            // Orders from before the gateway was stored were paid through Razorpay
+            'payment.gateway': localCheck.gateway === 'razorpay' ? { $in: ['razorpay', null] } : localCheck.gateway,
+            'payment.status': { $in: PAID_STATUSES },
+            'payment.paidAt': { $gte: localCheck.from, $lt: localCheck.to }
+        }).select('orderNumber totalAmount payment');
+
+        // Local orders are picked by when the payment was verified, the gateway lists
+        // payments by when they were created: look for the rest on the day before
+        const unlisted = localPaid.filter(order => !seen.has(order.payment.razorpayPaymentId));
+        if (unlisted.length > 0 && localCheck.listEarlier) {
+            (await localCheck.listEarlier()).forEach(paymentId => seen.add(paymentId));
+        }
+
+        unlisted
+            .filter(order => !seen.has(order.payment.razorpayPaymentId))
+            .forEach(order => rows.push({
+                paymentId: order.payment.razorpayPaymentId,
+                gatewayOrderId: order.payment.razorpayOrderId,
+                order: order._id,
+                orderNumber: order.orderNumber,
+                localStatus: order.payment.status,
+                localAmount: order.totalAmount,
+                localRefunded: order.payment.refundedAmount || 0,
+                result: 'missing_at_gateway',
+                note: 'Paid locally but not listed by the gateway for this day'
+            }));
+    }
+
+    const captured = records.filter(record => record.status === 'captured');
+    const capturedAmount = roundAmount(captured.reduce((total, record) => total + record.amount, 0));
+    const fees = roundAmount(records.reduce((total, record) => total + record.fee, 0));
+    const tax = roundAmount(records.reduce((total, record) => total + record.tax, 0));
+    const matched = rows.filter(row => row.result === 'matched').length;
+
+    return {
+        rows,
+        summary: {
+            gatewayPayments: records.length,
+            matched,
+            discrepancies: rows.length - matched,
+            capturedAmount,
+            fees,
+            tax,
+            netAmount: roundAmount(capturedAmount - fees - tax)
+        }
+    };
+};
+
+/**
+ * Reconcile a day of payments pulled from the gateway
+ * @param {{date?: string, gateway?: string, generatedBy?: string}} [options]
+ * @returns {Promise<Object>} PaymentReconciliation document
+ */
+const runReconciliation = async ({ date, gateway: gatewayName, generatedBy } = {}) => {
+    const gateway = getGateway(gatewayName);
+    const range = getDayRange(date);
+
+    const payments = await gateway.listPayments({ from: range.from, to: range.to });
+    const { rows, summary } = await reconcileRecords(payments.map(fromGatewayPayment), {
+        gateway: gateway.name,
+        from: range.from,
+        to: range.to,
+        listEarlier: async () => {
+            const dayBefore = new Date(range.from);
+            dayBefore.setDate(dayBefore.getDate() - 1);
+            const earlier = await gateway.listPayments({ from: dayBefore, to: range.from });
+            return earlier.map(payment => payment.id);
+        }
+    });
+
+    return PaymentReconciliation.create({
+        date: range.date,
+        source: 'gateway',
+        gateway: gateway.name,
+        generatedBy,
+        summary,
+        rows
+    });
+};
+
+/**
+ * Reconcile an imported settlement CSV
+ * @param {{text: string, fileName?: string, date?: string, generatedBy?: string}} options
+ * @returns {Promise<{success: boolean, message?: string, report?: Object}>}
+ */
+const importSettlementReport = async ({ text, fileName, date, generatedBy }) => {
+    const records = parseSettlementCsv(text);
+
+    if (records.length === 0) {
+        return { success: false, message: 'No payment rows found in the file' };
+    }
+
+    // Settlements lag payments, so only the file's own rows are checked
+    const { rows, summary } = await reconcileRecords(records);
+
+    const report = await PaymentReconciliation.create({
+        date: getDayRange(date || new Date()).date,
+        source: 'csv',
+        fileName,
+        generatedBy,
+        summary,
+        rows
+    });
+
+    return { success: true, report };
+};
+
+/**
+ * Make sure yesterday's gateway reconciliation exists (run by the daily job)
+ * @returns {Promise<Object|null>} The new report, or null if it already existed
+ */
+const ensureDailyReconciliation = async () => {
+    const { date } = getDayRange();
+    const existing = await PaymentReconciliation.exists({ date, source: 'gateway' });
+    if (existing) return null;
+
+    return runReconciliation({ date });
+};
+
+/**
+ * Report rows as CSV
+ * @param {Object} report - PaymentReconciliation document
+ */
+const getReportCsv = (report) => toCsv(report.rows, REPORT_COLUMNS);
+
+module.exports = {
+    getDayRange,
+    parseSettlementCsv,
+    runReconciliation,
+    importSettlementReport,
+    ensureDailyReconciliation,
+    getReportCsv
+};
@@ -0,0 +1,40 @@
+const { generateInvoice } = require('./invoiceService');
+const { transitionOrder } = require('./orderStateService');
+
+// Payment statuses of an order that has been paid (refunds included)
+const PAID_STATUSES = ['completed', 'partially_refunded', 'refunded'];
+
+/**
+ * Record a captured payment on an order and mark it paid (the order is saved)
+ * @param {Object} order - Order document
+ * @param {Object} payment - Gateway payment ({ id, method })
+ * @param {{updatedBy?: string, note: string}} context
+ * @returns {Promise<boolean>} False if the order could no longer be paid (e.g. it expired)
+ */
+const confirmPayment = async (order, payment, { updatedBy, note }) => {
+    order.payment.razorpayPaymentId = payment.id;
+    order.payment.method = payment.method;
+    order.payment.status = 'completed';
+    order.payment.paidAt = new Date();
+
+    const result = await transitionOrder(order, 'paid', { note, updatedBy });
+
+    if (!result.success) {
+        // Keep the payment on record so it can be refunded
+        order.statusHistory.push({
+            status: order.status,
+            note: `Payment ${payment.id} received for a ${order.status} order`
+        });
+        await order.save();
+        return false;
+    }
+
+    // Invoice failures must not fail the payment; it is retried on download
+    generateInvoice(order).catch(error => console.error('Invoice generation error:', error.message));
+    return true;
+};
+
+module.exports = {
+    PAID_STATUSES,
+    confirmPayment
+};
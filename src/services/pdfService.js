@@ -0,0 +1,104 @@
+// Minimal PDF writer for text documents (invoices). Uses the standard
+// PDF fonts, so no font files are embedded. Text must be WinAnsi/ASCII.
+
+const PAGE_WIDTH = 595; // A4 in points
+const PAGE_HEIGHT = 842;
+const MARGIN = 40;
+
+const FONTS = {
+    regular: { key: 'F1', base: 'Helvetica' },
+    bold: { key: 'F2', base: 'Helvetica-Bold' },
+    mono: { key: 'F3', base: 'Courier' }
+};
+
+const escapeText = (text) => String(text)
+    .replace(/[^\x20-\x7e]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+
+/**
+ * Lay lines out top to bottom, starting a new page when one is full
+ * @param {Array<{text: string, font?: string, size?: number}>} lines
+ * @returns {string[]} Content stream per page
+ */
+const layoutPages = (lines) => {
+    const pages = [];
+    let commands = [];
+    let y = PAGE_HEIGHT - MARGIN;
+
+    for (const line of lines) {
+        const size = line.size || 10;
+        const font = FONTS[line.font] || FONTS.regular;
+        const lineHeight = size * 1.4;
+
+        if (y - lineHeight < MARGIN) {
+            pages.push(commands.join('\n'));
+            commands = [];
+            y = PAGE_HEIGHT - MARGIN;
+        }
+
+        y -= lineHeight;
+        if (line.text) {
+            commands.push(`BT /${font.key} ${size} Tf ${MARGIN} ${y.toFixed(2)} Td (${escapeText(line.text)}) Tj ET`);
+        }
+    }
+
+    pages.push(commands.join('\n'));
+    return pages;
+};
+
+/**
+ * Build a PDF document from lines of text
+ * @param {Array<{text: string, font?: 'regular'|'bold'|'mono', size?: number}>} lines
+ * @returns {Buffer}
+ */
+const createTextPdf = (lines) => {
+    const pages = layoutPages(lines);
+    const fontList = Object.values(FONTS);
+
+    // Object numbers: 1 catalog, 2 page tree, then fonts, then page + content per page
+    const firstFont = 3;
+    const firstPage = firstFont + fontList.length;
+    const pageIds = pages.map((_, index) => firstPage + index * 2);
+
+    const objects = [];
+    objects[1] = '<< /Type /Catalog /Pages 2 0 R >>';
+    objects[2] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pages.length} >>`;
+
+    const fontResources = fontList
+        .map((font, index) => `/${font.key} ${firstFont + index} 0 R`)
+        .join(' ');
+
+    fontList.forEach((font, index) => {
+        objects[firstFont + index] = `<< /Type /Font /Subtype /Type1 /BaseFont /${font.base} /Encoding /WinAnsiEncoding >>`;
+    });
+
+    pages.forEach((content, index) => {
+        const pageId = pageIds[index];
+        objects[pageId] = `<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] ` +
+            `/Resources << /Font << ${fontResources} >> >> /Contents ${pageId + 1} 0 R >>`;
+        objects[pageId + 1] = `<< /Length ${Buffer.byteLength(content, 'latin1')} >>\nstream\n${content}\nendstream`;
+    });
+
+    let pdf = '%PDF-1.4\n';
+    const offsets = [];
+
+    for (let id = 1; id < objects.length; id++) {
+        offsets[id] = Buffer.byteLength(pdf, 'latin1');
+        pdf += `${id} 0 obj\n${objects[id]}\nendobj\n`;
+    }
+
+    const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+    pdf += `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+    for (let id = 1; id < objects.length; id++) {
+        pdf += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+    }
+    pdf += `trailer\n<< /Size ${objects.length} /Root 1 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+
+    return Buffer.from(pdf, 'latin1');
+};
+
+module.exports = {
+    createTextPdf
+};
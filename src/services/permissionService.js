@@ -0,0 +1,96 @@
+const Role = require('../models/Role');
+const { DEFAULT_ROLES } = require('../config/permissions');
+
+// Role permissions are cached briefly to avoid a lookup on every request
+const CACHE_TTL_MS = 60 * 1000;
+const roleCache = new Map();
+
+/**
+ * Get the permissions granted to a role
+ * @param {string} roleName - Role name (User.role)
+ * @returns {Promise<string[]>}
+ */
+const getRolePermissions = async (roleName) => {
+    const cached = roleCache.get(roleName);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+        return cached.permissions;
+    }
+
+    const role = await Role.findOne({ name: roleName }).lean();
+    let permissions = [];
+
+    if (role) {
+        permissions = role.permissions;
+    } else if (DEFAULT_ROLES[roleName]) {
+        // Built-in role not created yet (e.g. before first startup)
+        permissions = DEFAULT_ROLES[roleName].permissions;
+    }
+
+    roleCache.set(roleName, { permissions, loadedAt: Date.now() });
+    return permissions;
+};
+
+/**
+ * Check a permission against a list of granted permissions.
+ * Supports '*' (everything) and 'resource:*' wildcards.
+ * @param {string[]} granted - Granted permissions
+ * @param {string} permission - Permission to check
+ */
+const permissionMatches = (granted, permission) => {
+    const [resource] = permission.split(':');
+    return granted.some(p => p === '*' || p === permission || p === `${resource}:*`);
+};
+
+/**
+ * Check that granted permissions include everything in another list. Wildcards
+ * are only covered by an equal or wider wildcard.
+ * @param {string[]} granted - Granted permissions
+ * @param {string[]} required - Permissions to cover (e.g. a role's)
+ */
+const coversPermissions = (granted, required) => required.every(permission => {
+    if (granted.includes('*')) return true;
+    if (permission === '*') return false;
+    if (permission.endsWith(':*')) return granted.includes(permission);
+    return permissionMatches(granted, permission);
+});
+
+/**
+ * Clear cached role permissions (call after roles are edited)
+ * @param {string} [roleName] - Role to clear, or all roles when omitted
+ */
+const invalidateRoleCache = (roleName) => {
+    if (roleName) {
+        roleCache.delete(roleName);
+    } else {
+        roleCache.clear();
+    }
+};
+
+/**
+ * Create the built-in roles if they do not exist yet
+ */
+const ensureDefaultRoles = async () => {
+    for (const [name, definition] of Object.entries(DEFAULT_ROLES)) {
+        await Role.updateOne(
+            { name },
+            {
+                $setOnInsert: {
+                    name,
+                    description: definition.description,
+                    permissions: definition.permissions,
+                    isSystem: true
+                }
+            },
+            { upsert: true }
+        );
+    }
+    invalidateRoleCache();
+};
+
+module.exports = {
+    getRolePermissions,
+    permissionMatches,
+    coversPermissions,
+    invalidateRoleCache,
+    ensureDefaultRoles
+};
@@ -0,0 +1,266 @@
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const { getAvailableStock, getEffectivePrice } = require('./cartService');
+const { syncInventory, addStock, setStock } = require('./stockService');
+
+const VARIANT_ATTRIBUTES = ['frameSize', 'wheelSize', 'color'];
+
+// Fields an admin can set directly; stock only moves through the stock service
+const VARIANT_FIELDS = ['sku', 'price', 'discountPrice', 'images', 'isAvailable'];
+
+const getCombination = (attributes = {}) => VARIANT_ATTRIBUTES
+    .map(attribute => String(attributes[attribute] || '').trim().toLowerCase())
+    .join('|');
+
+/**
+ * Check a variant's SKU and options against the product's other variants and the catalogue
+ * @param {Object} product - Product document
+ * @param {{sku: string, attributes: Object}} variant - Variant as it will be saved
+ * @param {string} [variantId] - Variant being updated
+ * @returns {Promise<string|null>} Error message
+ */
+const checkVariantConflicts = async (product, variant, variantId) => {
+    const others = product.variants.filter(v => !variantId || v._id.toString() !== String(variantId));
+    const sku = String(variant.sku || '').trim().toUpperCase();
+
+    if (!sku) return 'Variant SKU is required';
+    if (others.some(v => v.sku === sku)) return `SKU ${sku} is already used by this product`;
+    if (others.some(v => getCombination(v.attributes) === getCombination(variant.attributes))) {
+        return 'Another variant already has these options';
+    }
+
+    const usedElsewhere = await Product.exists({ _id: { $ne: product._id }, 'variants.sku': sku });
+    if (usedElsewhere) return `SKU ${sku} is already used by another product`;
+
+    return null;
+};
+
+/**
+ * Price and stock of a product as the storefront shows it: per variant for
+ * products with variants, with the options a customer can pick from
+ * @param {Object} product - Product document
+ */
+const getProductAvailability = (product) => {
+    if (product.variants.length === 0) {
+        const availableStock = product.isAvailable ? Math.max(getAvailableStock(product), 0) : 0;
+        const price = getEffectivePrice(product);
+        return {
+            hasVariants: false,
+            availableStock,
+            inStock: availableStock > 0,
+            priceRange: { min: price, max: price }
+        };
+    }
+
+    const variants = product.variants.map(variant => {
+        const availableStock = product.isAvailable && variant.isAvailable
+            ? Math.max(getAvailableStock(product, variant), 0)
+            : 0;
+        return {
+            ...variant.toObject(),
+            effectivePrice: getEffectivePrice(product, variant),
+            availableStock,
+            inStock: availableStock > 0
+        };
+    });
+
+    const sellable = variants.filter(variant => variant.isAvailable);
+    const prices = (sellable.length > 0 ? sellable : variants).map(variant => variant.effectivePrice);
+
+    // Values of each option, with whether any variant having it is in stock
+    const variantOptions = {};
+    VARIANT_ATTRIBUTES.forEach(attribute => {
+        const values = new Map();
+        sellable.forEach(variant => {
+            const value = variant.attributes[attribute];
+            if (value) values.set(value, values.get(value) || variant.inStock);
+        });
+        if (values.size > 0) {
+            variantOptions[attribute] = [...values.entries()].map(([value, inStock]) => ({ value, inStock }));
+        }
+    });
+
+    const availableStock = variants.reduce((total, variant) => total + variant.availableStock, 0);
+
+    return {
+        hasVariants: true,
+        availableStock,
+        inStock: availableStock > 0,
+        priceRange: { min: Math.min(...prices), max: Math.max(...prices) },
+        variantOptions,
+        variants
+    };
+};
+
+/**
+ * Add a variant to a product. A product's first variant can only be added
+ * while the product holds no stock, since stock then moves to its variants.
+ * @param {Object} product - Product document
+ * @param {Object} data - sku, attributes, price, discountPrice, images, isAvailable, stock (opening stock)
+ * @param {{updatedBy?: string}} [context]
+ * @returns {Promise<{success: boolean, status?: number, message?: string, product?: Object, variant?: Object}>}
+ */
+const addVariant = async (product, data, { updatedBy } = {}) => {
+    const variant = { attributes: {} };
+    VARIANT_FIELDS.forEach(field => {
+        if (data[field] !== undefined && data[field] !== null) variant[field] = data[field];
+    });
+    VARIANT_ATTRIBUTES.forEach(attribute => {
+        variant.attributes[attribute] = String((data.attributes || {})[attribute] || '').trim();
+    });
+
+    const conflict = await checkVariantConflicts(product, variant);
+    if (conflict) return { success: false, status: 400, message: conflict };
+
+    const openingStock = Math.max(Number(data.stock) || 0, 0);
+    const isFirst = product.variants.length === 0;
+
+    const updated = await Product.findOneAndUpdate(
+        {
+            _id: product._id,
+            // Stock held at product level would have no variant to belong to
+            $or: [{ 'variants.0': { $exists: true } }, { stock: 0, reservedStock: 0 }]
+        },
+        { $push: { variants: variant } },
+        { new: true, runValidators: true }
+    );
+
+    if (!updated) {
+        return {
+            success: false,
+            status: 400,
+            message: 'Set the product stock to 0 before adding variants - stock is then kept per variant'
+        };
+    }
+
+    const added = updated.variants[updated.variants.length - 1];
+
+    if (isFirst) {
+        await Inventory.deleteOne({ product: product._id, variant: null });
+    }
+
+    if (openingStock > 0) {
+        await addStock(product._id, openingStock, {
+            variantId: added._id,
+            reason: 'Opening stock',
+            updatedBy
+        });
+    } else {
+        await syncInventory(updated, undefined, {}, added._id);
+    }
+
+    return { success: true, product: await Product.findById(product._id), variant: added };
+};
+
+/**
+ * Update a variant's SKU, options, price, images or availability. A stock
+ * figure is applied as a stock take.
+ * @param {Object} product - Product document
+ * @param {string} variantId - Variant ID
+ * @param {Object} data - Fields to change (price / discountPrice null to use the product's)
+ * @param {{reason?: string, updatedBy?: string}} [context]
+ * @returns {Promise<{success: boolean, status?: number, message?: string, product?: Object}>}
+ */
+const updateVariant = async (product, variantId, data, { reason, updatedBy } = {}) => {
+    const current = product.variants.id(variantId);
+    if (!current) return { success: false, status: 404, message: 'Variant not found' };
+
+    const $set = {};
+    const $unset = {};
+
+    VARIANT_FIELDS.forEach(field => {
+        if (data[field] === undefined) return;
+        if (data[field] === null && ['price', 'discountPrice'].includes(field)) {
+            $unset[`variants.$.${field}`] = '';
+        } else {
+            $set[`variants.$.${field}`] = data[field];
+        }
+    });
+
+    const attributes = {};
+    VARIANT_ATTRIBUTES.forEach(attribute => {
+        attributes[attribute] = current.attributes[attribute];
+    });
+    if (data.attributes) {
+        VARIANT_ATTRIBUTES.forEach(attribute => {
+            if (data.attributes[attribute] !== undefined) {
+                attributes[attribute] = String(data.attributes[attribute] || '').trim();
+                $set[`variants.$.attributes.${attribute}`] = attributes[attribute];
+            }
+        });
+    }
+
+    const conflict = await checkVariantConflicts(product, { sku: data.sku ?? current.sku, attributes }, variantId);
+    if (conflict) return { success: false, status: 400, message: conflict };
+
+    if (Object.keys($set).length > 0 || Object.keys($unset).length > 0) {
+        const update = {};
+        if (Object.keys($set).length > 0) update.$set = $set;
+        if (Object.keys($unset).length > 0) update.$unset = $unset;
+
+        const updated = await Product.findOneAndUpdate(
+            { _id: product._id, 'variants._id': variantId },
+            update,
+            { new: true, runValidators: true }
+        );
+        if (!updated) return { success: false, status: 404, message: 'Variant not found' };
+
+        if (data.sku !== undefined) {
+            await syncInventory(updated, undefined, {}, variantId);
+        }
+    }
+
+    if (data.stock !== undefined && Number(data.stock) !== current.stock) {
+        const result = await setStock(product._id, Number(data.stock), {
+            variantId,
+            reason: reason || 'Variant edit',
+            updatedBy
+        });
+        if (!result.success) return { success: false, status: 400, message: result.message };
+    }
+
+    return { success: true, product: await Product.findById(product._id) };
+};
+
+/**
+ * Delete a variant that holds no stock. Past orders keep its SKU and options.
+ * @param {Object} product - Product document
+ * @param {string} variantId - Variant ID
+ * @returns {Promise<{success: boolean, status?: number, message?: string, product?: Object}>}
+ */
+const removeVariant = async (product, variantId) => {
+    if (!product.variants.id(variantId)) {
+        return { success: false, status: 404, message: 'Variant not found' };
+    }
+
+    const updated = await Product.findOneAndUpdate(
+        { _id: product._id, variants: { $elemMatch: { _id: variantId, stock: 0, reservedStock: 0 } } },
+        { $pull: { variants: { _id: variantId } } },
+        { new: true }
+    );
+
+    if (!updated) {
+        return {
+            success: false,
+            status: 400,
+            message: 'Only variants without stock can be deleted. Remove its stock or mark it unavailable.'
+        };
+    }
+
+    await Inventory.deleteOne({ product: product._id, variant: variantId });
+
+    // Back to a single stock figure for the product
+    if (updated.variants.length === 0) {
+        await syncInventory(updated);
+    }
+
+    return { success: true, product: updated };
+};
+
+module.exports = {
+    VARIANT_ATTRIBUTES,
+    getProductAvailability,
+    addVariant,
+    updateVariant,
+    removeVariant
+};
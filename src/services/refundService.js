@@ -0,0 +1,381 @@
+const mongoose = require('mongoose');
+const Order = require('../models/Order');
+const { getOrderGateway } = require('./paymentGatewayService');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * What the customer paid per unit of an order line, after discounts
+ * @param {Object} item - Order item
+ * @param {Object} order - Order document
+ */
+const getUnitPrice = (item, order) => {
+    if (item.taxableValue !== undefined && item.taxableValue !== null) {
+        const lineTotal = item.taxableValue + (item.cgst || 0) + (item.sgst || 0) + (item.igst || 0);
+        return roundAmount(lineTotal / item.quantity);
+    }
+
+    // Orders placed before tax lines were stored: share the discount by value
+    const gross = (item.price + (item.shippingFees || 0)) * item.quantity;
+    const discount = order.discount && order.discount.amount ? order.discount.amount : 0;
+    const share = order.subtotal ? gross / order.subtotal : 0;
+    return roundAmount((gross - discount * share) / item.quantity);
+};
+
+/**
+ * Amount of the captured payment that has not been refunded yet
+ * @param {Object} order - Order document
+ */
+const getRefundableAmount = (order) => {
+    // Refunded before the ledger existed, without an amount on record
+    if (order.payment.status === 'refunded') return 0;
+    return Math.max(roundAmount(order.totalAmount - (order.payment.refundedAmount || 0)), 0);
+};
+
+/**
+ * Units of each order line not covered by an item-level refund yet
+ * @param {Object} order - Order document
+ * @returns {Array<{orderItem: string, product: string, name: string, quantity: number, refundable: number, unitPrice: number}>}
+ */
+const getRefundableItems = (order) => {
+    const refunded = new Map();
+    (order.payment.refunds || [])
+        .filter(refund => refund.status !== 'failed')
+        .forEach(refund => refund.items.forEach(item => {
+            const key = item.orderItem.toString();
+            refunded.set(key, (refunded.get(key) || 0) + item.quantity);
+        }));
+
+    return order.items.map(item => ({
+        orderItem: item._id,
+        product: item.product,
+        name: item.name,
+        quantity: item.quantity,
+        refundable: Math.max(item.quantity - (refunded.get(item._id.toString()) || 0), 0),
+        unitPrice: getUnitPrice(item, order)
+    }));
+};
+
+/**
+ * Set payment.status from the amount refunded so far (the order is not saved)
+ * @param {Object} order - Order document
+ */
+const updateRefundStatus = (order) => {
+    const refunded = order.payment.refundedAmount || 0;
+
+    if (refunded >= order.totalAmount) {
+        order.payment.status = 'refunded';
+    } else if (refunded > 0) {
+        order.payment.status = 'partially_refunded';
+    } else {
+        order.payment.status = 'completed';
+    }
+};
+
+/**
+ * Check the lines of an item-level refund against the order
+ * @param {Object} order - Order document
+ * @param {Array<{orderItemId: string, quantity: number}>} requestedItems
+ * @returns {{success: boolean, message?: string, items?: Array, amount?: number}}
+ */
+const buildRefundItems = (order, requestedItems) => {
+    const refundable = getRefundableItems(order);
+    const items = [];
+
+    for (const requested of requestedItems) {
+        const line = refundable.find(item => item.orderItem.toString() === String(requested.orderItemId));
+        const quantity = Number(requested.quantity) || 0;
+
+        if (!line) {
+            return { success: false, message: 'Item not found in this order' };
+        }
+        if (quantity < 1 || quantity > line.refundable) {
+            return { success: false, message: `Only ${line.refundable} unit(s) of ${line.name} can be refunded` };
+        }
+
+        items.push({
+            orderItem: line.orderItem,
+            product: line.product,
+            name: line.name,
+            quantity,
+            amount: roundAmount(line.unitPrice * quantity)
+        });
+    }
+
+    return {
+        success: true,
+        items,
+        amount: roundAmount(items.reduce((total, item) => total + item.amount, 0))
+    };
+};
+
+// Refunds may only be claimed from these payment states
+const REFUNDABLE_PAYMENT_STATUSES = ['completed', 'partially_refunded'];
+
+// How the cash collected for COD orders is paid back
+const MANUAL_REFUND_METHODS = {
+    cash: 'in cash',
+    bank_transfer: 'by bank transfer'
+};
+
+/**
+ * Set payment.status from the refunded amount in the database, so refunds
+ * finishing concurrently agree on it
+ * @param {string} orderId - Order ID
+ * @returns {Promise<Object>} The order (plain object)
+ */
+const syncRefundStatus = (orderId) => Order.findOneAndUpdate(
+    { _id: orderId },
+    [{
+        $set: {
+            'payment.status': {
+                $switch: {
+                    branches: [
+                        { case: { $gte: ['$payment.refundedAmount', '$totalAmount'] }, then: 'refunded' },
+                        { case: { $gt: ['$payment.refundedAmount', 0] }, then: 'partially_refunded' }
+                    ],
+                    default: 'completed'
+                }
+            }
+        }
+    }],
+    { new: true, updatePipeline: true }
+).lean();
+
+/**
+ * Refund all or part of an order's payment through its gateway and record it
+ * in the order's refund ledger. The amount is claimed on the order before the
+ * gateway is called, so concurrent refunds cannot exceed what was paid; the
+ * order document passed in is refreshed afterwards. COD orders have no gateway
+ * payment: the refund is paid by hand and recorded as processed.
+ * @param {Object} order - Order document
+ * @param {Object} options
+ * @param {number} [options.amount] - Amount in rupees (defaults to the items' value, or everything left)
+ * @param {Array<{orderItemId: string, quantity: number}>} [options.items] - Lines being refunded
+ * @param {string} [options.reason] - Why the refund was issued
+ * @param {string} [options.returnId] - Return the refund settles
+ * @param {string} [options.method] - COD orders: cash or bank_transfer (default)
+ * @param {string} [options.reference] - COD orders: receipt or transfer reference
+ * @param {string} [options.updatedBy] - User issuing the refund
+ * @returns {Promise<{success: boolean, status?: number, message?: string, refund?: Object}>}
+ */
+const createRefund = async (order, { amount, items, reason, returnId, method, reference, updatedBy } = {}) => {
+    const isCod = order.payment.mode === 'cod';
+
+    if ((!isCod && !order.payment.razorpayPaymentId) || !REFUNDABLE_PAYMENT_STATUSES.includes(order.payment.status)) {
+        return { success: false, status: 400, message: 'No payment to refund' };
+    }
+
+    const refundMethod = isCod ? method || 'bank_transfer' : 'gateway';
+    if (isCod && !MANUAL_REFUND_METHODS[refundMethod]) {
+        return { success: false, status: 400, message: 'Refund method must be cash or bank_transfer' };
+    }
+
+    const refundable = getRefundableAmount(order);
+    let refundItems = [];
+    let limit = refundable;
+
+    if (Array.isArray(items) && items.length > 0) {
+        const built = buildRefundItems(order, items);
+        if (!built.success) {
+            return { success: false, status: 400, message: built.message };
+        }
+        refundItems = built.items;
+        limit = Math.min(built.amount, refundable);
+    }
+
+    const refundAmount = roundAmount(amount !== undefined && amount !== null ? Number(amount) : limit);
+
+    if (!(refundAmount > 0) || refundAmount > limit) {
+        return {
+            success: false,
+            status: 400,
+            message: `Refund must be between 0 and ₹${limit}`
+        };
+    }
+
+    // Claim the amount (and the items) as a pending ledger entry. The checks above were made
+    // on this copy of the order, so the claim only succeeds if no refund was added since.
+    const entryId = new mongoose.Types.ObjectId();
+    const claimed = await Order.findOneAndUpdate(
+        {
+            _id: order._id,
+            'payment.status': { $in: REFUNDABLE_PAYMENT_STATUSES },
+            $expr: {
+                $and: [
+                    { $eq: [{ $size: { $ifNull: ['$payment.refunds', []] } }, order.payment.refunds.length] },
+                    {
+                        $lte: [
+                            { $add: [{ $ifNull: ['$payment.refundedAmount', 0] }, refundAmount] },
+                            // Rounding slack
+                            { $add: ['$totalAmount', 0.001] }
+                        ]
+                    }
+                ]
+            }
+        },
+        {
+            $inc: { 'payment.refundedAmount': refundAmount },
+            $push: {
+                'payment.refunds': {
+                    _id: entryId,
+                    method: refundMethod,
+                    reference: isCod ? reference : undefined,
+                    amount: refundAmount,
+                    items: refundItems,
+                    reason,
+                    status: isCod ? 'processed' : 'pending',
+                    return: returnId,
+                    initiatedBy: updatedBy,
+                    processedAt: isCod ? new Date() : undefined
+                }
+            }
+        },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return {
+            success: false,
+            status: 409,
+            message: 'The order was refunded meanwhile - reload it and try again'
+        };
+    }
+
+    if (isCod) {
+        await Order.updateOne(
+            { _id: order._id },
+            {
+                $push: {
+                    statusHistory: {
+                        status: claimed.status,
+                        note: `Refund of ₹${refundAmount} paid ${MANUAL_REFUND_METHODS[refundMethod]}. ${reason || ''}`.trim(),
+                        updatedBy,
+                        timestamp: new Date()
+                    }
+                }
+            }
+        );
+
+        order.init(await syncRefundStatus(order._id));
+        return { success: true, refund: order.payment.refunds.find(entry => entry._id.equals(entryId)) };
+    }
+
+    let refund;
+    try {
+        refund = await getOrderGateway(order).refund(order.payment.razorpayPaymentId, {
+            amount: Math.round(refundAmount * 100),
+            notes: {
+                reason: reason || 'Customer refund request',
+                orderId: order._id.toString()
+            }
+        });
+    } catch (error) {
+        // Give the claimed amount back
+        await Order.updateOne(
+            { _id: order._id, 'payment.refunds._id': entryId },
+            {
+                $inc: { 'payment.refundedAmount': -refundAmount },
+                $pull: { 'payment.refunds': { _id: entryId } }
+            }
+        );
+        throw error;
+    }
+
+    const $set = { 'payment.refunds.$.refundId': refund.id };
+    if (refund.status === 'processed') {
+        $set['payment.refunds.$.status'] = 'processed';
+        $set['payment.refunds.$.processedAt'] = new Date();
+    }
+
+    await Order.updateOne(
+        { _id: order._id, 'payment.refunds._id': entryId },
+        {
+            $set,
+            $push: {
+                statusHistory: {
+                    status: claimed.status,
+                    note: `Refund of ₹${refundAmount} initiated. ${reason || ''}`.trim(),
+                    updatedBy,
+                    timestamp: new Date()
+                }
+            }
+        }
+    );
+
+    order.init(await syncRefundStatus(order._id));
+
+    return { success: true, refund: order.payment.refunds.find(entry => entry._id.equals(entryId)) };
+};
+
+/**
+ * Apply a gateway refund event to the ledger. Refunds issued outside the
+ * API (e.g. from the Razorpay dashboard) are added to it. Throws when the
+ * event arrives before createRefund has recorded the refund.
+ * @param {Object} refundEntity - Refund from the parsed webhook
+ * @param {string} status - pending, processed or failed
+ * @returns {Promise<Object|null>} The order, or null if no order has the payment
+ */
+const applyRefundEvent = async (refundEntity, status) => {
+    let order = await Order.findOne({ 'payment.refunds.refundId': refundEntity.id });
+
+    if (!order) {
+        order = await Order.findOne({ 'payment.razorpayPaymentId': refundEntity.paymentId });
+        if (!order) return null;
+
+        // Issued by createRefund, which has not saved it yet - the event is retried
+        if (refundEntity.notes && refundEntity.notes.orderId) {
+            throw new Error(`Refund ${refundEntity.id} is not in the ledger yet`);
+        }
+
+        const amount = roundAmount(refundEntity.amount / 100);
+        order.payment.refunds.push({
+            refundId: refundEntity.id,
+            amount,
+            reason: refundEntity.notes && refundEntity.notes.reason,
+            status: 'pending'
+        });
+        order.payment.refundedAmount = roundAmount((order.payment.refundedAmount || 0) + amount);
+        order.statusHistory.push({
+            status: order.status,
+            note: `Refund of ₹${amount} initiated`
+        });
+    }
+
+    const entry = order.payment.refunds.find(refund => refund.refundId === refundEntity.id);
+
+    // Events can arrive more than once and out of order; failed and processed are final
+    if (entry.status !== 'pending' || status === 'pending') {
+        updateRefundStatus(order);
+        await order.save();
+        return order;
+    }
+
+    entry.status = status;
+
+    if (status === 'processed') {
+        entry.processedAt = new Date();
+    }
+
+    if (status === 'failed') {
+        entry.failureReason = refundEntity.errorDescription || 'Refund failed';
+        order.payment.refundedAmount = Math.max(roundAmount(order.payment.refundedAmount - entry.amount), 0);
+        order.statusHistory.push({
+            status: order.status,
+            note: `Refund of ₹${entry.amount} failed: ${entry.failureReason}`
+        });
+    }
+
+    updateRefundStatus(order);
+    await order.save();
+    return order;
+};
+
+module.exports = {
+    getUnitPrice,
+    getRefundableAmount,
+    getRefundableItems,
+    updateRefundStatus,
+    createRefund,
+    applyRefundEvent
+};
@@ -0,0 +1,295 @@
+const Return = require('../models/Return');
+const { returnItems } = require('./stockService');
+const { getUnitPrice, getRefundableAmount, createRefund } = require('./refundService');
+
+// Days after delivery within which a return can be requested
+const RETURN_WINDOW_DAYS = Number(process.env.RETURN_WINDOW_DAYS) || 7;
+
+// Allowed next statuses for each return status
+const RETURN_TRANSITIONS = {
+    requested: ['approved', 'rejected', 'cancelled'],
+    approved: ['pickup_scheduled', 'cancelled'],
+    pickup_scheduled: ['pickup_scheduled', 'picked_up'],
+    picked_up: ['inspected'],
+    inspected: ['refunding', 'closed'],
+    // Gateway refund in progress; back to inspected if it fails
+    refunding: ['refunded', 'inspected'],
+    rejected: [],
+    refunded: [],
+    closed: [],
+    cancelled: []
+};
+
+// Returns that still hold on to their items
+const OPEN_RETURN_STATUSES = ['requested', 'approved', 'pickup_scheduled', 'picked_up', 'inspected', 'refunding', 'refunded', 'closed'];
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+/**
+ * When the return window of an order closes, or null if it has not been delivered
+ * @param {Object} order - Order document
+ */
+const getReturnDeadline = (order) => {
+    const deliveredAt = order.delivery && order.delivery.actualDate;
+    if (!deliveredAt || !['delivered', 'completed'].includes(order.status)) return null;
+    return new Date(new Date(deliveredAt).getTime() + RETURN_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+};
+
+/**
+ * Units of each order line that can still be returned
+ * @param {Object} order - Order document
+ * @returns {Promise<Array<{orderItem: string, product: string, name: string, quantity: number, returnable: number, unitPrice: number}>>}
+ */
+const getReturnableItems = async (order) => {
+    const returns = await Return.find({ order: order._id, status: { $in: OPEN_RETURN_STATUSES } })
+        .select('items.orderItem items.quantity');
+
+    const requested = new Map();
+    returns.forEach(ret => ret.items.forEach(item => {
+        const key = item.orderItem.toString();
+        requested.set(key, (requested.get(key) || 0) + item.quantity);
+    }));
+
+    return order.items.map(item => ({
+        orderItem: item._id,
+        product: item.product,
+        variant: item.variant,
+        name: item.name,
+        variantName: item.variantName,
+        quantity: item.quantity,
+        returnable: Math.max(item.quantity - (requested.get(item._id.toString()) || 0), 0),
+        unitPrice: getUnitPrice(item, order)
+    }));
+};
+
+/**
+ * Check a customer's return request against the order
+ * @param {Object} order - Order document
+ * @param {Array<{orderItemId: string, quantity: number, reason: string, comments?: string}>} requestedItems
+ * @returns {Promise<{success: boolean, message?: string, items?: Array}>}
+ */
+const buildReturnItems = async (order, requestedItems) => {
+    const deadline = getReturnDeadline(order);
+    if (!deadline) {
+        return { success: false, message: 'Only delivered orders can be returned' };
+    }
+    if (deadline < new Date()) {
+        return { success: false, message: `The ${RETURN_WINDOW_DAYS}-day return window for this order has closed` };
+    }
+
+    if (!Array.isArray(requestedItems) || requestedItems.length === 0) {
+        return { success: false, message: 'Select at least one item to return' };
+    }
+
+    const returnable = await getReturnableItems(order);
+    const items = [];
+
+    for (const requested of requestedItems) {
+        const line = returnable.find(item => item.orderItem.toString() === String(requested.orderItemId));
+        const quantity = Number(requested.quantity) || 0;
+
+        if (!line) {
+            return { success: false, message: 'Item not found in this order' };
+        }
+        if (quantity < 1 || quantity > line.returnable) {
+            return { success: false, message: `Only ${line.returnable} unit(s) of ${line.name} can be returned` };
+        }
+        if (!requested.reason) {
+            return { success: false, message: `A reason is required for ${line.name}` };
+        }
+
+        items.push({
+            orderItem: line.orderItem,
+            product: line.product,
+            variant: line.variant,
+            name: line.name,
+            variantName: line.variantName,
+            quantity,
+            unitPrice: line.unitPrice,
+            reason: requested.reason,
+            comments: requested.comments
+        });
+    }
+
+    return { success: true, items };
+};
+
+/**
+ * Move a return to a new status (the return is not saved)
+ * @param {Object} ret - Return document
+ * @param {string} to - Target status
+ * @param {{note?: string, updatedBy?: string}} [context]
+ * @returns {{success: boolean, message?: string}}
+ */
+const transitionReturn = (ret, to, { note, updatedBy } = {}) => {
+    if (!(RETURN_TRANSITIONS[ret.status] || []).includes(to)) {
+        return { success: false, message: `Cannot change return from ${ret.status} to ${to}` };
+    }
+
+    ret.status = to;
+    ret.statusHistory.push({ status: to, note, updatedBy });
+    return { success: true };
+};
+
+/**
+ * Move a return to its next status in the database, only if no one else has
+ * moved it since it was read. The return document is refreshed.
+ * @param {Object} ret - Return document
+ * @param {string} to - Next status
+ * @param {{note?: string, updatedBy?: string, set?: Object}} [options] - set: other fields to update
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const claimReturnTransition = async (ret, to, { note, updatedBy, set = {} } = {}) => {
+    if (!(RETURN_TRANSITIONS[ret.status] || []).includes(to)) {
+        return { success: false, message: `Cannot change return from ${ret.status} to ${to}` };
+    }
+
+    const updated = await Return.findOneAndUpdate(
+        { _id: ret._id, status: ret.status },
+        {
+            $set: { ...set, status: to },
+            $push: { statusHistory: { status: to, note, updatedBy, timestamp: new Date() } }
+        },
+        { new: true, runValidators: true }
+    ).lean();
+
+    if (!updated) {
+        return { success: false, message: 'The return was updated meanwhile - reload it and try again' };
+    }
+
+    ret.init(updated);
+    return { success: true };
+};
+
+/**
+ * Record the inspection of returned goods, put sellable units back into
+ * stock and work out the refund (the return is updated and refreshed)
+ * @param {Object} ret - Return document (status picked_up)
+ * @param {Array<{itemId: string, outcome: string, restockQuantity?: number, notes?: string}>} results
+ * @param {{notes?: string, updatedBy: string}} context
+ * @returns {Promise<{success: boolean, message?: string}>}
+ */
+const inspectReturn = async (ret, results, { notes, updatedBy }) => {
+    for (const item of ret.items) {
+        const result = (results || []).find(r => String(r.itemId) === item._id.toString());
+
+        if (!result || !['accepted', 'rejected'].includes(result.outcome)) {
+            return { success: false, message: `Inspection outcome missing for ${item.name}` };
+        }
+
+        const restockQuantity = result.outcome === 'accepted'
+            ? Math.min(Math.max(Number(result.restockQuantity ?? item.quantity), 0), item.quantity)
+            : 0;
+
+        item.inspection = {
+            outcome: result.outcome,
+            restockQuantity,
+            notes: result.notes
+        };
+        item.refundAmount = result.outcome === 'accepted' ? roundAmount(item.unitPrice * item.quantity) : 0;
+    }
+
+    // Claimed before restocking, so a repeated request cannot put the units back twice
+    const claim = await claimReturnTransition(ret, 'inspected', {
+        note: notes || 'Inspection completed',
+        updatedBy,
+        set: {
+            items: ret.items.map(item => item.toObject()),
+            inspection: { inspectedBy: updatedBy, inspectedAt: new Date(), notes }
+        }
+    });
+    if (!claim.success) return claim;
+
+    const restock = ret.items
+        .filter(item => item.inspection.restockQuantity > 0)
+        .map(item => ({ product: item.product, variant: item.variant, quantity: item.inspection.restockQuantity }));
+
+    await returnItems(restock, ret.order, updatedBy, `Customer return ${ret.rmaNumber}`);
+
+    // Nothing accepted - nothing to refund
+    if (ret.items.every(item => item.refundAmount === 0)) {
+        await claimReturnTransition(ret, 'closed', { note: 'No items accepted for refund', updatedBy });
+    }
+
+    return { success: true };
+};
+
+/**
+ * Refund the accepted items of an inspected return and record it in the
+ * order's refund ledger (both are saved)
+ * @param {Object} ret - Return document (status inspected)
+ * @param {Object} order - The return's order
+ * @param {{amount?: number, method?: string, reference?: string, updatedBy: string}} options
+ *        method / reference: how a COD order's refund was paid (see createRefund)
+ * @returns {Promise<{success: boolean, status?: number, message?: string}>}
+ */
+const refundReturn = async (ret, order, { amount, method, reference, updatedBy }) => {
+    if (ret.status !== 'inspected') {
+        return { success: false, status: 400, message: 'Only inspected returns can be refunded' };
+    }
+
+    const accepted = roundAmount(ret.items.reduce((total, item) => total + item.refundAmount, 0));
+    const limit = Math.min(accepted, getRefundableAmount(order));
+    const refundAmount = roundAmount(amount !== undefined ? Number(amount) : limit);
+
+    if (!(refundAmount > 0) || refundAmount > limit) {
+        return {
+            success: false,
+            status: 400,
+            message: `Refund must be between 0 and ₹${limit}`
+        };
+    }
+
+    // Only one refund per return, even if the button is pressed twice
+    const claim = await claimReturnTransition(ret, 'refunding', { note: `Refunding ₹${refundAmount}`, updatedBy });
+    if (!claim.success) return { success: false, status: 409, message: claim.message };
+
+    let result;
+    try {
+        result = await createRefund(order, {
+            amount: refundAmount,
+            items: ret.items
+                .filter(item => item.refundAmount > 0)
+                .map(item => ({ orderItemId: item.orderItem, quantity: item.quantity })),
+            reason: `Return ${ret.rmaNumber}`,
+            returnId: ret._id,
+            method,
+            reference,
+            updatedBy
+        });
+    } catch (error) {
+        await claimReturnTransition(ret, 'inspected', { note: `Refund failed: ${error.message}`, updatedBy });
+        throw error;
+    }
+
+    if (!result.success) {
+        await claimReturnTransition(ret, 'inspected', { note: `Refund failed: ${result.message}`, updatedBy });
+        return result;
+    }
+
+    await claimReturnTransition(ret, 'refunded', {
+        note: `Refunded ₹${refundAmount}`,
+        updatedBy,
+        set: {
+            refund: {
+                amount: refundAmount,
+                refundId: result.refund.refundId,
+                method: result.refund.method,
+                processedAt: new Date(),
+                processedBy: updatedBy
+            }
+        }
+    });
+
+    return { success: true };
+};
+
+module.exports = {
+    RETURN_WINDOW_DAYS,
+    getReturnDeadline,
+    getReturnableItems,
+    buildReturnItems,
+    transitionReturn,
+    inspectReturn,
+    refundReturn
+};
@@ -0,0 +1,205 @@
+const crypto = require('crypto');
+const SearchQuery = require('../models/SearchQuery');
+const { tokenize } = require('./searchService');
+
+// Popular queries are counted over this many days and cached for a while,
+// since the suggest endpoint is called on every keystroke
+const POPULAR_WINDOW_DAYS = 30;
+const POPULAR_CACHE_TTL_MS = 10 * 60 * 1000;
+const POPULAR_CACHE_SIZE = 200;
+// A query is only suggested to everyone once this many different shoppers searched it
+const POPULAR_MIN_SEARCHERS = Number(process.env.SEARCH_POPULAR_MIN_SEARCHERS) || 3;
+
+let popularCache = null;
+
+const normalizeQuery = (query) => tokenize(query).join(' ');
+
+/**
+ * Record a storefront search
+ * @param {{query: string, userId?: string, ip?: string, resultCount: number, matchAll?: boolean}} entry
+ */
+const logSearchQuery = async ({ query, userId, ip, resultCount, matchAll }) => {
+    const normalized = normalizeQuery(query);
+    if (!normalized) return null;
+
+    let searcher;
+    if (userId) {
+        searcher = `user:${userId}`;
+    } else if (ip) {
+        searcher = `ip:${crypto.createHash('sha256').update(ip).digest('hex').slice(0, 16)}`;
+    }
+
+    return SearchQuery.create({
+        query: String(query).trim().slice(0, 200),
+        normalized,
+        user: userId,
+        searcher,
+        resultCount,
+        matchAll
+    });
+};
+
+/**
+ * A user's latest distinct searches
+ * @param {string} userId - User ID
+ * @param {string} [prefix] - Only queries starting with this text
+ * @param {number} [limit]
+ * @returns {Promise<string[]>}
+ */
+const getRecentQueries = async (userId, prefix = '', limit = 5) => {
+    const normalizedPrefix = normalizeQuery(prefix);
+
+    const entries = await SearchQuery.find({ user: userId })
+        .sort({ createdAt: -1 })
+        .limit(100)
+        .select('query normalized');
+
+    const seen = new Set();
+    const recent = [];
+
+    for (const entry of entries) {
+        if (seen.has(entry.normalized)) continue;
+        seen.add(entry.normalized);
+
+        if (!normalizedPrefix || entry.normalized.startsWith(normalizedPrefix)) {
+            recent.push(entry.query);
+            if (recent.length >= limit) break;
+        }
+    }
+
+    return recent;
+};
+
+/**
+ * Most searched queries whose results matched every word, searched by at
+ * least POPULAR_MIN_SEARCHERS different shoppers (so one script cannot put
+ * its text in front of everyone)
+ * @param {string} [prefix] - Only queries starting with this text
+ * @param {number} [limit]
+ * @returns {Promise<Array<{query: string, count: number}>>}
+ */
+const getPopularQueries = async (prefix = '', limit = 5) => {
+    if (!popularCache || Date.now() - popularCache.loadedAt > POPULAR_CACHE_TTL_MS) {
+        const since = new Date(Date.now() - POPULAR_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+
+        const queries = await SearchQuery.aggregate([
+            {
+                $match: {
+                    createdAt: { $gte: since },
+                    resultCount: { $gt: 0 },
+                    matchAll: true,
+                    searcher: { $type: 'string' }
+                }
+            },
+            // Distinct searchers of each way of typing a query
+            {
+                $group: {
+                    _id: { normalized: '$normalized', query: { $toLower: '$query' } },
+                    searchers: { $addToSet: '$searcher' }
+                }
+            },
+            { $addFields: { formCount: { $size: '$searchers' } } },
+            { $sort: { formCount: -1 } },
+            {
+                $group: {
+                    _id: '$_id.normalized',
+                    query: { $first: '$_id.query' },
+                    formCount: { $first: '$formCount' },
+                    searchers: { $push: '$searchers' }
+                }
+            },
+            {
+                $project: {
+                    // Shown as most shoppers typed it, if enough of them did; otherwise as
+                    // its search words, so no single searcher decides the text everyone sees
+                    query: { $cond: [{ $gte: ['$formCount', POPULAR_MIN_SEARCHERS] }, '$query', '$_id'] },
+                    count: {
+                        $size: {
+                            $reduce: {
+                                input: '$searchers',
+                                initialValue: [],
+                                in: { $setUnion: ['$$value', '$$this'] }
+                            }
+                        }
+                    }
+                }
+            },
+            { $match: { count: { $gte: POPULAR_MIN_SEARCHERS } } },
+            { $sort: { count: -1 } },
+            { $limit: POPULAR_CACHE_SIZE }
+        ]);
+
+        popularCache = { queries, loadedAt: Date.now() };
+    }
+
+    const normalizedPrefix = normalizeQuery(prefix);
+
+    return popularCache.queries
+        .filter(entry => !normalizedPrefix || entry._id.startsWith(normalizedPrefix))
+        .slice(0, limit)
+        .map(entry => ({ query: entry.query, count: entry.count }));
+};
+
+/**
+ * Searches that found nothing, most frequent first
+ * @param {{days?: number, page?: number, limit?: number}} [options]
+ * @returns {Promise<{queries: Array, total: number, totalSearches: number, zeroResultSearches: number}>}
+ */
+const getZeroResultQueries = async ({ days = 30, page = 1, limit = 50 } = {}) => {
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const skip = (page - 1) * limit;
+
+    const [result] = await SearchQuery.aggregate([
+        { $match: { createdAt: { $gte: since }, resultCount: 0 } },
+        { $sort: { createdAt: -1 } },
+        {
+            $group: {
+                _id: '$normalized',
+                query: { $first: '$query' },
+                count: { $sum: 1 },
+                users: { $addToSet: '$user' },
+                firstSearchedAt: { $last: '$createdAt' },
+                lastSearchedAt: { $first: '$createdAt' }
+            }
+        },
+        {
+            $facet: {
+                queries: [
+                    { $sort: { count: -1, lastSearchedAt: -1 } },
+                    { $skip: skip },
+                    { $limit: limit },
+                    {
+                        $project: {
+                            _id: 0,
+                            normalized: '$_id',
+                            query: 1,
+                            count: 1,
+                            // Signed-in customers who hit it (anonymous searches are not counted)
+                            users: { $size: { $setDifference: ['$users', [null]] } },
+                            firstSearchedAt: 1,
+                            lastSearchedAt: 1
+                        }
+                    }
+                ],
+                total: [{ $count: 'count' }],
+                searches: [{ $group: { _id: null, count: { $sum: '$count' } } }]
+            }
+        }
+    ]);
+
+    const totalSearches = await SearchQuery.countDocuments({ createdAt: { $gte: since } });
+
+    return {
+        queries: result.queries,
+        total: result.total[0]?.count || 0,
+        totalSearches,
+        zeroResultSearches: result.searches[0]?.count || 0
+    };
+};
+
+module.exports = {
+    logSearchQuery,
+    getRecentQueries,
+    getPopularQueries,
+    getZeroResultQueries
+};
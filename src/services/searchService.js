@@ -0,0 +1,539 @@
+const Product = require('../models/Product');
+const { getEffectivePrice } = require('./cartService');
+
+// Product search runs on an in-process inverted index of the available
+// catalogue: MongoDB's text index has no prefix or typo matching. The index
+// is rebuilt after SEARCH_INDEX_TTL_SECONDS or when products change
+// (invalidateSearchIndex).
+const INDEX_TTL_MS = (Number(process.env.SEARCH_INDEX_TTL_SECONDS) || 300) * 1000;
+
+// How much a match in each field counts
+const FIELD_WEIGHTS = {
+    name: 5,
+    brand: 4,
+    model: 3,
+    tags: 3,
+    variants: 2,
+    category: 2,
+    description: 1
+};
+
+// Score multiplier by how a query word matched an indexed term
+const MATCH_WEIGHTS = {
+    exact: 1,
+    prefix: 0.8,
+    fuzzy: 0.6
+};
+
+// Most indexed terms one query word can expand to
+const MAX_EXPANSIONS = 20;
+
+const STOP_WORDS = new Set(['a', 'an', 'and', 'for', 'in', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+// Price bands used for the price facet, on the price customers pay
+const PRICE_BANDS = [
+    { value: 'under-10000', label: 'Under ₹10,000', min: 0, max: 10000 },
+    { value: '10000-25000', label: '₹10,000 - ₹25,000', min: 10000, max: 25000 },
+    { value: '25000-50000', label: '₹25,000 - ₹50,000', min: 25000, max: 50000 },
+    { value: '50000-100000', label: '₹50,000 - ₹1,00,000', min: 50000, max: 100000 },
+    { value: 'over-100000', label: 'Over ₹1,00,000', min: 100000, max: Infinity }
+];
+
+const SORTS = {
+    price_asc: (a, b) => a.effectivePrice - b.effectivePrice,
+    price_desc: (a, b) => b.effectivePrice - a.effectivePrice,
+    rating: (a, b) => (b.product.ratings?.average || 0) - (a.product.ratings?.average || 0),
+    newest: (a, b) => new Date(b.product.createdAt) - new Date(a.product.createdAt)
+};
+
+let index = null;
+
+/**
+ * Lower-case words without accents or punctuation
+ * @param {string} text
+ * @returns {string[]}
+ */
+const tokenize = (text) => String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token && !STOP_WORDS.has(token));
+
+/**
+ * Damerau-Levenshtein distance, giving up once it exceeds max
+ * @returns {number} Distance, or max + 1
+ */
+const editDistance = (a, b, max) => {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let prevPrev = null;
+    let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(prev[j] + 1, current[j - 1] + 1, prev[j - 1] + cost);
+
+            // Swapped neighbours ("shiamno" -> "shimano")
+            if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                current[j] = Math.min(current[j], prevPrev[j - 2] + 1);
+            }
+            rowMin = Math.min(rowMin, current[j]);
+        }
+
+        if (rowMin > max) return max + 1;
+        prevPrev = prev;
+        prev = current;
+    }
+
+    return prev[b.length];
+};
+
+// Typos allowed for a word of this length
+const allowedEdits = (length) => (length >= 8 ? 2 : length >= 4 ? 1 : 0);
+
+const getPriceBand = (price) => PRICE_BANDS.find(band => price >= band.min && price < band.max);
+
+/**
+ * Text of each searchable field of a product
+ * @param {Object} product - Lean product
+ */
+const getFields = (product) => ({
+    name: product.name,
+    brand: product.specifications?.brand,
+    model: product.specifications?.model,
+    tags: (product.tags || []).join(' '),
+    // SKUs and options of each variant
+    variants: (product.variants || [])
+        .map(variant => [variant.sku, ...Object.values(variant.attributes || {})].join(' '))
+        .join(' '),
+    category: product.category,
+    description: product.description
+});
+
+/**
+ * Build the index from the available catalogue
+ */
+const buildIndex = async () => {
+    const products = await Product.find({ isAvailable: true }).lean();
+
+    const docs = new Map();
+    const postings = new Map();
+
+    for (const product of products) {
+        const id = product._id.toString();
+        // Products with variants are listed at their lowest ("from") price
+        const sellable = (product.variants || []).filter(variant => variant.isAvailable);
+        const effectivePrice = sellable.length > 0
+            ? Math.min(...sellable.map(variant => getEffectivePrice(product, variant)))
+            : getEffectivePrice(product);
+
+        docs.set(id, {
+            product,
+            effectivePrice,
+            priceBand: getPriceBand(effectivePrice)?.value
+        });
+
+        for (const [field, text] of Object.entries(getFields(product))) {
+            for (const term of tokenize(text)) {
+                if (!postings.has(term)) postings.set(term, new Map());
+                const fields = postings.get(term);
+                if (!fields.has(id)) fields.set(id, {});
+                const counts = fields.get(id);
+                counts[field] = (counts[field] || 0) + 1;
+            }
+        }
+    }
+
+    return {
+        docs,
+        postings,
+        terms: [...postings.keys()],
+        builtAt: Date.now()
+    };
+};
+
+const getIndex = async () => {
+    if (!index || Date.now() - index.builtAt > INDEX_TTL_MS) {
+        index = await buildIndex();
+    }
+    return index;
+};
+
+/**
+ * Drop the index so the next search sees product changes
+ */
+const invalidateSearchIndex = () => {
+    index = null;
+};
+
+/**
+ * Indexed terms a query word matches, with how well
+ * @param {Object} idx - Search index
+ * @param {string} word - Query word
+ * @returns {Map<string, number>} term -> match weight
+ */
+const expandWord = (idx, word) => {
+    const matches = new Map();
+
+    if (idx.postings.has(word)) {
+        matches.set(word, MATCH_WEIGHTS.exact);
+    }
+
+    const maxEdits = allowedEdits(word.length);
+
+    for (const term of idx.terms) {
+        if (matches.size >= MAX_EXPANSIONS) break;
+        if (matches.has(term)) continue;
+
+        if (word.length >= 2 && term.startsWith(word)) {
+            matches.set(term, MATCH_WEIGHTS.prefix);
+        } else if (maxEdits > 0 && editDistance(word, term, maxEdits) <= maxEdits) {
+            matches.set(term, MATCH_WEIGHTS.fuzzy);
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Score products against a query
+ * @param {Object} idx - Search index
+ * @param {string[]} words - Query words
+ * @returns {Map<string, {score: number, matchedWords: number, terms: Set<string>}>}
+ */
+const scoreQuery = (idx, words) => {
+    const results = new Map();
+    const total = idx.docs.size;
+
+    words.forEach(word => {
+        // Best score per product for this word
+        const best = new Map();
+
+        for (const [term, matchWeight] of expandWord(idx, word)) {
+            const postings = idx.postings.get(term);
+            const idf = Math.log(1 + total / postings.size);
+
+            for (const [id, counts] of postings) {
+                const fieldScore = Object.entries(counts).reduce(
+                    (sum, [field, tf]) => sum + FIELD_WEIGHTS[field] * (1 + Math.log(tf)),
+                    0
+                );
+                const score = fieldScore * idf * matchWeight;
+
+                const current = best.get(id);
+                if (!current || score > current.score) {
+                    best.set(id, { score, terms: current ? current.terms.add(term) : new Set([term]) });
+                } else {
+                    current.terms.add(term);
+                }
+            }
+        }
+
+        for (const [id, { score, terms }] of best) {
+            const result = results.get(id) || { score: 0, matchedWords: 0, terms: new Set() };
+            result.score += score;
+            result.matchedWords++;
+            terms.forEach(term => result.terms.add(term));
+            results.set(id, result);
+        }
+    });
+
+    return results;
+};
+
+/**
+ * "Did you mean" for a query with misspelt words
+ * @param {Object} idx - Search index
+ * @param {string[]} words - Query words
+ * @returns {string|null} Corrected query, or null if every word is known
+ */
+const suggestCorrection = (idx, words) => {
+    let changed = false;
+
+    const corrected = words.map((word, i) => {
+        if (idx.postings.has(word)) return word;
+        // The last word may still be being typed
+        if (i === words.length - 1 && idx.terms.some(term => term.startsWith(word))) return word;
+
+        const maxEdits = allowedEdits(word.length);
+        if (maxEdits === 0) return word;
+
+        let best = null;
+        for (const term of idx.terms) {
+            const distance = editDistance(word, term, maxEdits);
+            if (distance > maxEdits) continue;
+
+            // Closest first, then the term found in more products
+            const frequency = idx.postings.get(term).size;
+            if (!best || distance < best.distance || (distance === best.distance && frequency > best.frequency)) {
+                best = { term, distance, frequency };
+            }
+        }
+
+        if (!best) return word;
+        changed = true;
+        return best.term;
+    });
+
+    return changed ? corrected.join(' ') : null;
+};
+
+const escapeHtml = (text) => text.replace(/[&<>"]/g, char => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[char]));
+
+/**
+ * Wrap matched words in <mark>, optionally cutting a snippet around the first match
+ * @param {string} text - Field text
+ * @param {Set<string>} terms - Matched index terms
+ * @param {number} [snippetLength] - Characters to keep (whole text if omitted)
+ */
+const highlight = (text, terms, snippetLength) => {
+    if (!text) return '';
+
+    let source = text;
+    if (snippetLength && text.length > snippetLength) {
+        const words = [...text.matchAll(/[A-Za-z0-9\u00C0-\u024F]+/g)];
+        const first = words.find(match => terms.has(tokenize(match[0])[0]));
+        const start = first ? Math.max(first.index - Math.floor(snippetLength / 3), 0) : 0;
+        source = (start > 0 ? '…' : '') +
+            text.slice(start, start + snippetLength).trim() +
+            (start + snippetLength < text.length ? '…' : '');
+    }
+
+    return escapeHtml(source).replace(/[A-Za-z0-9\u00C0-\u024F]+/g, word => (
+        terms.has(tokenize(word)[0]) ? `<mark>${word}</mark>` : word
+    ));
+};
+
+const list = (value) => (value === undefined || value === '' ? [] : String(value).split(',').map(v => v.trim().toLowerCase()).filter(Boolean));
+
+// Values of a product's specification together with those of its variants
+const withVariantValues = (doc, specification, attribute) => [
+    doc.product.specifications?.[specification],
+    ...(doc.product.variants || [])
+        .filter(variant => variant.isAvailable)
+        .map(variant => variant.attributes?.[attribute])
+];
+
+// Values of each facet for a document (as shown to the customer)
+const FACET_VALUES = {
+    category: doc => [doc.product.category],
+    brand: doc => [doc.product.specifications?.brand],
+    priceBand: doc => [doc.priceBand],
+    wheelSize: doc => withVariantValues(doc, 'wheelSize', 'wheelSize'),
+    frameSize: doc => withVariantValues(doc, 'frameSize', 'frameSize'),
+    color: doc => withVariantValues(doc, 'color', 'color'),
+    gears: doc => [doc.product.specifications?.gears]
+};
+
+// Distinct non-empty facet values of a document
+const getFacetValues = (doc, name) => [...new Set(
+    FACET_VALUES[name](doc)
+        .filter(value => value !== undefined && value !== null && value !== '')
+        .map(String)
+)];
+
+// A document passes a facet filter when any of its values was selected
+const matchesFacet = (doc, name, selected) => getFacetValues(doc, name)
+    .some(value => selected.includes(value.toLowerCase()));
+
+/**
+ * Count values of each facet. Each facet is counted with every filter
+ * applied except its own, so customers can widen a selection.
+ */
+const countFacets = (candidates, filters, passesOther) => {
+    const facets = {};
+
+    for (const name of Object.keys(FACET_VALUES)) {
+        const counts = new Map();
+
+        for (const doc of candidates) {
+            if (!passesOther(doc, name)) continue;
+            getFacetValues(doc, name).forEach(value => counts.set(value, (counts.get(value) || 0) + 1));
+        }
+
+        facets[name] = [...counts.entries()]
+            .map(([value, count]) => ({
+                value,
+                count,
+                selected: (filters[name] || []).includes(value.toLowerCase())
+            }))
+            .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value, undefined, { numeric: true }));
+    }
+
+    // Keep price bands in price order, with labels
+    facets.priceBand = PRICE_BANDS
+        .map(band => {
+            const found = facets.priceBand.find(item => item.value === band.value);
+            return found ? { ...found, label: band.label } : null;
+        })
+        .filter(Boolean);
+
+    return facets;
+};
+
+/**
+ * Search available products
+ * @param {Object} params - Query parameters
+ * @param {string} [params.q] - Search text
+ * @param {string} [params.category] - Comma-separated values, likewise brand, priceBand, wheelSize, frameSize, color, gears
+ * @param {number} [params.minPrice]
+ * @param {number} [params.maxPrice]
+ * @param {string} [params.inStock] - 'true' for products that can be bought now
+ * @param {string} [params.sort] - relevance (default with q), price_asc, price_desc, rating, newest
+ * @param {number} [params.page]
+ * @param {number} [params.limit]
+ * @returns {Promise<{results: Array, facets: Object, total: number, matchAll: boolean, didYouMean: string|null}>}
+ */
+const searchProducts = async (params = {}) => {
+    const idx = await getIndex();
+    const words = tokenize(params.q);
+    const page = Math.max(Number(params.page) || 1, 1);
+    const limit = Math.min(Math.max(Number(params.limit) || 12, 1), 100);
+
+    // Text match: products containing every word, or failing that any of them
+    let scored = null;
+    let matchAll = true;
+    if (words.length > 0) {
+        scored = scoreQuery(idx, words);
+        const all = [...scored].filter(([, result]) => result.matchedWords === words.length);
+        if (all.length > 0) {
+            scored = new Map(all);
+        } else {
+            matchAll = false;
+        }
+    }
+
+    const candidates = [...idx.docs.entries()]
+        .filter(([id]) => !scored || scored.has(id))
+        .map(([id, doc]) => ({ ...doc, id, match: scored ? scored.get(id) : null }));
+
+    // Filters that are not facets
+    const minPrice = params.minPrice !== undefined && params.minPrice !== '' ? Number(params.minPrice) : null;
+    const maxPrice = params.maxPrice !== undefined && params.maxPrice !== '' ? Number(params.maxPrice) : null;
+    const base = candidates.filter(doc =>
+        (minPrice === null || doc.effectivePrice >= minPrice) &&
+        (maxPrice === null || doc.effectivePrice <= maxPrice) &&
+        (params.inStock !== 'true' || doc.product.stock - (doc.product.reservedStock || 0) > 0)
+    );
+
+    const filters = {};
+    Object.keys(FACET_VALUES).forEach(name => {
+        const values = list(params[name]);
+        if (values.length > 0) filters[name] = values;
+    });
+
+    const passesOther = (doc, except) => Object.entries(filters)
+        .every(([name, values]) => name === except || matchesFacet(doc, name, values));
+
+    const facets = countFacets(base, filters, passesOther);
+    const matched = base.filter(doc => passesOther(doc, null));
+
+    const sort = SORTS[params.sort] || (scored
+        ? (a, b) => b.match.matchedWords - a.match.matchedWords || b.match.score - a.match.score
+        : SORTS.newest);
+    matched.sort(sort);
+
+    const results = matched.slice((page - 1) * limit, page * limit).map(doc => ({
+        ...doc.product,
+        effectivePrice: doc.effectivePrice,
+        availableStock: doc.product.stock - (doc.product.reservedStock || 0),
+        score: doc.match ? Math.round(doc.match.score * 100) / 100 : undefined,
+        highlights: doc.match ? {
+            name: highlight(doc.product.name, doc.match.terms),
+            description: highlight(doc.product.description, doc.match.terms, 160)
+        } : undefined
+    }));
+
+    // Offer a correction when the words as typed did not all match
+    const didYouMean = words.length > 0 && (!matchAll || matched.length === 0)
+        ? suggestCorrection(idx, words)
+        : null;
+
+    return { results, facets, total: matched.length, matchAll, didYouMean };
+};
+
+// Whether a query word matches a word of a suggestion, allowing prefixes and typos
+const wordMatches = (word, token) => {
+    if (token.startsWith(word)) return true;
+    const maxEdits = allowedEdits(word.length);
+    return maxEdits > 0 && editDistance(word, token, maxEdits) <= maxEdits;
+};
+
+/**
+ * Count brand or category values matching every query word
+ * @param {Object} idx - Search index
+ * @param {string[]} words - Query words
+ * @param {Function} valueOf - Value of a document
+ * @param {number} limit
+ */
+const suggestValues = (idx, words, valueOf, limit) => {
+    const counts = new Map();
+
+    for (const doc of idx.docs.values()) {
+        const value = valueOf(doc);
+        if (!value) continue;
+
+        const tokens = tokenize(value);
+        if (!words.every(word => tokens.some(token => wordMatches(word, token)))) continue;
+
+        counts.set(value, (counts.get(value) || 0) + 1);
+    }
+
+    return [...counts.entries()]
+        .map(([value, count]) => ({ value, count }))
+        .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+        .slice(0, limit);
+};
+
+/**
+ * Autocomplete suggestions for a partly typed query
+ * @param {string} q - Text typed so far
+ * @param {number} [limit] - Suggestions per kind
+ * @returns {Promise<{products: Array, brands: Array, categories: Array, didYouMean: string|null}>}
+ */
+const getSuggestions = async (q, limit = 5) => {
+    const words = tokenize(q);
+    if (words.length === 0) {
+        return { products: [], brands: [], categories: [], didYouMean: null };
+    }
+
+    const idx = await getIndex();
+
+    const products = [...scoreQuery(idx, words)]
+        .filter(([, match]) => match.matchedWords === words.length)
+        .sort(([, a], [, b]) => b.score - a.score)
+        .slice(0, limit)
+        .map(([id, match]) => {
+            const { product, effectivePrice } = idx.docs.get(id);
+            return {
+                _id: product._id,
+                name: product.name,
+                highlight: highlight(product.name, match.terms),
+                brand: product.specifications?.brand,
+                category: product.category,
+                image: product.images?.[0],
+                effectivePrice
+            };
+        });
+
+    return {
+        products,
+        brands: suggestValues(idx, words, doc => doc.product.specifications?.brand, limit),
+        categories: suggestValues(idx, words, doc => doc.product.category, limit),
+        didYouMean: suggestCorrection(idx, words)
+    };
+};
+
+module.exports = {
+    PRICE_BANDS,
+    tokenize,
+    editDistance,
+    searchProducts,
+    getSuggestions,
+    invalidateSearchIndex
+};
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const path = require('path');
+
+// Default location for the file transport
+const DEFAULT_SMS_DIR = path.join(__dirname, '../../sms');
+
+/**
+ * Console transport - prints the message to stdout (development)
+ * @param {{to: string, body: string}} message
+ */
+const consoleTransport = async (message) => {
+    console.log(`📱 SMS to ${message.to}: ${message.body}`);
+    return { transport: 'console' };
+};
+
+/**
+ * File transport - writes each message as a JSON file (development and tests)
+ * @param {{to: string, body: string}} message
+ */
+const fileTransport = async (message) => {
+    const dir = process.env.SMS_FILE_DIR || DEFAULT_SMS_DIR;
+    fs.mkdirSync(dir, { recursive: true });
+
+    const fileName = `${Date.now()}_${message.to.replace(/[^0-9+]/g, '_')}.json`;
+    const filePath = path.join(dir, fileName);
+    fs.writeFileSync(filePath, JSON.stringify({ ...message, sentAt: new Date() }, null, 2));
+
+    return { transport: 'file', path: filePath };
+};
+
+const transports = {
+    console: consoleTransport,
+    file: fileTransport
+};
+
+// Console and file only write locally: development only
+const DEV_TRANSPORTS = ['console', 'file'];
+
+/**
+ * Register an SMS transport (e.g. an SMS gateway API)
+ * @param {string} name - Transport name, selected through SMS_TRANSPORT
+ * @param {Function} transport - async (message) => result
+ */
+const registerTransport = (name, transport) => {
+    transports[name] = transport;
+};
+
+/**
+ * Name of the configured SMS transport. Outside production it defaults to
+ * console; production needs a registered transport that really delivers.
+ * Throws when the configuration is not usable (also called at startup).
+ * @returns {string}
+ */
+const getSmsTransportName = () => {
+    const isProduction = process.env.NODE_ENV === 'production';
+    const name = process.env.SMS_TRANSPORT || (isProduction ? '' : 'console');
+
+    if (!name) {
+        throw new Error('SMS_TRANSPORT must be set in production');
+    }
+    if (isProduction && DEV_TRANSPORTS.includes(name)) {
+        throw new Error(`SMS transport '${name}' is for development only - set SMS_TRANSPORT to a real transport`);
+    }
+    if (!transports[name]) {
+        throw new Error(`Unknown SMS transport: ${name}`);
+    }
+
+    return name;
+};
+
+/**
+ * Send an SMS through the configured transport
+ * @param {{to: string, body: string}} message
+ * @returns {Promise<Object>} Transport result
+ */
+const sendSms = async (message) => {
+    const transport = transports[getSmsTransportName()];
+
+    return transport(message);
+};
+
+module.exports = {
+    registerTransport,
+    getSmsTransportName,
+    sendSms
+};
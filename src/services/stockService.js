@@ -0,0 +1,638 @@
+const Product = require('../models/Product');
+const Inventory = require('../models/Inventory');
+const Order = require('../models/Order');
+
+// Product.stock / reservedStock are the source of truth (checkout reserves
+// against them atomically). Every movement goes through this service, which
+// copies the resulting figures onto the Inventory record and logs the movement
+// in its stockHistory, so the two can no longer drift apart.
+//
+// Products with variants hold stock per variant (with one Inventory record
+// each); the product's own figures are the totals, changed in the same update.
+
+// Where an order's units are: held in reservedStock until dispatch, then
+// deducted from stock. Orders placed before this was tracked have no
+// stockStatus: their stock was deducted at payment.
+const RESERVATION_HELD_QUERY = {
+    $or: [
+        { stockStatus: 'reserved' },
+        { stockStatus: { $exists: false }, status: 'created' }
+    ]
+};
+
+const STOCK_DEDUCTED_QUERY = {
+    $or: [
+        { stockStatus: 'shipped' },
+        { stockStatus: { $exists: false }, 'payment.status': { $in: ['completed', 'partially_refunded', 'refunded'] } }
+    ]
+};
+
+/**
+ * Copy a product's stock figures onto its inventory record and log a movement
+ * @param {Object} product - Product document after the change
+ * @param {Object} [entry] - stockHistory entry ({ type, quantity, reason, reference, updatedBy })
+ * @param {Object} [extra] - Other inventory fields to set (e.g. lastRestocked)
+ * @param {string} [variantId] - Variant whose record to update (products with variants)
+ * @returns {Promise<Object>} Inventory document
+ */
+const syncInventory = async (product, entry, extra = {}, variantId = null) => {
+    const variant = variantId ? product.variants.id(variantId) : null;
+    const holder = variant || product;
+
+    const update = {
+        $set: {
+            totalStock: holder.stock,
+            reservedStock: holder.reservedStock,
+            ...(variant ? { sku: variant.sku } : {}),
+            ...extra
+        },
+        $setOnInsert: { lowStockThreshold: product.lowStockThreshold || 5 }
+    };
+
+    if (entry) {
+        update.$push = {
+            stockHistory: {
+                ...entry,
+                newStock: holder.stock,
+                reference: entry.reference ? entry.reference.toString() : undefined
+            }
+        };
+    }
+
+    return Inventory.findOneAndUpdate({ product: product._id, variant: variantId || null }, update, {
+        upsert: true,
+        new: true
+    });
+};
+
+/**
+ * Change a variant's stock figures and the product totals in one update.
+ * The update only applies if the variant still has the figures it was read
+ * with, and is retried otherwise, so concurrent changes cannot oversell.
+ * @param {string} productId - Product ID
+ * @param {string} variantId - Variant ID
+ * @param {Function} change - (variant) => increments ({ stock?, reservedStock? }), or null to refuse
+ * @param {{requireAvailable?: boolean}} [options]
+ * @returns {Promise<Object|null>} Product document after the change, or null if refused
+ */
+const changeVariantStock = async (productId, variantId, change, { requireAvailable = false } = {}) => {
+    for (let attempt = 0; attempt < 5; attempt++) {
+        const current = await Product.findOne({ _id: productId, 'variants._id': variantId })
+            .select('isAvailable variants');
+        const variant = current ? current.variants.id(variantId) : null;
+
+        if (!variant) return null;
+        if (requireAvailable && (!current.isAvailable || !variant.isAvailable)) return null;
+
+        const increments = change(variant);
+        if (!increments) return null;
+
+        const $inc = {};
+        Object.entries(increments).forEach(([field, amount]) => {
+            $inc[`variants.$.${field}`] = amount;
+            $inc[field] = amount;
+        });
+
+        const product = await Product.findOneAndUpdate(
+            {
+                _id: productId,
+                variants: {
+                    $elemMatch: {
+                        _id: variantId,
+                        stock: variant.stock,
+                        reservedStock: variant.reservedStock
+                    }
+                }
+            },
+            { $inc },
+            { new: true }
+        );
+
+        if (product) return product;
+    }
+
+    return null;
+};
+
+// Stock figures of a variant, or of the product itself
+const getStockHolder = (product, variantId) => (variantId ? product.variants.id(variantId) : product);
+
+// Products with variants only take stock movements for a variant
+const NO_VARIANTS = { 'variants.0': { $exists: false } };
+
+/**
+ * Reserve stock for a set of items. Each reservation is a conditional update,
+ * so two checkouts can never both take the last unit. If any item cannot be
+ * reserved, the ones that were reserved are released again.
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {string} [reference] - Order ID the stock is held for
+ * @returns {Promise<{success: boolean, failed: Array}>}
+ */
+const reserveItems = async (items, reference) => {
+    const reserved = [];
+    const failed = [];
+
+    for (const item of items) {
+        const product = item.variant
+            ? await changeVariantStock(item.product, item.variant, variant => (
+                variant.stock - variant.reservedStock >= item.quantity
+                    ? { reservedStock: item.quantity }
+                    : null
+            ), { requireAvailable: true })
+            : await Product.findOneAndUpdate(
+                {
+                    _id: item.product,
+                    ...NO_VARIANTS,
+                    isAvailable: true,
+                    $expr: { $gte: [{ $subtract: ['$stock', '$reservedStock'] }, item.quantity] }
+                },
+                { $inc: { reservedStock: item.quantity } },
+                { new: true }
+            );
+
+        if (product) {
+            await syncInventory(product, {
+                type: 'reserved',
+                quantity: item.quantity,
+                previousStock: getStockHolder(product, item.variant).stock,
+                reason: 'Reserved for order',
+                reference
+            }, {}, item.variant);
+            reserved.push(item);
+        } else {
+            failed.push(item);
+        }
+    }
+
+    if (failed.length > 0) {
+        await releaseItems(reserved, reference, 'Checkout rolled back');
+
+        const products = await Product.find({ _id: { $in: failed.map(item => item.product) } })
+            .select('name stock reservedStock isAvailable variants');
+        const productById = new Map(products.map(p => [p._id.toString(), p]));
+
+        return {
+            success: false,
+            failed: failed.map(item => {
+                const product = productById.get(item.product.toString());
+                const holder = product ? getStockHolder(product, item.variant) : null;
+                return {
+                    product: item.product,
+                    variant: item.variant,
+                    name: product ? product.name : undefined,
+                    sku: item.variant && holder ? holder.sku : undefined,
+                    requested: item.quantity,
+                    available: holder && product.isAvailable && holder.isAvailable !== false
+                        ? Math.max(holder.stock - holder.reservedStock, 0)
+                        : 0
+                };
+            })
+        };
+    }
+
+    return { success: true, failed };
+};
+
+/**
+ * Give reserved stock back (order cancelled or checkout rolled back)
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {string} [reference] - Order ID the stock was held for
+ * @param {string} [reason]
+ */
+const releaseItems = async (items, reference, reason = 'Reservation released') => {
+    for (const item of items) {
+        const product = item.variant
+            ? await changeVariantStock(item.product, item.variant, variant => (
+                variant.reservedStock >= item.quantity ? { reservedStock: -item.quantity } : null
+            ))
+            : await Product.findOneAndUpdate(
+                { _id: item.product, reservedStock: { $gte: item.quantity } },
+                { $inc: { reservedStock: -item.quantity } },
+                { new: true }
+            );
+
+        if (product) {
+            await syncInventory(product, {
+                type: 'released',
+                quantity: -item.quantity,
+                previousStock: getStockHolder(product, item.variant).stock,
+                reason,
+                reference
+            }, {}, item.variant);
+        }
+    }
+};
+
+/**
+ * Turn reserved units into sold units (they leave the warehouse)
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {string} reference - Order ID
+ * @param {string} [updatedBy] - User ID
+ * @param {string} [reason]
+ */
+const sellItems = async (items, reference, updatedBy, reason = 'Sold') => {
+    for (const item of items) {
+        const product = item.variant
+            ? await changeVariantStock(item.product, item.variant, variant => (
+                variant.stock >= item.quantity && variant.reservedStock >= item.quantity
+                    ? { stock: -item.quantity, reservedStock: -item.quantity }
+                    : null
+            ))
+            : await Product.findOneAndUpdate(
+                {
+                    _id: item.product,
+                    stock: { $gte: item.quantity },
+                    reservedStock: { $gte: item.quantity }
+                },
+                { $inc: { stock: -item.quantity, reservedStock: -item.quantity } },
+                { new: true }
+            );
+
+        if (product) {
+            await syncInventory(product, {
+                type: 'out',
+                quantity: -item.quantity,
+                previousStock: getStockHolder(product, item.variant).stock + item.quantity,
+                reason,
+                reference,
+                updatedBy
+            }, { lastSold: new Date() }, item.variant);
+        } else {
+            console.error(`Stock for product ${item.product} was not reserved for order ${reference}`);
+        }
+    }
+};
+
+/**
+ * Put sold units back into stock (goods came back to the warehouse)
+ * @param {Array<{product: string, variant?: string, quantity: number}>} items
+ * @param {string} reference - Order ID
+ * @param {string} [updatedBy] - User ID
+ * @param {string} [reason]
+ */
+const returnItems = async (items, reference, updatedBy, reason = 'Returned to stock') => {
+    for (const item of items) {
+        const product = item.variant
+            ? await changeVariantStock(item.product, item.variant, () => ({ stock: item.quantity }))
+            : await Product.findByIdAndUpdate(
+                item.product,
+                { $inc: { stock: item.quantity } },
+                { new: true }
+            );
+
+        if (product) {
+            await syncInventory(product, {
+                type: 'returned',
+                quantity: item.quantity,
+                previousStock: getStockHolder(product, item.variant).stock - item.quantity,
+                reason,
+                reference,
+                updatedBy
+            }, {}, item.variant);
+        } else if (item.variant) {
+            console.error(`Variant ${item.variant} of product ${item.product} no longer exists; ${item.quantity} unit(s) not restocked`);
+        }
+    }
+};
+
+/**
+ * Move an order's units from reserved to shipped when it leaves the warehouse.
+ * Safe to call more than once - only the first call moves stock.
+ * @param {Object} order - Order document
+ * @param {string} [updatedBy] - User ID
+ * @returns {Promise<boolean>} Whether stock was moved
+ */
+const dispatchOrderStock = async (order, updatedBy) => {
+    const result = await Order.updateOne(
+        { _id: order._id, stockStatus: 'reserved' },
+        { stockStatus: 'shipped' }
+    );
+
+    if (result.modifiedCount !== 1) return false;
+
+    order.stockStatus = 'shipped';
+    await sellItems(order.items, order._id, updatedBy, `Dispatched (order ${order.orderNumber})`);
+    return true;
+};
+
+/**
+ * Undo an order's stock movement when it is cancelled or refunded:
+ * a held reservation is released; shipped units are put back into stock
+ * only when `restock` is set (the goods are physically back).
+ * @param {Object} order - Order document
+ * @param {{reason?: string, updatedBy?: string, restock?: boolean}} [options]
+ * @returns {Promise<'released'|'restocked'|null>} What was done
+ */
+const reverseOrderStock = async (order, { reason = 'Order cancelled', updatedBy, restock = false } = {}) => {
+    const released = await Order.updateOne(
+        { _id: order._id, ...RESERVATION_HELD_QUERY },
+        { stockStatus: 'released' }
+    );
+
+    if (released.modifiedCount === 1) {
+        order.stockStatus = 'released';
+        await releaseItems(order.items, order._id, reason);
+        return 'released';
+    }
+
+    if (!restock) return null;
+
+    const restocked = await Order.updateOne(
+        { _id: order._id, ...STOCK_DEDUCTED_QUERY },
+        { stockStatus: 'restocked' }
+    );
+
+    if (restocked.modifiedCount === 1) {
+        order.stockStatus = 'restocked';
+        await returnItems(order.items, order._id, updatedBy, reason);
+        return 'restocked';
+    }
+
+    return null;
+};
+
+/**
+ * Why a stock change had nothing to update, if not for lack of stock
+ * @param {string} productId - Product ID
+ * @param {string} [variantId] - Variant ID
+ * @returns {Promise<string|null>} Error message
+ */
+const getTargetError = async (productId, variantId) => {
+    const product = await Product.findById(productId).select('variants');
+    if (!product) return 'Product not found';
+    if (variantId && !product.variants.id(variantId)) return 'Variant not found';
+    if (!variantId && product.variants.length > 0) return 'Select a variant - this product keeps stock per variant';
+    return null;
+};
+
+/**
+ * Receive new stock into the warehouse
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Units received
+ * @param {{variantId?: string, reason?: string, updatedBy?: string, location?: Object}} [options]
+ * @returns {Promise<{success: boolean, message?: string, inventory?: Object}>}
+ */
+const addStock = async (productId, quantity, { variantId, reason, updatedBy, location } = {}) => {
+    const product = variantId
+        ? await changeVariantStock(productId, variantId, () => ({ stock: quantity }))
+        : await Product.findOneAndUpdate(
+            { _id: productId, ...NO_VARIANTS },
+            { $inc: { stock: quantity } },
+            { new: true }
+        );
+
+    if (!product) {
+        return { success: false, message: await getTargetError(productId, variantId) };
+    }
+
+    const extra = { lastRestocked: new Date() };
+    if (location) extra.location = location;
+
+    const inventory = await syncInventory(product, {
+        type: 'in',
+        quantity,
+        previousStock: getStockHolder(product, variantId).stock - quantity,
+        reason: reason || 'Stock added',
+        updatedBy
+    }, extra, variantId);
+
+    return { success: true, inventory };
+};
+
+/**
+ * Take unreserved stock out of the warehouse (damaged, lost, etc.)
+ * @param {string} productId - Product ID
+ * @param {number} quantity - Units removed
+ * @param {{variantId?: string, type?: string, reason?: string, updatedBy?: string}} [options]
+ * @returns {Promise<{success: boolean, message?: string, inventory?: Object}>}
+ */
+const removeStock = async (productId, quantity, { variantId, type = 'out', reason, updatedBy } = {}) => {
+    const product = variantId
+        ? await changeVariantStock(productId, variantId, variant => (
+            variant.stock - variant.reservedStock >= quantity ? { stock: -quantity } : null
+        ))
+        : await Product.findOneAndUpdate(
+            {
+                _id: productId,
+                ...NO_VARIANTS,
+                $expr: { $gte: [{ $subtract: ['$stock', '$reservedStock'] }, quantity] }
+            },
+            { $inc: { stock: -quantity } },
+            { new: true }
+        );
+
+    if (!product) {
+        const targetError = await getTargetError(productId, variantId);
+        if (targetError) return { success: false, message: targetError };
+
+        const current = await Product.findById(productId).select('stock reservedStock variants');
+        const holder = getStockHolder(current, variantId);
+        const available = holder.stock - holder.reservedStock;
+        return {
+            success: false,
+            message: `Cannot remove ${quantity}. Only ${available} available (unreserved).`
+        };
+    }
+
+    const inventory = await syncInventory(product, {
+        type,
+        quantity: -quantity,
+        previousStock: getStockHolder(product, variantId).stock + quantity,
+        reason: reason || 'Stock removed',
+        updatedBy
+    }, {}, variantId);
+
+    return { success: true, inventory };
+};
+
+/**
+ * Set the physical stock count (stock take). Cannot go below what is reserved.
+ * @param {string} productId - Product ID
+ * @param {number} totalStock - Counted units
+ * @param {{variantId?: string, reason?: string, updatedBy?: string}} [options]
+ * @returns {Promise<{success: boolean, message?: string, inventory?: Object}>}
+ */
+const setStock = async (productId, totalStock, { variantId, reason, updatedBy } = {}) => {
+    let previousStock;
+    let product;
+
+    if (variantId) {
+        product = await changeVariantStock(productId, variantId, variant => {
+            if (variant.reservedStock > totalStock) return null;
+            previousStock = variant.stock;
+            return { stock: totalStock - variant.stock };
+        });
+    } else {
+        const previous = await Product.findOneAndUpdate(
+            { _id: productId, ...NO_VARIANTS, reservedStock: { $lte: totalStock } },
+            { stock: totalStock },
+            { new: false }
+        );
+        if (previous) {
+            previousStock = previous.stock;
+            product = await Product.findById(productId);
+        }
+    }
+
+    if (!product) {
+        const targetError = await getTargetError(productId, variantId);
+        if (targetError) return { success: false, message: targetError };
+
+        const current = await Product.findById(productId).select('reservedStock variants');
+        return {
+            success: false,
+            message: `Stock cannot be set below the ${getStockHolder(current, variantId).reservedStock} units reserved for open orders`
+        };
+    }
+
+    const inventory = await syncInventory(product, {
+        type: 'adjustment',
+        quantity: totalStock - previousStock,
+        previousStock,
+        reason: reason || 'Manual adjustment',
+        updatedBy
+    }, {}, variantId);
+
+    return { success: true, inventory };
+};
+
+// Key of a product or variant in reconciliation maps
+const stockKey = (productId, variantId) => `${productId}:${variantId || ''}`;
+
+/**
+ * Compare Product, Inventory and open orders, and optionally repair drift.
+ * Reserved stock is recomputed from open orders; Inventory is overwritten
+ * from Product. Products with variants are checked per variant, and their
+ * totals against the sum of their variants.
+ * @param {{fix?: boolean}} [options]
+ * @returns {Promise<{checked: number, drifted: Array, fixed: boolean}>}
+ */
+const reconcileStock = async ({ fix = false } = {}) => {
+    const [products, inventories, openReservations] = await Promise.all([
+        Product.find().select('name stock reservedStock lowStockThreshold variants'),
+        Inventory.find().select('product variant totalStock reservedStock'),
+        Order.aggregate([
+            { $match: RESERVATION_HELD_QUERY },
+            { $unwind: '$items' },
+            {
+                $group: {
+                    _id: { product: '$items.product', variant: '$items.variant' },
+                    quantity: { $sum: '$items.quantity' }
+                }
+            }
+        ])
+    ]);
+
+    const inventoryByKey = new Map(inventories.map(inv => [stockKey(inv.product, inv.variant), inv]));
+    const reservedByKey = new Map(openReservations.map(r => [stockKey(r._id.product, r._id.variant), r.quantity]));
+
+    const drifted = [];
+    const expectedKeys = new Set();
+
+    for (const product of products) {
+        const holders = product.variants.length > 0
+            ? product.variants.map(variant => ({ holder: variant, variantId: variant._id }))
+            : [{ holder: product, variantId: null }];
+
+        for (const { holder, variantId } of holders) {
+            const key = stockKey(product._id, variantId);
+            expectedKeys.add(key);
+
+            const inventory = inventoryByKey.get(key);
+            const expectedReserved = reservedByKey.get(key) || 0;
+
+            const issues = [];
+            if (holder.reservedStock !== expectedReserved) issues.push(variantId ? 'variant_reserved' : 'product_reserved');
+            if (!inventory) {
+                issues.push('missing_inventory');
+            } else {
+                if (inventory.totalStock !== holder.stock) issues.push('inventory_total');
+                if (inventory.reservedStock !== expectedReserved) issues.push('inventory_reserved');
+            }
+
+            if (issues.length === 0) continue;
+
+            drifted.push({
+                product: product._id,
+                variant: variantId || undefined,
+                name: product.name,
+                sku: variantId ? holder.sku : undefined,
+                issues,
+                productStock: holder.stock,
+                productReserved: holder.reservedStock,
+                inventoryStock: inventory ? inventory.totalStock : null,
+                inventoryReserved: inventory ? inventory.reservedStock : null,
+                expectedReserved
+            });
+
+            if (fix) {
+                const previousReserved = holder.reservedStock;
+                holder.reservedStock = Math.min(expectedReserved, holder.stock);
+
+                if (variantId) {
+                    await Product.updateOne(
+                        { _id: product._id, 'variants._id': variantId },
+                        { $set: { 'variants.$.reservedStock': holder.reservedStock } }
+                    );
+                } else {
+                    await Product.updateOne({ _id: product._id }, { reservedStock: product.reservedStock });
+                }
+
+                await syncInventory(product, {
+                    type: 'adjustment',
+                    quantity: 0,
+                    previousStock: inventory ? inventory.totalStock : holder.stock,
+                    reason: `Reconciliation (${issues.join(', ')}; reserved ${previousReserved} -> ${holder.reservedStock})`
+                }, {}, variantId);
+            }
+        }
+
+        if (product.variants.length === 0) continue;
+
+        // Product totals must add up to its variants
+        const stock = product.variants.reduce((total, variant) => total + variant.stock, 0);
+        const reservedStock = product.variants.reduce((total, variant) => total + variant.reservedStock, 0);
+
+        if (product.stock !== stock || product.reservedStock !== reservedStock) {
+            drifted.push({
+                product: product._id,
+                name: product.name,
+                issues: ['product_totals'],
+                productStock: product.stock,
+                productReserved: product.reservedStock,
+                variantStock: stock,
+                variantReserved: reservedStock
+            });
+
+            if (fix) {
+                await Product.updateOne({ _id: product._id }, { stock, reservedStock });
+            }
+        }
+    }
+
+    // Inventory records whose product or variant no longer exists
+    const orphaned = inventories.filter(inv => !expectedKeys.has(stockKey(inv.product, inv.variant)));
+
+    for (const inventory of orphaned) {
+        drifted.push({ product: inventory.product, variant: inventory.variant || undefined, issues: ['orphaned_inventory'] });
+        if (fix) {
+            await Inventory.deleteOne({ _id: inventory._id });
+        }
+    }
+
+    return { checked: products.length, drifted, fixed: fix };
+};
+
+module.exports = {
+    syncInventory,
+    reserveItems,
+    releaseItems,
+    sellItems,
+    returnItems,
+    dispatchOrderStock,
+    reverseOrderStock,
+    addStock,
+    removeStock,
+    setStock,
+    reconcileStock
+};
@@ -0,0 +1,77 @@
+const { SELLER, CATEGORY_TAX, DEFAULT_TAX } = require('../config/tax');
+
+const roundAmount = (amount) => Math.round(amount * 100) / 100;
+
+const normaliseState = (state) => String(state || '').trim().toLowerCase();
+
+/**
+ * HSN code and GST rate for a product (product override, else category default)
+ * @param {Object} product - Product document
+ * @returns {{hsnCode: string, gstRate: number}}
+ */
+const getProductTax = (product) => {
+    const categoryTax = CATEGORY_TAX[product.category] || DEFAULT_TAX;
+
+    return {
+        hsnCode: product.hsnCode || categoryTax.hsnCode,
+        gstRate: product.gstRate !== undefined && product.gstRate !== null
+            ? product.gstRate
+            : categoryTax.gstRate
+    };
+};
+
+/**
+ * Whether a delivery to this state is an intra-state supply (CGST + SGST)
+ * @param {string} state - Place of supply (shipping state)
+ */
+const isIntraState = (state) => normaliseState(state) === normaliseState(SELLER.state);
+
+/**
+ * Split GST-inclusive order lines into taxable value and CGST/SGST or IGST.
+ * A cart-level discount is shared across lines in proportion to their value.
+ * @param {Array} lines - [{ quantity, price, shippingFees, gstRate }]
+ * @param {string} placeOfSupply - Shipping address state
+ * @param {number} [discountAmount] - Discount on the whole order
+ * @returns {{lines: Array, summary: Object}}
+ */
+const calculateTax = (lines, placeOfSupply, discountAmount = 0) => {
+    const intraState = isIntraState(placeOfSupply);
+
+    const grossValues = lines.map(line => (line.price + (line.shippingFees || 0)) * line.quantity);
+    const grossTotal = grossValues.reduce((total, value) => total + value, 0);
+
+    const taxedLines = lines.map((line, index) => {
+        const share = grossTotal > 0 ? grossValues[index] / grossTotal : 0;
+        const lineTotal = roundAmount(grossValues[index] - discountAmount * share);
+
+        const taxableValue = roundAmount(lineTotal / (1 + line.gstRate / 100));
+        const tax = roundAmount(lineTotal - taxableValue);
+
+        const cgst = intraState ? roundAmount(tax / 2) : 0;
+        const sgst = intraState ? roundAmount(tax - cgst) : 0;
+        const igst = intraState ? 0 : tax;
+
+        return { taxableValue, cgst, sgst, igst, lineTotal };
+    });
+
+    const sum = (field) => roundAmount(taxedLines.reduce((total, line) => total + line[field], 0));
+
+    const summary = {
+        supplyType: intraState ? 'intra_state' : 'inter_state',
+        sellerState: SELLER.state,
+        placeOfSupply,
+        taxableValue: sum('taxableValue'),
+        cgst: sum('cgst'),
+        sgst: sum('sgst'),
+        igst: sum('igst')
+    };
+    summary.totalTax = roundAmount(summary.cgst + summary.sgst + summary.igst);
+
+    return { lines: taxedLines, summary };
+};
+
+module.exports = {
+    getProductTax,
+    isIntraState,
+    calculateTax
+};
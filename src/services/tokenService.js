@@ -0,0 +1,204 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_EXPIRE = process.env.ACCESS_TOKEN_EXPIRE || '15m';
+const REFRESH_TOKEN_EXPIRE_DAYS = Number(process.env.REFRESH_TOKEN_EXPIRE_DAYS) || 30;
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_EXPIRE_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Describe the device a request comes from
+ * @param {Object} req - Express request
+ */
+const getDeviceInfo = (req) => ({
+    name: (req.body && req.body.deviceName) || req.headers['x-device-name'] || undefined,
+    userAgent: req.headers['user-agent'],
+    ip: req.ip
+});
+
+/**
+ * Sign a short-lived access token bound to a session
+ * @param {string} userId - User ID
+ * @param {string} sessionId - Session ID
+ */
+const generateAccessToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRE
+    });
+};
+
+/**
+ * Sign the short-lived token that links the password step of a login to its 2FA step
+ * @param {string} userId - User ID
+ */
+const generateTwoFactorChallenge = (userId) => {
+    return jwt.sign({ id: userId, purpose: 'two_factor' }, process.env.JWT_SECRET, {
+        expiresIn: '5m'
+    });
+};
+
+/**
+ * Verify a 2FA login challenge
+ * @param {string} challengeToken - Token from generateTwoFactorChallenge
+ * @returns {string|null} User ID, or null if invalid or expired
+ */
+const verifyTwoFactorChallenge = (challengeToken) => {
+    try {
+        const decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+        return decoded.purpose === 'two_factor' ? decoded.id : null;
+    } catch (error) {
+        return null;
+    }
+};
+
+/**
+ * Start a new session for a device and issue its token pair
+ * @param {Object} user - User document
+ * @param {Object} req - Express request (used for device info)
+ * @param {Object} [options]
+ * @param {boolean} [options.twoFactorVerified] - Login passed a second factor
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+const createSession = async (user, req, { twoFactorVerified = false } = {}) => {
+    const refreshToken = crypto.randomBytes(40).toString('hex');
+
+    const session = await Session.create({
+        user: user._id,
+        refreshTokenHash: hashToken(refreshToken),
+        device: getDeviceInfo(req),
+        twoFactorVerified,
+        expiresAt: refreshExpiry()
+    });
+
+    return {
+        token: generateAccessToken(user._id, session._id),
+        refreshToken,
+        session
+    };
+};
+
+/**
+ * Start a time-limited session in which a staff member acts as a customer.
+ * No refresh token is handed out, so it cannot outlive its expiry.
+ * @param {Object} impersonator - Staff user document
+ * @param {Object} target - User being impersonated
+ * @param {Object} req - Express request
+ * @param {{durationMinutes: number, reason: string}} options
+ * @returns {Promise<{token: string, session: Object}>}
+ */
+const createImpersonationSession = async (impersonator, target, req, { durationMinutes, reason }) => {
+    const session = await Session.create({
+        user: target._id,
+        refreshTokenHash: hashToken(crypto.randomBytes(40).toString('hex')),
+        device: getDeviceInfo(req),
+        impersonatedBy: impersonator._id,
+        impersonationReason: reason,
+        expiresAt: new Date(Date.now() + durationMinutes * 60 * 1000)
+    });
+
+    const token = jwt.sign(
+        { id: target._id, sid: session._id, imp: impersonator._id },
+        process.env.JWT_SECRET,
+        { expiresIn: durationMinutes * 60 }
+    );
+
+    return { token, session };
+};
+
+/**
+ * Exchange a refresh token for a new token pair (rotation).
+ * Presenting an already-rotated token revokes the whole session.
+ * @param {string} refreshToken - Plain refresh token
+ * @param {Object} req - Express request
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}|null>}
+ */
+const rotateRefreshToken = async (refreshToken, req) => {
+    const tokenHash = hashToken(refreshToken);
+
+    const session = await Session.findOne({ refreshTokenHash: tokenHash });
+
+    if (!session) {
+        const reused = await Session.findOne({ previousTokenHash: tokenHash, revokedAt: null });
+        if (reused) {
+            await revokeSession(reused._id, 'Refresh token reuse detected');
+        }
+        return null;
+    }
+
+    if (!session.isActive) {
+        return null;
+    }
+
+    const newRefreshToken = crypto.randomBytes(40).toString('hex');
+
+    // Conditional update so two concurrent refreshes cannot both succeed
+    const rotated = await Session.findOneAndUpdate(
+        { _id: session._id, refreshTokenHash: tokenHash, revokedAt: null },
+        {
+            refreshTokenHash: hashToken(newRefreshToken),
+            previousTokenHash: tokenHash,
+            lastUsedAt: new Date(),
+            expiresAt: refreshExpiry(),
+            'device.userAgent': req.headers['user-agent'],
+            'device.ip': req.ip
+        },
+        { new: true }
+    );
+
+    if (!rotated) {
+        return null;
+    }
+
+    return {
+        token: generateAccessToken(rotated.user, rotated._id),
+        refreshToken: newRefreshToken,
+        session: rotated
+    };
+};
+
+/**
+ * Revoke a single session
+ * @param {string} sessionId - Session ID
+ * @param {string} reason - Why the session was revoked
+ */
+const revokeSession = async (sessionId, reason = 'Logged out') => {
+    await Session.updateOne(
+        { _id: sessionId, revokedAt: null },
+        { revokedAt: new Date(), revokedReason: reason }
+    );
+};
+
+/**
+ * Revoke every active session of a user
+ * @param {string} userId - User ID
+ * @param {string} reason - Why the sessions were revoked
+ * @param {string} [exceptSessionId] - Session to keep (e.g. the current device)
+ * @returns {Promise<number>} Number of sessions revoked
+ */
+const revokeAllSessions = async (userId, reason = 'Logged out from all devices', exceptSessionId) => {
+    const query = { user: userId, revokedAt: null };
+    if (exceptSessionId) {
+        query._id = { $ne: exceptSessionId };
+    }
+
+    const result = await Session.updateMany(query, {
+        revokedAt: new Date(),
+        revokedReason: reason
+    });
+
+    return result.modifiedCount;
+};
+
+module.exports = {
+    generateAccessToken,
+    generateTwoFactorChallenge,
+    verifyTwoFactorChallenge,
+    createSession,
+    createImpersonationSession,
+    rotateRefreshToken,
+    revokeSession,
+    revokeAllSessions
+};
@@ -0,0 +1,157 @@
+const User = require('../models/User');
+const {
+    generateSecret,
+    verifyCode,
+    buildOtpauthUri,
+    generateRecoveryCodes,
+    hashRecoveryCode
+} = require('./totpService');
+
+// Roles that must have 2FA enabled (comma separated, empty to disable the policy)
+const REQUIRED_ROLES = (process.env.TWO_FACTOR_REQUIRED_ROLES !== undefined
+    ? process.env.TWO_FACTOR_REQUIRED_ROLES
+    : 'admin,inventory_manager')
+    .split(',')
+    .map(role => role.trim())
+    .filter(Boolean);
+
+/**
+ * Whether the 2FA policy applies to a role
+ * @param {string} role - User role
+ */
+const isTwoFactorRequired = (role) => REQUIRED_ROLES.includes(role);
+
+/**
+ * Start enrollment: generate a pending secret and its otpauth URI
+ * @param {string} userId - User ID
+ * @returns {Promise<{secret: string, otpauthUri: string}>}
+ */
+const startEnrollment = async (userId) => {
+    const user = await User.findById(userId);
+    const secret = generateSecret();
+
+    await User.updateOne({ _id: userId }, { 'twoFactor.pendingSecret': secret });
+
+    return {
+        secret,
+        otpauthUri: buildOtpauthUri(secret, user.email)
+    };
+};
+
+/**
+ * Finish enrollment by confirming a code from the pending secret
+ * @param {string} userId - User ID
+ * @param {string} code - TOTP code
+ * @returns {Promise<string[]|null>} Plain recovery codes, or null if the code is invalid
+ */
+const confirmEnrollment = async (userId, code) => {
+    const user = await User.findById(userId).select('+twoFactor.pendingSecret');
+    const pendingSecret = user.twoFactor && user.twoFactor.pendingSecret;
+
+    if (!pendingSecret) return null;
+
+    const step = verifyCode(pendingSecret, code);
+    if (step === null) return null;
+
+    const { codes, hashes } = generateRecoveryCodes();
+
+    await User.updateOne({ _id: userId }, {
+        'twoFactor.enabled': true,
+        'twoFactor.secret': pendingSecret,
+        'twoFactor.recoveryCodes': hashes,
+        'twoFactor.lastUsedStep': step,
+        'twoFactor.enabledAt': new Date(),
+        $unset: { 'twoFactor.pendingSecret': 1 }
+    });
+
+    return codes;
+};
+
+/**
+ * Check a second factor: a TOTP code or a single-use recovery code
+ * @param {string} userId - User ID
+ * @param {{code?: string, recoveryCode?: string}} factor
+ * @returns {Promise<boolean>}
+ */
+const verifySecondFactor = async (userId, { code, recoveryCode }) => {
+    const user = await User.findById(userId)
+        .select('+twoFactor.secret +twoFactor.recoveryCodes +twoFactor.lastUsedStep');
+
+    if (!user || !user.twoFactor.enabled || !user.twoFactor.secret) return false;
+
+    if (code) {
+        const step = verifyCode(user.twoFactor.secret, code, user.twoFactor.lastUsedStep);
+        if (step === null) return false;
+
+        // Conditional update so the same code cannot be used twice concurrently
+        const result = await User.updateOne(
+            {
+                _id: userId,
+                $or: [
+                    { 'twoFactor.lastUsedStep': { $exists: false } },
+                    { 'twoFactor.lastUsedStep': { $lt: step } }
+                ]
+            },
+            { 'twoFactor.lastUsedStep': step }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    if (recoveryCode) {
+        const hash = hashRecoveryCode(recoveryCode);
+        const result = await User.updateOne(
+            { _id: userId, 'twoFactor.recoveryCodes': hash },
+            { $pull: { 'twoFactor.recoveryCodes': hash } }
+        );
+        return result.modifiedCount === 1;
+    }
+
+    return false;
+};
+
+/**
+ * Replace a user's recovery codes
+ * @param {string} userId - User ID
+ * @returns {Promise<string[]>} New plain recovery codes
+ */
+const regenerateRecoveryCodes = async (userId) => {
+    const { codes, hashes } = generateRecoveryCodes();
+    await User.updateOne({ _id: userId }, { 'twoFactor.recoveryCodes': hashes });
+    return codes;
+};
+
+/**
+ * Turn 2FA off and forget all secrets
+ * @param {string} userId - User ID
+ */
+const disableTwoFactor = async (userId) => {
+    await User.updateOne({ _id: userId }, {
+        'twoFactor.enabled': false,
+        $unset: {
+            'twoFactor.secret': 1,
+            'twoFactor.pendingSecret': 1,
+            'twoFactor.recoveryCodes': 1,
+            'twoFactor.lastUsedStep': 1,
+            'twoFactor.enabledAt': 1
+        }
+    });
+};
+
+/**
+ * Count unused recovery codes
+ * @param {string} userId - User ID
+ */
+const countRecoveryCodes = async (userId) => {
+    const user = await User.findById(userId).select('+twoFactor.recoveryCodes');
+    return (user.twoFactor && user.twoFactor.recoveryCodes ? user.twoFactor.recoveryCodes.length : 0);
+};
+
+module.exports = {
+    isTwoFactorRequired,
+    startEnrollment,
+    confirmEnrollment,
+    verifySecondFactor,
+    regenerateRecoveryCodes,
+    disableTwoFactor,
+    countRecoveryCodes
+};
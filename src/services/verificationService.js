@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const User = require('../models/User');
+const { sendVerificationEmail } = require('./mailService');
+const { sendSms } = require('./smsService');
+
+const CODE_EXPIRE_MINUTES = Number(process.env.VERIFICATION_CODE_EXPIRE_MINUTES) || 10;
+const RESEND_COOLDOWN_SECONDS = Number(process.env.VERIFICATION_RESEND_COOLDOWN_SECONDS) || 60;
+const MAX_SENDS_PER_HOUR = Number(process.env.VERIFICATION_MAX_SENDS_PER_HOUR) || 5;
+const MAX_ATTEMPTS = 5;
+
+const CHANNELS = {
+    email: { verifiedField: 'isEmailVerified', label: 'Email' },
+    phone: { verifiedField: 'isPhoneVerified', label: 'Phone number' }
+};
+
+const hashCode = (code) => crypto.createHash('sha256').update(code).digest('hex');
+
+/**
+ * Work out whether another code may be sent right now
+ * @param {Object} pending - Current verification state for the channel
+ * @returns {number} Seconds to wait, 0 when sending is allowed
+ */
+const getRetryAfter = (pending) => {
+    if (!pending || !pending.lastSentAt) return 0;
+
+    const now = Date.now();
+    const cooldownEnds = pending.lastSentAt.getTime() + RESEND_COOLDOWN_SECONDS * 1000;
+    if (now < cooldownEnds) {
+        return Math.ceil((cooldownEnds - now) / 1000);
+    }
+
+    const windowEnds = pending.sendWindowStart
+        ? pending.sendWindowStart.getTime() + 60 * 60 * 1000
+        : 0;
+    if (now < windowEnds && pending.sendCount >= MAX_SENDS_PER_HOUR) {
+        return Math.ceil((windowEnds - now) / 1000);
+    }
+
+    return 0;
+};
+
+/**
+ * Issue and deliver a verification code
+ * @param {string} userId - User ID
+ * @param {'email'|'phone'} channel - Channel to verify
+ * @returns {Promise<{success: boolean, status?: number, message: string, retryAfter?: number}>}
+ */
+const sendVerificationCode = async (userId, channel) => {
+    const config = CHANNELS[channel];
+    const user = await User.findById(userId).select('+verification');
+
+    if (user[config.verifiedField]) {
+        return { success: false, status: 400, message: `${config.label} is already verified` };
+    }
+
+    if (channel === 'phone' && !user.phone) {
+        return { success: false, status: 400, message: 'Add a phone number to your profile first' };
+    }
+
+    const pending = user.verification && user.verification[channel];
+    const retryAfter = getRetryAfter(pending);
+    if (retryAfter > 0) {
+        return {
+            success: false,
+            status: 429,
+            message: `Please wait ${retryAfter} seconds before requesting another code`,
+            retryAfter
+        };
+    }
+
+    const now = new Date();
+    const windowActive = pending && pending.sendWindowStart &&
+        now.getTime() - pending.sendWindowStart.getTime() < 60 * 60 * 1000;
+
+    const code = crypto.randomInt(0, 1000000).toString().padStart(6, '0');
+
+    user.set(`verification.${channel}`, {
+        codeHash: hashCode(code),
+        expiresAt: new Date(now.getTime() + CODE_EXPIRE_MINUTES * 60 * 1000),
+        attempts: 0,
+        lastSentAt: now,
+        sendCount: windowActive ? pending.sendCount + 1 : 1,
+        sendWindowStart: windowActive ? pending.sendWindowStart : now
+    });
+    await user.save({ validateBeforeSave: false });
+
+    if (channel === 'email') {
+        await sendVerificationEmail(user, code, CODE_EXPIRE_MINUTES);
+    } else {
+        await sendSms({
+            to: user.phone,
+            body: `${code} is your SS Square Industries verification code. It expires in ${CODE_EXPIRE_MINUTES} minutes.`
+        });
+    }
+
+    return { success: true, message: `Verification code sent to your ${config.label.toLowerCase()}` };
+};
+
+/**
+ * Confirm a verification code
+ * @param {string} userId - User ID
+ * @param {'email'|'phone'} channel - Channel being verified
+ * @param {string} code - Code entered by the user
+ * @returns {Promise<{success: boolean, status?: number, message: string}>}
+ */
+const confirmVerificationCode = async (userId, channel, code) => {
+    const config = CHANNELS[channel];
+    const user = await User.findById(userId).select('+verification');
+
+    if (user[config.verifiedField]) {
+        return { success: false, status: 400, message: `${config.label} is already verified` };
+    }
+
+    const pending = user.verification && user.verification[channel];
+
+    if (!pending || !pending.codeHash || pending.expiresAt < new Date()) {
+        return { success: false, status: 400, message: 'Verification code has expired. Please request a new one.' };
+    }
+
+    // Every guess takes an attempt before it is checked, so parallel guesses are capped too
+    const attempt = await User.updateOne(
+        {
+            _id: user._id,
+            [`verification.${channel}.codeHash`]: pending.codeHash,
+            [`verification.${channel}.attempts`]: { $lt: MAX_ATTEMPTS }
+        },
+        { $inc: { [`verification.${channel}.attempts`]: 1 } }
+    );
+
+    if (attempt.modifiedCount === 0) {
+        return { success: false, status: 429, message: 'Too many incorrect attempts. Please request a new code.' };
+    }
+
+    if (!code || hashCode(String(code).trim()) !== pending.codeHash) {
+        return { success: false, status: 400, message: 'Invalid verification code' };
+    }
+
+    await User.updateOne(
+        { _id: user._id },
+        { $set: { [config.verifiedField]: true }, $unset: { [`verification.${channel}`]: 1 } }
+    );
+
+    return { success: true, message: `${config.label} verified successfully` };
+};
+
+/**
+ * Check a user against the ORDER_VERIFICATION_REQUIREMENT rule
+ * (none | email | phone | email_or_phone | email_and_phone). Defaults to none:
+ * accounts created before verification existed have nothing verified.
+ * @param {Object} user - User document
+ * @returns {string|null} Reason the user is blocked, or null when allowed
+ */
+const getOrderVerificationBlock = (user) => {
+    const rule = process.env.ORDER_VERIFICATION_REQUIREMENT || 'none';
+
+    switch (rule) {
+        case 'none':
+            return null;
+        case 'phone':
+            return user.isPhoneVerified ? null : 'Please verify your phone number before placing an order';
+        case 'email_or_phone':
+            return user.isEmailVerified || user.isPhoneVerified
+                ? null
+                : 'Please verify your email or phone number before placing an order';
+        case 'email_and_phone':
+            return user.isEmailVerified && user.isPhoneVerified
+                ? null
+                : 'Please verify your email and phone number before placing an order';
+        case 'email':
+        default:
+            return user.isEmailVerified ? null : 'Please verify your email before placing an order';
+    }
+};
+
+module.exports = {
+    sendVerificationCode,
+    confirmVerificationCode,
+    getOrderVerificationBlock
+};
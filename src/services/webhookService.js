@@ -0,0 +1,179 @@
+const crypto = require('crypto');
+const Order = require('../models/Order');
+const WebhookEvent = require('../models/WebhookEvent');
+const { getGateway } = require('./paymentGatewayService');
+const { PAID_STATUSES, confirmPayment } = require('./paymentService');
+const { applyRefundEvent } = require('./refundService');
+
+// Every webhook is stored by event id before it is applied, so gateway
+// retries are acknowledged without running twice. Handlers are safe to run
+// in any order (a late payment.failed does not undo a capture, refund
+// statuses only move forward). A failed event is retried when the gateway
+// resends it and moved to the dead-letter list after WEBHOOK_MAX_ATTEMPTS.
+const MAX_ATTEMPTS = Number(process.env.WEBHOOK_MAX_ATTEMPTS) || 5;
+// An event still processing after this long was abandoned (crash or restart
+// mid-handler) and is claimed again by the next delivery
+const PROCESSING_TIMEOUT_MINUTES = Number(process.env.WEBHOOK_PROCESSING_TIMEOUT_MINUTES) || 5;
+
+/**
+ * Apply a refund event to its order
+ * @param {Object} refund - Refund from the parsed webhook
+ * @param {string} status - pending, processed or failed
+ * @returns {Promise<string>} Result
+ */
+const handleRefund = async (refund, status) => {
+    const order = await applyRefundEvent(refund, status);
+    return order
+        ? `Refund ${refund.id} ${status} on order ${order.orderNumber}`
+        : 'No order for this payment';
+};
+
+// Handlers by event name: (parsed event) => result, throwing to retry later
+const HANDLERS = {
+    'payment.captured': async ({ payment }) => {
+        const order = await Order.findOne({ 'payment.razorpayOrderId': payment.orderId });
+
+        if (!order) return 'No matching order';
+        if (PAID_STATUSES.includes(order.payment.status)) return `Order ${order.orderNumber} already paid`;
+
+        const confirmed = await confirmPayment(order, payment, {
+            note: `Payment captured via ${payment.method}`
+        });
+
+        return confirmed
+            ? `Order ${order.orderNumber} marked paid`
+            : `Payment recorded on ${order.status} order ${order.orderNumber}`;
+    },
+
+    'payment.failed': async ({ payment }) => {
+        const order = await Order.findOne({ 'payment.razorpayOrderId': payment.orderId });
+
+        if (!order) return 'No matching order';
+        // Arrived after a later attempt succeeded
+        if (PAID_STATUSES.includes(order.payment.status)) return `Order ${order.orderNumber} already paid`;
+
+        order.payment.status = 'failed';
+        order.statusHistory.push({
+            status: order.status,
+            note: `Payment failed: ${payment.errorDescription}`
+        });
+        await order.save();
+
+        return `Payment failed on order ${order.orderNumber}`;
+    },
+
+    'refund.created': ({ refund }) => handleRefund(refund, 'pending'),
+    'refund.processed': ({ refund }) => handleRefund(refund, 'processed'),
+    'refund.failed': ({ refund }) => handleRefund(refund, 'failed')
+};
+
+/**
+ * Run a stored event, unless it has already been (or is being) processed
+ * @param {string} id - WebhookEvent ID
+ * @param {{force?: boolean}} [options] - force: run it again whatever its status (replay)
+ * @returns {Promise<{success: boolean, status?: number, message?: string, event?: Object, duplicate?: boolean}>}
+ */
+const processEvent = async (id, { force = false } = {}) => {
+    const staleBefore = new Date(Date.now() - PROCESSING_TIMEOUT_MINUTES * 60 * 1000);
+    const claimed = await WebhookEvent.findOneAndUpdate(
+        force ? { _id: id } : {
+            _id: id,
+            $or: [
+                { status: { $in: ['received', 'failed'] } },
+                { status: 'processing', updatedAt: { $lt: staleBefore } }
+            ]
+        },
+        { status: 'processing', $inc: { attempts: 1 } },
+        { new: true }
+    );
+
+    if (!claimed) {
+        return { success: true, duplicate: true };
+    }
+
+    try {
+        const parsed = getGateway(claimed.gateway).parseWebhook(claimed.payload, {});
+        const handler = HANDLERS[parsed.event];
+
+        claimed.result = handler ? await handler(parsed) : 'Event not handled';
+        claimed.status = 'processed';
+        claimed.processedAt = new Date();
+        claimed.lastError = undefined;
+        await claimed.save();
+
+        return { success: true, event: claimed };
+    } catch (error) {
+        claimed.lastError = error.message;
+        claimed.errorHistory.push({ message: error.message });
+        claimed.status = claimed.attempts >= MAX_ATTEMPTS ? 'dead' : 'failed';
+        await claimed.save();
+
+        return {
+            success: false,
+            // Dead letters are acknowledged so the gateway stops retrying
+            status: claimed.status === 'dead' ? 200 : 500,
+            message: error.message,
+            event: claimed
+        };
+    }
+};
+
+/**
+ * Verify, store and process a webhook delivery
+ * @param {Object} gateway - Gateway that sent it
+ * @param {string} rawBody - Request body exactly as received
+ * @param {Object} headers - Request headers
+ * @returns {Promise<{success: boolean, status?: number, message?: string, duplicate?: boolean}>}
+ */
+const receiveWebhook = async (gateway, rawBody, headers) => {
+    if (!rawBody || !gateway.verifyWebhook(rawBody, headers)) {
+        return { success: false, status: 400, message: 'Invalid webhook signature' };
+    }
+
+    const body = JSON.parse(rawBody);
+    const parsed = gateway.parseWebhook(body, headers);
+    const eventId = parsed.id || crypto.createHash('sha256').update(rawBody).digest('hex');
+
+    let stored;
+    try {
+        stored = await WebhookEvent.findOneAndUpdate(
+            { eventId },
+            {
+                $setOnInsert: {
+                    eventId,
+                    gateway: gateway.name,
+                    event: parsed.event,
+                    payload: body
+                }
+            },
+            { upsert: true, new: true }
+        );
+    } catch (error) {
+        // Same event delivered twice at once - the other delivery stored it
+        if (error.code === 11000) return { success: true, duplicate: true };
+        throw error;
+    }
+
+    return processEvent(stored._id);
+};
+
+/**
+ * Run a stored event again (admin replay)
+ * @param {string} id - WebhookEvent ID
+ * @param {string} userId - Admin replaying it
+ */
+const replayEvent = async (id, userId) => {
+    const event = await WebhookEvent.findByIdAndUpdate(id, { $push: { replays: { by: userId } } });
+
+    if (!event) {
+        return { success: false, status: 404, message: 'Webhook event not found' };
+    }
+
+    return processEvent(id, { force: true });
+};
+
+module.exports = {
+    MAX_ATTEMPTS,
+    receiveWebhook,
+    replayEvent
+};
@@ -0,0 +1,194 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const paymentGatewayService = require('../src/services/paymentGatewayService');
+const Order = require('../src/models/Order');
+
+// The gateway and the orders collection are replaced by in-memory fakes.
+// They have to be in place before refundService is loaded.
+let gatewayError = null;
+let gatewayRefunds = [];
+
+paymentGatewayService.getOrderGateway = () => ({
+    refund: async (paymentId, options) => {
+        if (gatewayError) throw gatewayError;
+        gatewayRefunds.push({ paymentId, ...options });
+        return { id: `rfnd_${gatewayRefunds.length}`, status: 'processed' };
+    }
+});
+
+// The order as stored in the database
+let stored;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const load = () => Order.hydrate(copy(stored));
+const findRefund = (id) => stored.payment.refunds.find(entry => entry._id === String(id));
+
+Order.findOneAndUpdate = (filter, update) => {
+    // syncRefundStatus
+    if (Array.isArray(update)) {
+        const refunded = stored.payment.refundedAmount;
+        if (refunded >= stored.totalAmount) {
+            stored.payment.status = 'refunded';
+        } else {
+            stored.payment.status = refunded > 0 ? 'partially_refunded' : 'completed';
+        }
+        return { lean: async () => copy(stored) };
+    }
+
+    // The refund claim: only applies to the order as it was read
+    const [sameRefunds, withinTotal] = filter.$expr.$and;
+    const amount = update.$inc['payment.refundedAmount'];
+    const applies = filter['payment.status'].$in.includes(stored.payment.status)
+        && stored.payment.refunds.length === sameRefunds.$eq[1]
+        && stored.payment.refundedAmount + amount <= stored.totalAmount + withinTotal.$lte[1].$add[1];
+
+    if (!applies) return Promise.resolve(null);
+
+    stored.payment.refundedAmount += amount;
+    stored.payment.refunds.push(copy(update.$push['payment.refunds']));
+    return Promise.resolve(load());
+};
+
+Order.updateOne = async (filter, update) => {
+    const entry = filter['payment.refunds._id'] ? findRefund(filter['payment.refunds._id']) : null;
+
+    if (update.$pull) {
+        stored.payment.refundedAmount += update.$inc['payment.refundedAmount'];
+        stored.payment.refunds = stored.payment.refunds.filter(refund => refund !== entry);
+    }
+    Object.entries(update.$set || {}).forEach(([path, value]) => {
+        entry[path.replace('payment.refunds.$.', '')] = copy(value);
+    });
+    if (update.$push) {
+        stored.statusHistory.push(copy(update.$push.statusHistory));
+    }
+
+    return { modifiedCount: 1 };
+};
+
+const { createRefund, getRefundableAmount, getRefundableItems } = require('../src/services/refundService');
+
+const placeOrder = (payment = {}) => {
+    const order = new Order({
+        user: new mongoose.Types.ObjectId(),
+        orderNumber: 'ORD-1',
+        items: [
+            { product: new mongoose.Types.ObjectId(), name: 'Shirt', price: 300, quantity: 2 },
+            { product: new mongoose.Types.ObjectId(), name: 'Cap', price: 400, quantity: 1 }
+        ],
+        subtotal: 1000,
+        totalAmount: 1000,
+        status: 'delivered',
+        payment: {
+            mode: 'prepaid',
+            status: 'completed',
+            razorpayPaymentId: 'pay_1',
+            ...payment
+        }
+    });
+
+    stored = copy(order.toObject());
+    return load();
+};
+
+beforeEach(() => {
+    gatewayError = null;
+    gatewayRefunds = [];
+});
+
+test('refunds everything left by default and records it in the ledger', async () => {
+    const order = placeOrder();
+
+    const result = await createRefund(order, { reason: 'Damaged' });
+
+    assert.equal(result.success, true);
+    assert.equal(result.refund.amount, 1000);
+    assert.equal(result.refund.status, 'processed');
+    assert.equal(result.refund.refundId, 'rfnd_1');
+    assert.deepEqual(gatewayRefunds.map(refund => refund.amount), [100000]);
+    assert.equal(order.payment.status, 'refunded');
+    assert.equal(order.payment.refundedAmount, 1000);
+    assert.equal(getRefundableAmount(order), 0);
+});
+
+test('partial refunds add up and cannot exceed the amount paid', async () => {
+    const order = placeOrder();
+
+    assert.equal((await createRefund(order, { amount: 600 })).success, true);
+    assert.equal(order.payment.status, 'partially_refunded');
+    assert.equal(getRefundableAmount(order), 400);
+
+    const tooMuch = await createRefund(order, { amount: 500 });
+    assert.equal(tooMuch.success, false);
+    assert.equal(tooMuch.status, 400);
+
+    assert.equal((await createRefund(order, { amount: 400 })).success, true);
+    assert.equal(order.payment.status, 'refunded');
+    assert.equal(stored.payment.refundedAmount, 1000);
+});
+
+test('a refund checked against a stale copy of the order is refused', async () => {
+    const first = placeOrder();
+    const second = load();
+
+    assert.equal((await createRefund(first, { amount: 700 })).success, true);
+
+    const result = await createRefund(second, { amount: 700 });
+    assert.equal(result.success, false);
+    assert.equal(result.status, 409);
+    assert.equal(stored.payment.refundedAmount, 700);
+    assert.equal(gatewayRefunds.length, 1);
+});
+
+test('the claimed amount is given back when the gateway refuses the refund', async () => {
+    const order = placeOrder();
+    gatewayError = new Error('Gateway unavailable');
+
+    await assert.rejects(createRefund(order, { amount: 200 }), /Gateway unavailable/);
+
+    assert.equal(stored.payment.refundedAmount, 0);
+    assert.equal(stored.payment.refunds.length, 0);
+    assert.equal(stored.payment.status, 'completed');
+});
+
+test('item refunds are valued per unit and each unit is only refunded once', async () => {
+    const order = placeOrder();
+    const shirt = order.items[0];
+
+    const result = await createRefund(order, { items: [{ orderItemId: shirt._id, quantity: 1 }] });
+    assert.equal(result.success, true);
+    assert.equal(result.refund.amount, 300);
+
+    const refundable = getRefundableItems(order);
+    assert.deepEqual(refundable.map(item => item.refundable), [1, 1]);
+
+    const again = await createRefund(order, { items: [{ orderItemId: shirt._id, quantity: 2 }] });
+    assert.equal(again.success, false);
+    assert.match(again.message, /Only 1 unit/);
+});
+
+test('cash on delivery orders are refunded by hand without the gateway', async () => {
+    const order = placeOrder({ mode: 'cod', razorpayPaymentId: undefined });
+
+    const refused = await createRefund(order, { amount: 100, method: 'upi' });
+    assert.equal(refused.success, false);
+
+    const result = await createRefund(order, { amount: 100, method: 'cash', reference: 'RCPT-9' });
+    assert.equal(result.success, true);
+    assert.equal(result.refund.method, 'cash');
+    assert.equal(result.refund.status, 'processed');
+    assert.equal(result.refund.reference, 'RCPT-9');
+    assert.equal(order.payment.status, 'partially_refunded');
+    assert.equal(gatewayRefunds.length, 0);
+    assert.match(stored.statusHistory.at(-1).note, /paid in cash/);
+});
+
+test('orders without a captured payment cannot be refunded', async () => {
+    const order = placeOrder({ status: 'pending', razorpayPaymentId: undefined });
+
+    const result = await createRefund(order, { amount: 100 });
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'No payment to refund');
+});
@@ -0,0 +1,174 @@
+const { test, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+const Product = require('../src/models/Product');
+const Inventory = require('../src/models/Inventory');
+
+// Products and inventory records are kept in memory. The fakes understand
+// the filters stockService sends, so the conditional updates are exercised.
+let products;
+let movements;
+
+const copy = (value) => JSON.parse(JSON.stringify(value));
+const hydrate = (product) => (product ? Product.hydrate(copy(product)) : null);
+const query = (result) => ({ select: async () => result });
+
+const matches = (product, filter) => {
+    if (String(product._id) !== String(filter._id)) return false;
+    if (filter['variants.0'] && product.variants.length > 0) return false;
+    if (filter.isAvailable !== undefined && product.isAvailable !== filter.isAvailable) return false;
+    if (filter.reservedStock && product.reservedStock < filter.reservedStock.$gte) return false;
+    if (filter.$expr && product.stock - product.reservedStock < filter.$expr.$gte[1]) return false;
+
+    if (filter.variants) {
+        const { _id, stock, reservedStock } = filter.variants.$elemMatch;
+        const variant = product.variants.find(entry => String(entry._id) === String(_id));
+        if (!variant || variant.stock !== stock || variant.reservedStock !== reservedStock) return false;
+    }
+
+    return true;
+};
+
+Product.findOne = (filter) => {
+    const product = products.find(entry => String(entry._id) === String(filter._id)
+        && entry.variants.some(variant => String(variant._id) === String(filter['variants._id'])));
+    return query(hydrate(product));
+};
+
+Product.find = (filter) => {
+    const ids = filter._id.$in.map(String);
+    return query(products.filter(product => ids.includes(String(product._id))).map(hydrate));
+};
+
+Product.findOneAndUpdate = async (filter, update) => {
+    const product = products.find(entry => matches(entry, filter));
+    if (!product) return null;
+
+    Object.entries(update.$inc).forEach(([path, amount]) => {
+        if (path.startsWith('variants.$.')) {
+            const variant = product.variants.find(entry => String(entry._id) === String(filter.variants.$elemMatch._id));
+            variant[path.replace('variants.$.', '')] += amount;
+        } else {
+            product[path] += amount;
+        }
+    });
+
+    return hydrate(product);
+};
+
+Inventory.findOneAndUpdate = async (filter, update) => {
+    movements.push({ product: String(filter.product), ...update.$set, entry: update.$push.stockHistory });
+    return update.$set;
+};
+
+const { reserveItems, releaseItems } = require('../src/services/stockService');
+
+const addProduct = (fields) => {
+    const product = copy(new Product({
+        name: 'Shirt',
+        price: 500,
+        stock: 0,
+        reservedStock: 0,
+        isAvailable: true,
+        ...fields
+    }).toObject());
+    products.push(product);
+    return product;
+};
+
+beforeEach(() => {
+    products = [];
+    movements = [];
+});
+
+test('reserves available units and logs the movement on the inventory record', async () => {
+    const product = addProduct({ stock: 5 });
+    const orderId = new mongoose.Types.ObjectId();
+
+    const result = await reserveItems([{ product: product._id, quantity: 3 }], orderId);
+
+    assert.equal(result.success, true);
+    assert.equal(product.stock, 5);
+    assert.equal(product.reservedStock, 3);
+    assert.equal(movements.length, 1);
+    assert.equal(movements[0].reservedStock, 3);
+    assert.equal(movements[0].entry.type, 'reserved');
+    assert.equal(movements[0].entry.reference, orderId.toString());
+});
+
+test('units held for other orders cannot be reserved again', async () => {
+    const product = addProduct({ stock: 2 });
+
+    assert.equal((await reserveItems([{ product: product._id, quantity: 2 }])).success, true);
+
+    const second = await reserveItems([{ product: product._id, quantity: 1 }]);
+    assert.equal(second.success, false);
+    assert.equal(second.failed[0].available, 0);
+    assert.equal(product.reservedStock, 2);
+});
+
+test('a checkout that cannot be filled releases what it already reserved', async () => {
+    const shirt = addProduct({ stock: 4 });
+    const cap = addProduct({ name: 'Cap', stock: 1 });
+
+    const result = await reserveItems([
+        { product: shirt._id, quantity: 2 },
+        { product: cap._id, quantity: 3 }
+    ]);
+
+    assert.equal(result.success, false);
+    assert.deepEqual(result.failed.map(item => [item.name, item.requested, item.available]), [['Cap', 3, 1]]);
+    assert.equal(shirt.reservedStock, 0);
+    assert.equal(cap.reservedStock, 0);
+    assert.deepEqual(movements.map(movement => movement.entry.type), ['reserved', 'released']);
+});
+
+test('products that are not available are not reserved', async () => {
+    const product = addProduct({ stock: 10, isAvailable: false });
+
+    const result = await reserveItems([{ product: product._id, quantity: 1 }]);
+
+    assert.equal(result.success, false);
+    assert.equal(result.failed[0].available, 0);
+    assert.equal(product.reservedStock, 0);
+});
+
+test('variants are reserved on their own stock and the product totals follow', async () => {
+    const product = addProduct({
+        stock: 3,
+        variants: [
+            { sku: 'SHIRT-S', options: { size: 'S' }, price: 500, stock: 1, reservedStock: 0 },
+            { sku: 'SHIRT-M', options: { size: 'M' }, price: 500, stock: 2, reservedStock: 0 }
+        ]
+    });
+    const [small] = product.variants;
+
+    const result = await reserveItems([{ product: product._id, variant: small._id, quantity: 1 }]);
+    assert.equal(result.success, true);
+    assert.equal(small.reservedStock, 1);
+    assert.equal(product.reservedStock, 1);
+    assert.equal(movements[0].sku, 'SHIRT-S');
+
+    // The last small shirt is taken, although the product still has units
+    const second = await reserveItems([{ product: product._id, variant: small._id, quantity: 1 }]);
+    assert.equal(second.success, false);
+    assert.equal(second.failed[0].sku, 'SHIRT-S');
+
+    // Products with variants only take stock movements for a variant
+    const whole = await reserveItems([{ product: product._id, quantity: 1 }]);
+    assert.equal(whole.success, false);
+});
+
+test('releasing gives reserved units back, never more than are held', async () => {
+    const product = addProduct({ stock: 5, reservedStock: 2 });
+
+    await releaseItems([{ product: product._id, quantity: 2 }], undefined, 'Order cancelled');
+    assert.equal(product.reservedStock, 0);
+    assert.equal(movements[0].entry.quantity, -2);
+    assert.equal(movements[0].entry.reason, 'Order cancelled');
+
+    await releaseItems([{ product: product._id, quantity: 1 }]);
+    assert.equal(product.reservedStock, 0);
+    assert.equal(movements.length, 1);
+});